@@ -4,7 +4,7 @@
   // Current comparison pair and mode
   let currentPair = { left: null, right: null };
   let currentRanks = { left: null, right: null };
-  let currentMode = "swiss"; // "swiss", "gauntlet", or "champion"
+  let currentMode = "swiss"; // "swiss", "gauntlet", "champion", "quickplace", "tournament", "roundrobin" or "multi"
   let gauntletChampion = null; // The item currently on a winning streak
   let gauntletWins = 0; // Current win streak
   let gauntletChampionRank = 0; // Current rank position (1 = top)
@@ -13,8 +13,23 @@
   let gauntletFallingItem = null; // The item that's falling to find its position
   let totalItemsCount = 0; // Total items for position display
   let disableChoice = false; // Track when inputs should be disabled to prevent multiple events
-  let battleType = "performers"; // HotOrNot is performers-only
+  let battleType = "performers"; // "performers", "images", "scenes", "galleries", "studios", or "tags"
   let cachedUrlFilter = null; // Cache the URL filter when modal is opened
+  let undoStack = []; // Snapshots of recent comparisons for Undo (newest last)
+  let pendingRunState = null; // Run state captured when the current choice started
+  let pluginSettings = null; // Plugin settings from Stash (see loadPluginSettings)
+  let bracketRun = null; // Tournament bracket progress (see startBracket)
+  let roundRobinRun = null; // Round robin progress (see startRoundRobin)
+  let multiSet = null; // Best of N cards on screen (see renderMultiSet)
+  let multiOptions = { count: 4, rankAll: false }; // Best of N card count and pick style for this session
+  let tierRun = null; // Tier list placements and refinement (see startTierList)
+  let activeDimension = null; // Performer rating dimension being compared (see RATING DIMENSIONS)
+  let quickPlaceRun = null; // Quick place progress (see startQuickPlace)
+  let pairCoverage = null; // { covered, total } neighbouring pairs in the last Swiss pool
+  let skillPopulation = null; // Map of item ID -> hidden skill score for the battle type (skill mode only)
+  let skillPopulationLoad = null; // Pending loadSkillPopulation() promise (see ensureSkillPopulation)
+  let skillDistribution = null; // Sorted scores and moments of skillPopulation, rebuilt after it changes (see getSkillDistribution)
+  let rankedTags = null; // Every tag with its custom-field rating, loaded once per modal session (see fetchRankedTags)
 
   // GraphQL filter modifier constants
   // Array-based modifiers require value_list field for enum-based criterion inputs
@@ -22,6 +37,69 @@
   // HierarchicalMultiCriterionInput types (tags, studios) always use 'value' field regardless of modifier.
   const ARRAY_BASED_MODIFIERS = new Set(['INCLUDES', 'EXCLUDES', 'INCLUDES_ALL']);
 
+  // Display labels for each battle type
+  const BATTLE_TYPE_LABELS = {
+    performers: { singular: "performer", plural: "performers" },
+    images: { singular: "image", plural: "images" },
+    scenes: { singular: "scene", plural: "scenes" },
+    galleries: { singular: "gallery", plural: "galleries" },
+    studios: { singular: "studio", plural: "studios" },
+    tags: { singular: "tag", plural: "tags" }
+  };
+
+  // Battle types whose win/loss stats are persisted in the hotornot_stats custom field
+  const STATS_BATTLE_TYPES = new Set(["performers", "images", "scenes", "galleries", "studios", "tags"]);
+
+  // Battle types (other than performers) whose battles stay within the page's URL filter
+  const PAGE_FILTER_BATTLE_TYPES = new Set(["images", "scenes", "galleries"]);
+
+  // Battle types with a "View All Stats" leaderboard
+  const STATS_MODAL_BATTLE_TYPES = new Set(["performers", "images"]);
+
+  // Custom fields holding the bounded per-item match log and lifetime head-to-head tallies
+  const MATCH_HISTORY_FIELD = "hotornot_history";
+  const HEAD_TO_HEAD_FIELD = "hotornot_h2h";
+
+  // Custom field holding the unbounded hidden skill score (rating mappings other than "direct")
+  const SKILL_FIELD = "hotornot_skill";
+
+  // Custom field holding Glicko-2 rating, deviation and volatility (Glicko-2 engine only)
+  const GLICKO_FIELD = "hotornot_glicko";
+
+  // Maximum number of match log entries kept per item (oldest are dropped first)
+  const MATCH_HISTORY_LIMIT = 100;
+
+  // Custom field holding the opponent IDs of an item's last RECENT_OPPONENTS_LIMIT
+  // matches, so pairing doesn't have to parse the whole match log of every item
+  const RECENT_OPPONENTS_FIELD = "hotornot_recent";
+  const RECENT_OPPONENTS_LIMIT = 25;
+
+  // GraphQL update mutation and input type for each battle type
+  const ITEM_UPDATE_MUTATIONS = {
+    performers: { mutation: "performerUpdate", input: "PerformerUpdateInput" },
+    images: { mutation: "imageUpdate", input: "ImageUpdateInput" },
+    scenes: { mutation: "sceneUpdate", input: "SceneUpdateInput" },
+    galleries: { mutation: "galleryUpdate", input: "GalleryUpdateInput" },
+    studios: { mutation: "studioUpdate", input: "StudioUpdateInput" },
+    tags: { mutation: "tagUpdate", input: "TagUpdateInput" }
+  };
+
+  // Maximum number of comparisons that can be undone
+  const UNDO_LIMIT = 10;
+
+  // Number of gallery images shown in the preview strip under the cover
+  const GALLERY_PREVIEW_COUNT = 4;
+
+  // Number of top-rated scenes shown on a studio card
+  const STUDIO_TOP_SCENES_COUNT = 3;
+
+  // Tags have no rating100 field, so their rating lives in this custom field
+  const TAG_RATING_FIELD = "hotornot_rating";
+
+  // Performer fields kept separately for each rating dimension other than the
+  // one synced to rating100, as "<field>_<dimension>" (rating in hotornot_rating_<dimension>)
+  const DIMENSION_FIELDS = ["hotornot_stats", MATCH_HISTORY_FIELD, HEAD_TO_HEAD_FIELD, RECENT_OPPONENTS_FIELD, GLICKO_FIELD, SKILL_FIELD];
+
   // ============================================
   // GRAPHQL QUERIES
   // ============================================
@@ -42,6 +120,263 @@
     return result.data;
   }
 
+  // ============================================
+  // PLUGIN SETTINGS
+  // ============================================
+
+  // Plugin ID used by Stash for this plugin's configuration (the .yml file name)
+  const PLUGIN_ID = "hotornot";
+
+  // Defaults for settings declared in hotornot.yml
+  const DEFAULT_SETTINGS = {
+    ratingEngine: "elo",
+    ratingMapping: "direct",
+    swissPairing: "classic",
+    pairRepeatWindow: 10,
+    tierList: "S=90, A=75, B=55, C=35, D=1",
+    blindMode: false,
+    dimensions: "overall",
+    ratingDimension: "",
+    kFactorTiers: "0=16, 10=12, 30=8",
+    sceneCountMultipliers: "10=0.9, 20=0.8, 50=0.65, 100=0.5",
+    championKPercent: 50,
+    diminishingReturnsStart: 50,
+    diminishingReturnsCurve: 2,
+    matchWindows: "0=25, 21=15, 51=10",
+    sanityCheckPercent: 10,
+    recencyWeights: "0=0.1, 1=0.3, 6=0.6, 24=1",
+    includeMales: false,
+    includeMissingImages: false
+  };
+
+  // Swiss pairing strategies: "classic" (recency-weighted pick + rating window)
+  // or "smart" (most informative pair, see selectSmartSwissPair)
+  const SWISS_PAIRINGS = ["classic", "smart"];
+
+  // How rating100 is derived from the hidden skill score. "direct" means there is
+  // no hidden score: rating100 is the rating (clamped to 1-100)
+  const RATING_MAPPINGS = ["direct", "linear", "percentile", "normal"];
+
+  /**
+   * Normalize the free-text ratingEngine setting to a RATING_ENGINES key
+   * @param {*} value - Raw setting value
+   * @returns {string} "elo" or "glicko2"
+   */
+  function normalizeRatingEngine(value) {
+    const key = String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+    return key.startsWith("glicko") ? "glicko2" : "elo";
+  }
+
+  /**
+   * Parse the tierList setting: comma-separated NAME=lowest rating100, e.g.
+   * "S=90, A=75, B=55". Each tier's band runs up to just below the tier above.
+   * @param {*} value - Raw setting value
+   * @returns {Array} Tiers, best first: { name, min, max }
+   */
+  function normalizeTierList(value) {
+    const tiers = String(value || "").split(",")
+      .map(part => {
+        const [name, min] = part.split("=").map(text => (text || "").trim());
+        return { name, min: parseInt(min, 10) };
+      })
+      .filter(tier => tier.name && tier.min >= 1 && tier.min <= 100)
+      .sort((a, b) => b.min - a.min);
+
+    const distinct = new Set(tiers.map(tier => tier.min)).size === tiers.length;
+    if (tiers.length < 2 || !distinct) {
+      return value === DEFAULT_SETTINGS.tierList ? [] : normalizeTierList(DEFAULT_SETTINGS.tierList);
+    }
+    return tiers.map((tier, idx) => ({ ...tier, max: idx === 0 ? 100 : tiers[idx - 1].min - 1 }));
+  }
+
+  /**
+   * Parse the rating dimensions setting: "name=prompt" entries separated by ";"
+   * @param {string} value - Raw setting, e.g. "overall=Who do you prefer?; acting=Who's the better actor?"
+   * @returns {Array} { name, label, prompt } in setting order (at least one)
+   */
+  function normalizeDimensions(value) {
+    const seen = new Set();
+    const dimensions = String(value || "").split(";")
+      .map(part => {
+        const separator = part.indexOf("=");
+        const rawName = separator === -1 ? part : part.slice(0, separator);
+        const name = rawName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+        const label = capitalize(name.replace(/_/g, " "));
+        const prompt = separator === -1 ? "" : part.slice(separator + 1).trim();
+        return { name, label, prompt: prompt || `Which is better on ${label.toLowerCase()}?` };
+      })
+      .filter(dimension => {
+        if (!dimension.name || seen.has(dimension.name)) return false;
+        seen.add(dimension.name);
+        return true;
+      });
+
+    return dimensions.length > 0 ? dimensions : normalizeDimensions(DEFAULT_SETTINGS.dimensions);
+  }
+
+  /**
+   * Parse a threshold setting: comma-separated FROM=VALUE pairs, e.g. "0=16, 10=12, 30=8"
+   * means 16 below 10, 12 from 10 to 29 and 8 from 30 on
+   * @param {*} value - Raw setting value
+   * @param {string} fallback - Default setting text, used when the value has no valid pair
+   * @returns {Array} Thresholds, lowest first: { from, value }
+   */
+  function normalizeThresholds(value, fallback) {
+    const thresholds = String(value || "").split(",")
+      .map(part => {
+        const [from, amount] = part.split("=").map(text => parseFloat(text));
+        return { from, value: amount };
+      })
+      .filter(threshold => threshold.from >= 0 && threshold.value >= 0)
+      .sort((a, b) => a.from - b.from);
+
+    if (thresholds.length === 0 && value !== fallback) {
+      return normalizeThresholds(fallback, fallback);
+    }
+    return thresholds;
+  }
+
+  /**
+   * Format parsed thresholds back into setting text
+   * @param {Array} thresholds - Thresholds from normalizeThresholds
+   * @returns {string} e.g. "0=16, 10=12, 30=8"
+   */
+  function formatThresholds(thresholds) {
+    return thresholds.map(threshold => `${threshold.from}=${threshold.value}`).join(", ");
+  }
+
+  /**
+   * Look up the value for an amount in a threshold list
+   * @param {Array} thresholds - Thresholds from normalizeThresholds
+   * @param {number} amount - Match count, scene count, hours, pool size...
+   * @param {number} below - Value when the amount is below the lowest threshold
+   * @returns {number} Value of the highest threshold the amount reaches
+   */
+  function getThresholdValue(thresholds, amount, below) {
+    let result = below;
+    for (const threshold of thresholds) {
+      if (amount >= threshold.from) result = threshold.value;
+    }
+    return result;
+  }
+
+  /**
+   * Normalize a decimal setting into a range (settings may arrive as strings)
+   * @param {*} value - Raw setting value
+   * @param {number} fallback - Value to use when unset or invalid
+   * @param {number} min - Lowest allowed value
+   * @param {number} max - Highest allowed value
+   * @returns {number} Number between min and max
+   */
+  function normalizeNumber(value, fallback, min, max) {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+  }
+
+  /**
+   * Normalize a whole-number setting (settings may arrive as strings)
+   * @param {*} value - Raw setting value
+   * @param {number} fallback - Value to use when unset or invalid
+   * @returns {number} Non-negative integer
+   */
+  function normalizeCount(value, fallback) {
+    const number = parseInt(value, 10);
+    return isNaN(number) || number < 0 ? fallback : number;
+  }
+
+  /**
+   * Normalize stored setting values over the defaults
+   * @param {Object} stored - Raw settings as saved in the Stash configuration
+   * @returns {Object} Settings
+   */
+  function normalizeSettings(stored) {
+    const mapping = String(stored.ratingMapping || "").toLowerCase().trim();
+    const pairing = String(stored.swissPairing || "").toLowerCase().trim();
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      ratingEngine: normalizeRatingEngine(stored.ratingEngine || DEFAULT_SETTINGS.ratingEngine),
+      ratingMapping: RATING_MAPPINGS.includes(mapping) ? mapping : DEFAULT_SETTINGS.ratingMapping,
+      swissPairing: SWISS_PAIRINGS.includes(pairing) ? pairing : DEFAULT_SETTINGS.swissPairing,
+      pairRepeatWindow: normalizeCount(stored.pairRepeatWindow, DEFAULT_SETTINGS.pairRepeatWindow),
+      tierList: normalizeTierList(stored.tierList || DEFAULT_SETTINGS.tierList),
+      blindMode: stored.blindMode === true || stored.blindMode === "true",
+      dimensions: normalizeDimensions(stored.dimensions || DEFAULT_SETTINGS.dimensions),
+      kFactorTiers: normalizeThresholds(stored.kFactorTiers, DEFAULT_SETTINGS.kFactorTiers),
+      sceneCountMultipliers: normalizeThresholds(stored.sceneCountMultipliers, DEFAULT_SETTINGS.sceneCountMultipliers),
+      championKPercent: normalizeNumber(stored.championKPercent, DEFAULT_SETTINGS.championKPercent, 0, 100),
+      diminishingReturnsStart: normalizeNumber(stored.diminishingReturnsStart, DEFAULT_SETTINGS.diminishingReturnsStart, 1, 100),
+      diminishingReturnsCurve: normalizeNumber(stored.diminishingReturnsCurve, DEFAULT_SETTINGS.diminishingReturnsCurve, 0, 10),
+      matchWindows: normalizeThresholds(stored.matchWindows, DEFAULT_SETTINGS.matchWindows),
+      sanityCheckPercent: normalizeNumber(stored.sanityCheckPercent, DEFAULT_SETTINGS.sanityCheckPercent, 0, 100),
+      recencyWeights: normalizeThresholds(stored.recencyWeights, DEFAULT_SETTINGS.recencyWeights),
+      includeMales: stored.includeMales === true || stored.includeMales === "true",
+      includeMissingImages: stored.includeMissingImages === true || stored.includeMissingImages === "true"
+    };
+    // The synced dimension defaults to the first one
+    const synced = String(stored.ratingDimension || "").trim().toLowerCase();
+    settings.ratingDimension = settings.dimensions.some(d => d.name === synced)
+      ? synced
+      : settings.dimensions[0].name;
+    return settings;
+  }
+
+  /**
+   * Settings in effect: the loaded settings, or the defaults before the modal has loaded them
+   * @returns {Object} Settings
+   */
+  function getSettings() {
+    return pluginSettings || normalizeSettings({});
+  }
+
+  /**
+   * Fetch this plugin's raw stored settings from the Stash configuration
+   * @returns {Object} Stored settings (empty if none were saved)
+   */
+  async function fetchStoredSettings() {
+    const result = await graphqlQuery(`
+      query HotOrNotConfiguration {
+        configuration {
+          plugins
+        }
+      }
+    `);
+    return (result.configuration.plugins || {})[PLUGIN_ID] || {};
+  }
+
+  /**
+   * Load this plugin's settings from the Stash configuration, falling back to defaults
+   * @returns {Object} Settings
+   */
+  async function loadPluginSettings() {
+    let stored = {};
+    try {
+      stored = await fetchStoredSettings();
+    } catch (e) {
+      console.warn("[HotOrNot] Could not load plugin settings, using defaults:", e);
+    }
+
+    pluginSettings = normalizeSettings(stored);
+    console.log("[HotOrNot] Plugin settings:", pluginSettings);
+    return pluginSettings;
+  }
+
+  /**
+   * Save settings to the Stash configuration (merged over the stored ones) and reload them
+   * @param {Object} changes - Raw setting values to save, keyed by setting name
+   * @returns {Object} Reloaded settings
+   */
+  async function savePluginSettings(changes) {
+    // configurePlugin replaces the whole settings map, so keep the other settings
+    const stored = await fetchStoredSettings();
+    await graphqlQuery(`
+      mutation ConfigureHotOrNot($plugin_id: ID!, $input: Map!) {
+        configurePlugin(plugin_id: $plugin_id, input: $input)
+      }
+    `, { plugin_id: PLUGIN_ID, input: { ...stored, ...changes } });
+    return loadPluginSettings();
+  }
+
   const PERFORMER_FRAGMENT = `
     id
     name
@@ -59,12 +394,79 @@
   const IMAGE_FRAGMENT = `
     id
     rating100
+    custom_fields
     paths {
       thumbnail
       image
     }
   `;
 
+  const SCENE_FRAGMENT = `
+    id
+    title
+    date
+    rating100
+    custom_fields
+    files {
+      basename
+      duration
+    }
+    paths {
+      screenshot
+      preview
+    }
+    studio {
+      name
+    }
+    performers {
+      name
+    }
+  `;
+
+  const STUDIO_FRAGMENT = `
+    id
+    name
+    image_path
+    rating100
+    custom_fields
+    scene_count
+  `;
+
+  const TAG_FRAGMENT = `
+    id
+    name
+    image_path
+    custom_fields
+    scene_count
+    image_count
+    gallery_count
+    performer_count
+  `;
+
+  const GALLERY_FRAGMENT = `
+    id
+    title
+    date
+    rating100
+    custom_fields
+    image_count
+    paths {
+      cover
+    }
+    files {
+      basename
+    }
+    folder {
+      path
+    }
+    studio {
+      name
+    }
+    performers {
+      name
+    }
+  `;
+
   // ============================================
   // URL FILTER PARSING
   // ============================================
@@ -722,21 +1124,270 @@
     return filter;
   }
 
-  function createVictoryScreen(champion) {
-    // Handle performers and images
-    let title, imagePath;
+  // Stash URL labels for the resolution criterion mapped to GraphQL ResolutionEnum values
+  const RESOLUTION_LABELS = {
+    '144p': 'VERY_LOW',
+    '240p': 'LOW',
+    '360p': 'R360P',
+    '480p': 'STANDARD',
+    '540p': 'WEB_HD',
+    '720p': 'STANDARD_HD',
+    '1080p': 'FULL_HD',
+    '1440p': 'QUAD_HD',
+    '4k': 'FOUR_K',
+    '5k': 'FIVE_K',
+    '6k': 'SIX_K',
+    '7k': 'SEVEN_K',
+    '8k': 'EIGHT_K',
+    'huge': 'HUGE'
+  };
+
+  /**
+   * Extract IDs from a multi-select criterion value ({ items: [...] } or a plain array)
+   * @param {*} value - Criterion value from URL
+   * @returns {Array} IDs
+   */
+  function extractCriterionIds(value) {
+    const items = Array.isArray(value) ? value : (value && value.items) || [];
+    return items.map(item => {
+      if (typeof item === 'object' && item !== null && 'id' in item) {
+        return item.id;
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Convert a single criterion from URL format to GraphQL ImageFilterType,
+   * SceneFilterType or GalleryFilterType format. Criteria that have the same shape for these types
+   * and performers (tags, studios, rating, o_counter, dates...) are delegated
+   * to convertCriterionToFilter.
+   * @param {Object} criterion - Single criterion object from URL
+   * @returns {Object|null} GraphQL filter object or null if not applicable
+   */
+  function convertCriterionToItemFilter(criterion) {
+    if (!criterion || !criterion.type) {
+      return null;
+    }
+
+    const { type, value, modifier } = criterion;
+
+    switch (type) {
+      case 'tags':
+      case 'studios':
+      case 'rating':
+      case 'rating100':
+      case 'o_counter':
+      case 'url':
+      case 'details':
+      case 'created_at':
+      case 'updated_at':
+      case 'is_missing':
+      case 'stash_id_endpoint':
+        return convertCriterionToFilter(criterion);
+
+      case 'performers':
+      case 'galleries':
+      case 'scenes': {
+        // MultiCriterionInput - plain ID list, no depth
+        const ids = extractCriterionIds(value);
+        if (ids.length > 0) {
+          return {
+            [type]: {
+              value: ids,
+              modifier: modifier || 'INCLUDES_ALL'
+            }
+          };
+        }
+        break;
+      }
+
+      case 'performer_tags':
+      case 'groups': {
+        // HierarchicalMultiCriterionInput - ID list with depth
+        const ids = extractCriterionIds(value);
+        if (ids.length > 0) {
+          return {
+            [type]: {
+              value: ids,
+              modifier: modifier || 'INCLUDES',
+              depth: (value && value.depth) || 0
+            }
+          };
+        }
+        break;
+      }
+
+      case 'organized':
+      case 'performer_favorite':
+      case 'interactive':
+      case 'is_zip':
+        if (value !== undefined && value !== null) {
+          const boolValue = extractSimpleValue(value);
+          return {
+            [type]: boolValue === true || boolValue === 'true'
+          };
+        }
+        break;
+
+      case 'resolution':
+        if (value) {
+          const resolutionValue = extractSimpleValue(value);
+          if (resolutionValue) {
+            const key = String(resolutionValue).toLowerCase();
+            return {
+              resolution: {
+                value: RESOLUTION_LABELS[key] || resolutionValue,
+                modifier: modifier || 'EQUALS'
+              }
+            };
+          }
+        }
+        break;
+
+      case 'orientation':
+        if (value) {
+          const orientations = extractSimpleValue(value);
+          const list = Array.isArray(orientations) ? orientations : [orientations];
+          if (list.length > 0 && list[0]) {
+            return {
+              orientation: {
+                value: list.map(o => String(o).toUpperCase())
+              }
+            };
+          }
+        }
+        break;
+
+      case 'file_count':
+      case 'tag_count':
+      case 'performer_count':
+      case 'performer_age':
+      case 'image_count':
+      case 'duration':
+      case 'play_count':
+      case 'play_duration':
+      case 'resume_time':
+      case 'framerate':
+      case 'bitrate':
+      case 'interactive_speed':
+        if (value !== undefined && value !== null) {
+          return {
+            [type]: createNumericFilterObject(value, modifier, 'GREATER_THAN')
+          };
+        }
+        break;
+
+      case 'title':
+      case 'path':
+      case 'photographer':
+      case 'code':
+      case 'director':
+      case 'video_codec':
+      case 'audio_codec':
+      case 'oshash':
+      case 'checksum':
+        if (value) {
+          const textValue = extractSimpleValue(value);
+          if (textValue) {
+            return {
+              [type]: {
+                value: textValue,
+                modifier: modifier || 'INCLUDES'
+              }
+            };
+          }
+        }
+        break;
+
+      case 'date':
+        if (value) {
+          const dateValue = extractSimpleValue(value);
+          if (dateValue) {
+            const dateFilter = {
+              value: dateValue,
+              modifier: modifier || 'EQUALS'
+            };
+            if (typeof value === 'object' && value.value2) {
+              dateFilter.value2 = value.value2;
+            }
+            return { date: dateFilter };
+          }
+        }
+        break;
+
+      default:
+        console.log(`[HotOrNot] Unknown criterion type: ${type}`);
+        return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse URL filters and convert them to GraphQL ImageFilterType, SceneFilterType or GalleryFilterType format
+   * @returns {Object} GraphQL filter object
+   */
+  function getUrlItemFilter() {
+    const criteria = parseUrlFilterCriteria();
+    const filter = {};
     
-    if (battleType === "performers") {
-      // Performer
-      title = champion.name || `Performer #${champion.id}`;
-      imagePath = champion.image_path;
-    } else {
-      // Image
-      title = `Image #${champion.id}`;
-      imagePath = champion.paths && champion.paths.thumbnail ? champion.paths.thumbnail : null;
+    console.log('[HotOrNot] Converting', criteria.length, 'criteria to page filter');
+    
+    for (const criterion of criteria) {
+      const filterPart = convertCriterionToItemFilter(criterion);
+      if (filterPart) {
+        console.log('[HotOrNot] Converted criterion:', criterion, 'to filter part:', filterPart);
+        Object.assign(filter, filterPart);
+      } else {
+        console.log('[HotOrNot] Could not convert criterion:', criterion);
+      }
     }
     
-    const itemType = battleType === "performers" ? "performers" : "images";
+    console.log('[HotOrNot] Final page filter:', filter);
+    return filter;
+  }
+
+  /**
+   * Get the title and image to display for an item of the current battle type
+   * @param {Object} item - Performer, image or scene object
+   * @returns {Object} { title, imagePath }
+   */
+  function getItemDisplayInfo(item) {
+    if (battleType === "performers") {
+      return {
+        title: item.name || `Performer #${item.id}`,
+        imagePath: item.image_path || null
+      };
+    }
+    if (battleType === "scenes") {
+      return {
+        title: getSceneTitle(item),
+        imagePath: item.paths && item.paths.screenshot ? item.paths.screenshot : null
+      };
+    }
+    if (battleType === "galleries") {
+      return {
+        title: getGalleryTitle(item),
+        imagePath: item.paths && item.paths.cover ? item.paths.cover : null
+      };
+    }
+    if (battleType === "studios" || battleType === "tags") {
+      const label = battleType === "studios" ? "Studio" : "Tag";
+      return {
+        title: item.name || `${label} #${item.id}`,
+        imagePath: item.image_path || null
+      };
+    }
+    return {
+      title: `Image #${item.id}`,
+      imagePath: item.paths && item.paths.thumbnail ? item.paths.thumbnail : null
+    };
+  }
+
+  function createVictoryScreen(champion, buttonLabel = "Start New Gauntlet") {
+    const { title, imagePath } = getItemDisplayInfo(champion);
+    const itemType = BATTLE_TYPE_LABELS[battleType].plural;
     
     return `
       <div class="hon-victory-screen">
@@ -750,7 +1401,7 @@
         </div>
         <h3 class="hon-victory-name">${title}</h3>
         <p class="hon-victory-stats">Conquered all ${totalItemsCount} ${itemType} with a ${gauntletWins} win streak!</p>
-        <button id="hon-new-gauntlet" class="btn btn-primary">Start New Gauntlet</button>
+        <button id="hon-new-gauntlet" class="btn btn-primary">${buttonLabel}</button>
       </div>
     `;
   }
@@ -759,18 +1410,7 @@
     const comparisonArea = document.getElementById("hon-comparison-area");
     if (!comparisonArea) return;
     
-    // Handle performers and images
-    let title, imagePath;
-    
-    if (battleType === "performers") {
-      // Performer
-      title = item.name || `Performer #${item.id}`;
-      imagePath = item.image_path;
-    } else {
-      // Image
-      title = `Image #${item.id}`;
-      imagePath = item.paths && item.paths.thumbnail ? item.paths.thumbnail : null;
-    }
+    const { title, imagePath } = getItemDisplayInfo(item);
     
     comparisonArea.innerHTML = `
       <div class="hon-victory-screen">
@@ -785,7 +1425,7 @@
         <h3 class="hon-victory-name">${title}</h3>
         <p class="hon-victory-stats">
           Rank <strong>#${rank}</strong> of ${totalItemsCount}<br>
-          Rating: <strong>${finalRating}/100</strong>
+          Rating: <strong>${scoreToRating100(finalRating)}/100</strong>
         </p>
         <button id="hon-new-gauntlet" class="btn btn-primary">Start New Run</button>
       </div>
@@ -803,6 +1443,9 @@
     gauntletChampion = null;
     gauntletWins = 0;
     gauntletDefeated = [];
+    saveCurrentRun();
+    // Nothing left to choose on this screen, so let Undo through
+    disableChoice = false;
     
     // Attach button handler
     const newBtn = comparisonArea.querySelector("#hon-new-gauntlet");
@@ -814,47 +1457,6 @@
     }
   }
 
-  async function updatePerformerRating(performerId, newRating, performerObj = null, won = null) {
-    const mutation = `
-      mutation UpdatePerformerCustomFields($id: ID!, $rating: Int!, $fields: Map) {
-        performerUpdate(input: {
-          id: $id,
-          rating100: $rating,
-          custom_fields: {
-            partial: $fields
-          }
-        }) {
-          id
-          rating100
-          custom_fields
-        }
-      }
-    `;
-  
-    const variables = {
-      id: performerId,
-      rating: Math.round(newRating)
-    };
-    
-    // Update stats if performer object provided (won can be true/false/null)
-    // won=true: winner with full stats, won=false: loser with full stats, won=null: participation only (no win/loss)
-    // Check for won !== undefined to handle all three cases (true, false, null)
-    if (performerObj && battleType === "performers" && won !== undefined) {
-      const currentStats = parsePerformerEloData(performerObj);
-      
-      // Update stats based on match outcome
-      const newStats = updatePerformerStats(currentStats, won);
-      
-      // Save stats as JSON string in custom field
-      variables.fields = {
-        hotornot_stats: JSON.stringify(newStats)
-      };
-    }
-    
-    return await graphqlQuery(mutation, variables);
-  }
-
-
   // ============================================
   // RATING LOGIC
   // ============================================
@@ -1017,24 +1619,15 @@
    * @returns {number} K-factor value
    */
   function getKFactor(currentRating, matchCount = null, mode = "swiss", sceneCount = null) {
+    const settings = getSettings();
     let baseKFactor;
     
     // If match count is available, use it for more accurate K-factor
-    // K-factor ranges follow a reduced USCF/FIDE approach for slower rating changes:
+    // K-factor tiers (kFactorTiers setting) follow a reduced USCF/FIDE approach for
+    // slower rating changes: by default 16 under 10 matches, 12 under 30, then 8.
     // This makes it harder to jump to extreme ratings quickly
     if (matchCount !== null && matchCount !== undefined) {
-      // New performers: Moderate K-factor for convergence (reduced from 32)
-      if (matchCount < 10) {
-        baseKFactor = 16;
-      }
-      // Moderately established: Lower K-factor (reduced from 24)
-      else if (matchCount < 30) {
-        baseKFactor = 12;
-      }
-      // Well-established (30+ matches): Low K-factor for stability (reduced from 16)
-      else {
-        baseKFactor = 8;
-      }
+      baseKFactor = getThresholdValue(settings.kFactorTiers, matchCount, settings.kFactorTiers[0].value);
     } else {
       // Fallback to rating-based heuristic (legacy behavior)
       // Items near the default rating (50) are likely less established
@@ -1053,33 +1646,19 @@
     // Apply scene count weighting for performers
     // Performers with more scenes get lower K-factor (more stable ratings)
     // This reflects that performers with extensive filmography have more "evidence" 
-    // of their quality and their rating should be more stable
+    // of their quality and their rating should be more stable.
+    // By default (sceneCountMultipliers setting): 90% from 10 scenes, 80% from 20,
+    // 65% from 50 and 50% from 100; fewer scenes keep the full K-factor
     if (sceneCount !== null && sceneCount !== undefined && sceneCount > 0) {
-      let sceneMultiplier = 1.0;
-      
-      if (sceneCount >= 100) {
-        // Very prolific performers: 50% K-factor (very stable)
-        sceneMultiplier = 0.5;
-      } else if (sceneCount >= 50) {
-        // Prolific performers: 65% K-factor
-        sceneMultiplier = 0.65;
-      } else if (sceneCount >= 20) {
-        // Established performers: 80% K-factor
-        sceneMultiplier = 0.8;
-      } else if (sceneCount >= 10) {
-        // Moderately established: 90% K-factor
-        sceneMultiplier = 0.9;
-      }
-      // Performers with < 10 scenes: full K-factor (no reduction)
-      
+      const sceneMultiplier = getThresholdValue(settings.sceneCountMultipliers, sceneCount, 1.0);
       baseKFactor = Math.max(2, Math.round(baseKFactor * sceneMultiplier));
     }
     
     // Apply mode-specific multiplier
-    // Champion mode: 0.5x K-factor (half the rating change of Swiss mode)
-    // This allows ratings to update but at a much slower pace
+    // Champion mode: championKPercent of the K-factor (default 50%, half the rating
+    // change of Swiss mode). This allows ratings to update but at a slower pace
     if (mode === "champion") {
-      return Math.max(1, Math.round(baseKFactor * 0.5));
+      return Math.max(1, Math.round(baseKFactor * settings.championKPercent / 100));
     }
     
     // Swiss and gauntlet modes use full K-factor
@@ -1098,17 +1677,20 @@
     if (baseGain <= 0) return baseGain;
     
     // Calculate how close we are to the ceiling (100)
-    // The multiplier decreases as we approach 100
+    // The multiplier decreases as we approach 100. With the default settings
+    // (diminishingReturnsStart 50, diminishingReturnsCurve 2):
     // At rating 50: multiplier = 1.0 (full gain)
     // At rating 75: multiplier = 0.25
     // At rating 90: multiplier = 0.04
     // At rating 95: multiplier = 0.01
+    const { diminishingReturnsStart, diminishingReturnsCurve } = getSettings();
     const distanceFromCeiling = 100 - currentRating;
+    const span = Math.max(1, 100 - diminishingReturnsStart);
     
-    // Use a quadratic curve for smooth diminishing returns
-    // Formula: multiplier = (distance / 50)^2, clamped between 0 and 1
+    // Use a power curve for smooth diminishing returns
+    // Formula: multiplier = (distance / span)^curve, clamped between 0 and 1
     // This creates a smooth curve that gets progressively steeper near 100
-    const multiplier = Math.min(1, Math.pow(distanceFromCeiling / 50, 2));
+    const multiplier = Math.min(1, Math.pow(Math.max(0, distanceFromCeiling) / span, diminishingReturnsCurve));
     
     // Ensure at least 1 point can be gained if baseGain > 0 and not at the absolute ceiling
     const adjustedGain = Math.round(baseGain * multiplier);
@@ -1138,6 +1720,11 @@
     if (currentMode === "champion") {
       return true;
     }
+
+    // Tournament, round robin and tier refinement matches count fully for both sides
+    if (currentMode === "tournament" || currentMode === "roundrobin" || currentMode === "tierlist") {
+      return true;
+    }
     
     // In Gauntlet mode, only champion/falling performers are active
     if (currentMode === "gauntlet") {
@@ -1165,111 +1752,764 @@
     return false;
   }
 
+  // ============================================
+  // RATING ENGINES
+  // ============================================
+  // A rating engine turns one match result into rating changes. Every engine
+  // implements the same two methods:
+  //
+  //   rateWin({ mode, winner, loser, dethroned })
+  //     -> { winnerChange, loserChange, winnerFields?, loserFields? }
+  //   rateDraw({ mode, left, right })
+  //     -> { leftChange, rightChange, leftFields?, rightFields? }
+  //
+  // Each side is { item, rating, matchCount, sceneCount, moves }, where `moves`
+  // is false for Gauntlet defenders whose rating must stay put. Changes are
+  // signed rating100 deltas; the optional *Fields are extra custom fields the
+  // engine wants persisted on that item. Mode rules that apply to every engine
+  // (who moves, the winner-above-loser clamp) stay in handleComparison.
+
+  /**
+   * Logistic expected score on the rating100 scale (40 points = 10x odds)
+   * @param {number} rating - Player rating
+   * @param {number} opponentRating - Opponent rating
+   * @returns {number} Expected score between 0 and 1
+   */
+  function eloExpectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 40));
+  }
+
+  const eloEngine = {
+    label: "ELO",
+
+    rateWin({ mode, winner, loser, dethroned }) {
+      const expectedWinner = eloExpectedScore(winner.rating, loser.rating);
+      let winnerGain = 0;
+      let loserLoss = 0;
+
+      if (mode === "gauntlet") {
+        // The active item's K-factor drives the exchange
+        const kFactor = getKFactor(winner.rating, winner.matchCount, "gauntlet", winner.sceneCount);
+
+        if (winner.moves) {
+          const baseGain = Math.max(0, Math.round(kFactor * (1 - expectedWinner)));
+          // Apply diminishing returns - harder to gain points at higher ratings
+          // (the hidden skill score has no ceiling, so it doesn't need them)
+          winnerGain = usesSkillScore() ? baseGain : applyDiminishingReturns(winner.rating, baseGain);
+        }
+
+        if (dethroned) {
+          // The ELO formula naturally penalizes the #1 significantly because their
+          // "Expected Score" was nearly 100%, making the upset very costly
+          const loserK = getKFactor(loser.rating, loser.matchCount, "gauntlet", loser.sceneCount);
+          // expectedWinner is from winner's perspective, so expectedLoser = 1 - expectedWinner
+          // loserLoss = K * (1 - expectedLoser) = K * expectedWinner (same as normal ELO loss)
+          loserLoss = Math.max(1, Math.round(loserK * expectedWinner));
+        } else if (loser.moves) {
+          loserLoss = Math.max(0, Math.round(kFactor * expectedWinner));
+        }
+      } else {
+        // Swiss: true ELO - both change based on expected outcome.
+        // Champion: same, with getKFactor's 50% champion multiplier
+        const winnerK = getKFactor(winner.rating, winner.matchCount, mode, winner.sceneCount);
+        const loserK = getKFactor(loser.rating, loser.matchCount, mode, loser.sceneCount);
+
+        // Calculate changes using their respective K-factors
+        const baseGain = Math.max(0, Math.round(winnerK * (1 - expectedWinner)));
+        // Apply diminishing returns - harder to gain points at higher ratings
+        winnerGain = usesSkillScore() ? baseGain : applyDiminishingReturns(winner.rating, baseGain);
+        loserLoss = Math.max(0, Math.round(loserK * expectedWinner));
+      }
+
+      return { winnerChange: winnerGain, loserChange: -loserLoss };
+    },
+
+    rateDraw({ mode, left, right }) {
+      const expectedLeft = eloExpectedScore(left.rating, right.rating);
+      const expectedRight = 1 - expectedLeft;
+
+      const leftK = getKFactor(left.rating, left.matchCount, mode, left.sceneCount);
+      const rightK = getKFactor(right.rating, right.matchCount, mode, right.sceneCount);
+
+      // Draw gives score of 0.5 to both
+      // Change = K * (0.5 - Expected)
+      // If Expected > 0.5 (favorite), you lose rating for drawing
+      // If Expected < 0.5 (underdog), you gain rating for drawing
+      let leftChange = Math.round(leftK * (0.5 - expectedLeft));
+      let rightChange = Math.round(rightK * (0.5 - expectedRight));
+
+      // Ensure there's a minimum effect when there's a significant rating difference
+      // If ratings differ by at least 5 points, ensure at least a 1-point change
+      // This prevents "skip does nothing" when there's a noticeable rating gap
+      const ratingDiff = Math.abs(left.rating - right.rating);
+      if (ratingDiff >= 5 && leftChange === 0 && rightChange === 0) {
+        // Higher rated item should lose 1 point, lower rated gains 1 point
+        if (left.rating > right.rating) {
+          leftChange = -1;
+          rightChange = 1;
+        } else {
+          leftChange = 1;
+          rightChange = -1;
+        }
+      }
+
+      return { leftChange, rightChange };
+    }
+  };
+
+  // Glicko-2 constants (Glickman, "Example of the Glicko-2 system")
+  const GLICKO_SCALE = 173.7178;
+  const GLICKO_DEFAULT_RD = 350;
+  const GLICKO_MIN_RD = 30;
+  const GLICKO_DEFAULT_VOLATILITY = 0.06;
+  const GLICKO_TAU = 0.5;
+  const GLICKO_EPSILON = 0.000001;
+
+  /**
+   * Convert a rating100 value to the Glicko rating scale.
+   * Uses the same spread as the ELO engine: 1 rating100 point = 10 Glicko points, 50 = 1500.
+   * @param {number} rating100 - Rating on the 1-100 scale
+   * @returns {number} Glicko rating
+   */
+  function rating100ToGlicko(rating100) {
+    return 1500 + (rating100 - 50) * 10;
+  }
+
+  /**
+   * Convert a Glicko rating back to rating100 (unrounded, unclamped)
+   * @param {number} glickoRating - Glicko rating
+   * @returns {number} Rating on the 1-100 scale
+   */
+  function glickoToRating100(glickoRating) {
+    return 50 + (glickoRating - 1500) / 10;
+  }
+
+  /**
+   * Read an item's Glicko-2 state from its hotornot_glicko custom field.
+   * The stored rating is only trusted while it still rounds to the item's rating100;
+   * if the rating was changed elsewhere (ELO, Gauntlet placement, manual edit)
+   * the rating100 wins. Items with no Glicko record start with an RD that
+   * shrinks with the matches they already played.
+   * @param {Object} side - Engine side ({ item, rating, matchCount })
+   * @returns {Object} { rating, rd, volatility } on the Glicko scale
+   */
+  function getGlickoState(side) {
+    const stored = parseJsonCustomField(side.item, GLICKO_FIELD, {});
+    const matchCount = side.matchCount || 0;
+
+    const storedRating = typeof stored.rating === "number" ? stored.rating : null;
+    const ratingInSync = storedRating !== null &&
+      Math.round(glickoToRating100(storedRating)) === Math.round(side.rating);
+
+    return {
+      rating: ratingInSync ? storedRating : rating100ToGlicko(side.rating),
+      rd: typeof stored.rd === "number"
+        ? stored.rd
+        : Math.max(GLICKO_MIN_RD, GLICKO_DEFAULT_RD / Math.sqrt(1 + matchCount)),
+      volatility: typeof stored.volatility === "number" ? stored.volatility : GLICKO_DEFAULT_VOLATILITY
+    };
+  }
+
+  /**
+   * Run one Glicko-2 rating period containing a single game
+   * @param {Object} player - { rating, rd, volatility } on the Glicko scale
+   * @param {Object} opponent - Opponent's pre-match { rating, rd }
+   * @param {number} score - 1 for a win, 0.5 for a draw, 0 for a loss
+   * @returns {Object} Updated { rating, rd, volatility }
+   */
+  function glicko2Update(player, opponent, score) {
+    const mu = (player.rating - 1500) / GLICKO_SCALE;
+    const phi = player.rd / GLICKO_SCALE;
+    const sigma = player.volatility;
+    const muJ = (opponent.rating - 1500) / GLICKO_SCALE;
+    const phiJ = opponent.rd / GLICKO_SCALE;
+
+    const g = 1 / Math.sqrt(1 + 3 * phiJ * phiJ / (Math.PI * Math.PI));
+    const expected = 1 / (1 + Math.exp(-g * (mu - muJ)));
+    const v = 1 / (g * g * expected * (1 - expected));
+    const delta = v * g * (score - expected);
+
+    // New volatility via the Illinois algorithm
+    const a = Math.log(sigma * sigma);
+    const tau2 = GLICKO_TAU * GLICKO_TAU;
+    const f = x => {
+      const ex = Math.exp(x);
+      const d = phi * phi + v + ex;
+      return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / tau2;
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+      B = Math.log(delta * delta - phi * phi - v);
+    } else {
+      let k = 1;
+      while (f(a - k * GLICKO_TAU) < 0) k++;
+      B = a - k * GLICKO_TAU;
+    }
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > GLICKO_EPSILON) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA = fA / 2;
+      }
+      B = C;
+      fB = fC;
+    }
+    const newSigma = Math.exp(A / 2);
+
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * g * (score - expected);
+
+    return {
+      rating: newMu * GLICKO_SCALE + 1500,
+      rd: Math.min(GLICKO_DEFAULT_RD, Math.max(GLICKO_MIN_RD, newPhi * GLICKO_SCALE)),
+      volatility: newSigma
+    };
+  }
+
+  /**
+   * Rate one side of a Glicko-2 match
+   * @param {Object} side - Engine side being rated
+   * @param {Object} opponent - Engine side it played against
+   * @param {number} score - 1, 0.5 or 0
+   * @param {string} mode - Current game mode
+   * @returns {Object} { change, fields }
+   */
+  function rateGlickoSide(side, opponent, score, mode) {
+    if (!side.moves) {
+      return { change: 0, fields: null };
+    }
+
+    const state = getGlickoState(side);
+    const updated = glicko2Update(state, getGlickoState(opponent), score);
+
+    // Champion mode keeps its "reduced rating changes" character under any engine
+    if (mode === "champion") {
+      updated.rating = state.rating + (updated.rating - state.rating) * 0.5;
+    }
+
+    // Keep the stored rating inside the range rating100 can represent
+    // (the hidden skill score is unbounded)
+    if (!usesSkillScore()) {
+      updated.rating = Math.min(rating100ToGlicko(100), Math.max(rating100ToGlicko(1), updated.rating));
+    }
+
+    return {
+      change: Math.round(glickoToRating100(updated.rating)) - Math.round(side.rating),
+      fields: { [GLICKO_FIELD]: JSON.stringify(updated) }
+    };
+  }
+
+  const glicko2Engine = {
+    label: "Glicko-2",
+
+    rateWin({ mode, winner, loser }) {
+      const winnerResult = rateGlickoSide(winner, loser, 1, mode);
+      const loserResult = rateGlickoSide(loser, winner, 0, mode);
+      return {
+        winnerChange: Math.max(0, winnerResult.change),
+        loserChange: Math.min(0, loserResult.change),
+        winnerFields: winnerResult.fields,
+        loserFields: loserResult.fields
+      };
+    },
+
+    rateDraw({ mode, left, right }) {
+      const leftResult = rateGlickoSide(left, right, 0.5, mode);
+      const rightResult = rateGlickoSide(right, left, 0.5, mode);
+      return {
+        leftChange: leftResult.change,
+        rightChange: rightResult.change,
+        leftFields: leftResult.fields,
+        rightFields: rightResult.fields
+      };
+    }
+  };
+
+  // Available rating engines, keyed by the ratingEngine plugin setting
+  const RATING_ENGINES = {
+    elo: eloEngine,
+    glicko2: glicko2Engine
+  };
+
+  /**
+   * Get the rating engine selected in the plugin settings
+   * @returns {Object} Rating engine
+   */
+  function getRatingEngine() {
+    return (pluginSettings && RATING_ENGINES[pluginSettings.ratingEngine]) || eloEngine;
+  }
+
+  /**
+   * Persist extra custom fields returned by a rating engine
+   * @param {string} itemId - Item ID
+   * @param {Object|null} fields - Fields to write, if any
+   */
+  async function saveEngineFields(itemId, fields) {
+    if (!fields) return;
+    try {
+      await updateItemCustomFields(itemId, fields);
+    } catch (e) {
+      console.error(`[HotOrNot] Failed to save rating engine state for ${itemId}:`, e);
+    }
+  }
+
+  // ============================================
+  // HIDDEN SKILL SCORE
+  // ============================================
+  // With the ratingMapping setting on "direct", the rating engines work on
+  // rating100 itself. With any other mapping they work on an unbounded skill
+  // score kept in the hotornot_skill custom field - no 1-100 clamp and no
+  // diminishing returns - and rating100 is derived from it for display:
+  //   linear:     lowest..highest skill in the library -> 1..100
+  //   percentile: share of the library with a lower skill -> 1..100
+  //   normal:     z-score, mean -> 50 and ±3 standard deviations -> 1..100
+
+  // GraphQL query, result key and card fragment for each battle type
+  const ITEM_FIND_QUERIES = {
+    performers: { query: "findPerformers", key: "performers", fragment: PERFORMER_FRAGMENT },
+    images: { query: "findImages", key: "images", fragment: IMAGE_FRAGMENT },
+    scenes: { query: "findScenes", key: "scenes", fragment: SCENE_FRAGMENT },
+    galleries: { query: "findGalleries", key: "galleries", fragment: GALLERY_FRAGMENT },
+    studios: { query: "findStudios", key: "studios", fragment: STUDIO_FRAGMENT },
+    tags: { query: "findTags", key: "tags", fragment: TAG_FRAGMENT }
+  };
+
+  /**
+   * Whether ratings are computed on the hidden skill score
+   * @returns {boolean}
+   */
+  function usesSkillScore() {
+    return Boolean(pluginSettings) && pluginSettings.ratingMapping !== "direct";
+  }
+
+  /**
+   * Get the score the rating engines work on for an item: its hidden skill in
+   * skill mode (falling back to rating100 until it has one), else rating100
+   * @param {Object} item - Item object with rating100 and custom_fields
+   * @returns {number} Score
+   */
+  function getItemScore(item) {
+    if (usesSkillScore() && item && item.custom_fields) {
+      const skill = parseFloat(item.custom_fields[SKILL_FIELD]);
+      if (!isNaN(skill)) return skill;
+    }
+    return (item && item.rating100) || 50;
+  }
+
+  /**
+   * Keep an in-memory item in sync after its score changes
+   * @param {Object} item - Item object to update
+   * @param {number} score - New score
+   */
+  function setItemScore(item, score) {
+    if (usesSkillScore()) {
+      item.custom_fields = { ...(item.custom_fields || {}), [SKILL_FIELD]: String(score) };
+    }
+    item.rating100 = scoreToRating100(score);
+  }
+
+  /**
+   * Clamp a newly computed score: rating100 stays within 1-100, skill is unbounded
+   * @param {number} score - Score
+   * @returns {number} Clamped score
+   */
+  function clampScore(score) {
+    return usesSkillScore() ? score : Math.min(100, Math.max(1, score));
+  }
+
+  /**
+   * Score given to an item placed at the very bottom in Gauntlet
+   * @returns {number} Score
+   */
+  async function getFloorScore() {
+    await ensureSkillPopulation();
+    if (!usesSkillScore() || !skillPopulation || skillPopulation.size === 0) {
+      return 1;
+    }
+    return getScoreRange(skillPopulation.values()).min - 1;
+  }
+
+  /**
+   * Lowest and highest of a set of scores (a loop, so large libraries can't overflow the call stack)
+   * @param {Iterable} scores - Scores
+   * @returns {Object} { min, max } (Infinity/-Infinity when empty)
+   */
+  function getScoreRange(scores) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const score of scores) {
+      if (score < min) min = score;
+      if (score > max) max = score;
+    }
+    return { min, max };
+  }
+
+  // Items per request when loading skill scores
+  const SKILL_POPULATION_PAGE_SIZE = 1000;
+
+  /**
+   * Load the skill score of every item of the current battle type, a page at a time.
+   * Percentile, linear and normal mappings are relative to the whole library,
+   * not the current filter, so rating100 means the same thing everywhere.
+   * @returns {Promise<Map>} Item ID -> skill score
+   */
+  async function loadSkillPopulation() {
+    const { query, key } = ITEM_FIND_QUERIES[battleType];
+    const population = new Map();
+    for (let page = 1; ; page++) {
+      const result = await graphqlQuery(`
+        query LoadSkillPopulation($filter: FindFilterType) {
+          ${query}(filter: $filter) {
+            count
+            ${key} {
+              id
+              ${battleType === "tags" ? "" : "rating100"}
+              custom_fields
+            }
+          }
+        }
+      `, { filter: { per_page: SKILL_POPULATION_PAGE_SIZE, page, sort: "id", direction: "ASC" } });
+
+      const items = result[query][key] || [];
+      for (const item of items) {
+        normalizeItemRating(item);
+        const hasSkill = item.custom_fields && !isNaN(parseFloat(item.custom_fields[SKILL_FIELD]));
+        // Unrated items without a skill score don't shape the distribution
+        if (hasSkill || item.rating100) {
+          population.set(item.id, getItemScore(item));
+        }
+      }
+      if (items.length < SKILL_POPULATION_PAGE_SIZE || page * SKILL_POPULATION_PAGE_SIZE >= result[query].count) {
+        break;
+      }
+    }
+    console.log(`[HotOrNot] Loaded ${population.size} skill scores for ${battleType}`);
+    return population;
+  }
+
+  /**
+   * Load the skill population the first time a mapping needs it (skill mode only).
+   * Opening the modal or switching dimension only forgets the old population, so
+   * browsing pairs never waits on a whole-library load.
+   */
+  async function ensureSkillPopulation() {
+    if (!usesSkillScore() || skillPopulation) return;
+    if (!skillPopulationLoad) {
+      const load = loadSkillPopulation();
+      skillPopulationLoad = load;
+      // A reset while loading (battle type or dimension switch) discards the stale result
+      load.then(population => {
+        if (skillPopulationLoad === load) {
+          skillPopulation = population;
+          skillDistribution = null;
+        }
+      }, e => console.error("[HotOrNot] Failed to load skill scores:", e))
+        .finally(() => {
+          if (skillPopulationLoad === load) skillPopulationLoad = null;
+        });
+    }
+    try {
+      await skillPopulationLoad;
+    } catch (e) {
+      // Logged above; mappings fall back to the clamped score
+    }
+  }
+
+  /**
+   * Forget the skill population (new session, battle type or dimension); the next mapping reloads it
+   */
+  function resetSkillPopulation() {
+    skillPopulation = null;
+    skillPopulationLoad = null;
+    skillDistribution = null;
+  }
+
+  /**
+   * Record an item's new skill score in the loaded population (if any)
+   * @param {string} itemId - Item ID
+   * @param {number} score - Skill score
+   */
+  function setPopulationScore(itemId, score) {
+    if (skillPopulation) {
+      skillPopulation.set(itemId, score);
+      skillDistribution = null;
+    }
+  }
+
+  /**
+   * What the mappings need from the skill population: every score sorted,
+   * the range, mean and standard deviation. Built once and reused until the
+   * population changes, so a remap or a battle's writes scan the library once.
+   * @returns {Object|null} { sorted, min, max, mean, sd }, or null with fewer than two scores
+   */
+  function getSkillDistribution() {
+    if (!usesSkillScore() || !skillPopulation || skillPopulation.size < 2) {
+      return null;
+    }
+    if (!skillDistribution) {
+      const sorted = Float64Array.from(skillPopulation.values()).sort();
+      let sum = 0;
+      for (const score of sorted) sum += score;
+      const mean = sum / sorted.length;
+      let squares = 0;
+      for (const score of sorted) squares += (score - mean) * (score - mean);
+      skillDistribution = {
+        sorted,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean,
+        sd: Math.sqrt(squares / sorted.length)
+      };
+    }
+    return skillDistribution;
+  }
+
+  /**
+   * Number of sorted scores below a score (binary search)
+   * @param {Float64Array} sorted - Scores, ascending
+   * @param {number} score - Score
+   * @param {boolean} [inclusive] - Also count scores equal to it
+   * @returns {number} Count
+   */
+  function countScoresBelow(sorted, score, inclusive = false) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[mid] < score || (inclusive && sorted[mid] === score)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Map a score to rating100 using the configured mapping
+   * @param {number} score - Score (skill in skill mode, rating100 otherwise)
+   * @param {Object|null} [distribution] - Result of getSkillDistribution
+   * @returns {number} Integer rating between 1 and 100
+   */
+  function scoreToRating100(score, distribution = getSkillDistribution()) {
+    const clamp = value => Math.min(100, Math.max(1, Math.round(value)));
+    if (!distribution) {
+      return clamp(score);
+    }
+
+    const { sorted, min, max, mean, sd } = distribution;
+    const mapping = pluginSettings.ratingMapping;
+
+    if (mapping === "linear") {
+      if (max === min) return 50;
+      return clamp(1 + 99 * (score - min) / (max - min));
+    }
+
+    if (mapping === "percentile") {
+      const below = countScoresBelow(sorted, score);
+      const equal = countScoresBelow(sorted, score, true) - below;
+      return clamp(1 + 99 * (below + equal / 2) / sorted.length);
+    }
+
+    // normal
+    if (sd === 0) return 50;
+    return clamp(50 + ((score - mean) / sd) * (50 / 3));
+  }
+
+  /**
+   * Inverse of scoreToRating100: a score that maps to the given rating100
+   * under the current mapping and skill population
+   * @param {number} rating - Target rating100
+   * @param {Object|null} [distribution] - Result of getSkillDistribution
+   * @returns {number} Score (skill in skill mode, rating100 otherwise)
+   */
+  function rating100ToScore(rating, distribution = getSkillDistribution()) {
+    if (!distribution) {
+      return rating;
+    }
+
+    const { sorted, min, max, mean, sd } = distribution;
+    const mapping = pluginSettings.ratingMapping;
+
+    if (mapping === "linear") {
+      if (max === min) return min;
+      return min + (rating - 1) * (max - min) / 99;
+    }
+
+    if (mapping === "percentile") {
+      // Land between the scores that put the right share of the population below
+      const below = Math.round((rating - 1) * sorted.length / 99);
+      if (below <= 0) return min - 1;
+      if (below >= sorted.length) return max + 1;
+      return (sorted[below - 1] + sorted[below]) / 2;
+    }
+
+    // normal
+    if (sd === 0) return mean;
+    return mean + ((rating - 50) / (50 / 3)) * sd;
+  }
+
+  /**
+   * Save an item's new score. In skill mode this writes the hidden skill and
+   * returns the derived rating100; otherwise the score is the rating100.
+   * @param {string} itemId - Item ID
+   * @param {number} score - New score
+   * @returns {number} rating100 to store
+   */
+  async function saveItemScore(itemId, score) {
+    if (!usesSkillScore()) {
+      return score;
+    }
+    await ensureSkillPopulation();
+    setPopulationScore(itemId, score);
+    await saveEngineFields(itemId, { [SKILL_FIELD]: String(score) });
+    return scoreToRating100(score);
+  }
+
+  /**
+   * Rewrite every item's rating100 from its skill score with the current mapping.
+   * Percentile and normal ratings shift as other items move, so this brings
+   * items that haven't played recently back in line.
+   * @param {Function} onProgress - Called with (done, total)
+   * @returns {number} Number of items updated
+   */
+  async function remapAllRatings(onProgress) {
+    resetSkillPopulation();
+    await ensureSkillPopulation();
+    // Remapping writes rating100 only, so the population (and its distribution) doesn't move
+    const distribution = getSkillDistribution();
+    const { query, key } = ITEM_FIND_QUERIES[battleType];
+
+    const changes = [];
+    for (let page = 1; ; page++) {
+      const result = await graphqlQuery(`
+        query LoadRatings($filter: FindFilterType) {
+          ${query}(filter: $filter) {
+            count
+            ${key} {
+              id
+              ${battleType === "tags" ? "" : "rating100"}
+              custom_fields
+            }
+          }
+        }
+      `, { filter: { per_page: SKILL_POPULATION_PAGE_SIZE, page, sort: "id", direction: "ASC" } });
+
+      const items = result[query][key] || [];
+      for (const item of items) {
+        normalizeItemRating(item);
+        if (!skillPopulation.has(item.id)) continue;
+        const mapped = scoreToRating100(skillPopulation.get(item.id), distribution);
+        if (mapped !== item.rating100) {
+          changes.push({ id: item.id, rating: mapped });
+        }
+      }
+      if (items.length < SKILL_POPULATION_PAGE_SIZE || page * SKILL_POPULATION_PAGE_SIZE >= result[query].count) {
+        break;
+      }
+    }
+
+    let done = 0;
+    for (const change of changes) {
+      try {
+        await updateItemRating(battleType, change.id, change.rating, null, undefined, { mapped: true });
+      } catch (e) {
+        console.error(`[HotOrNot] Failed to remap rating for ${change.id}:`, e);
+      }
+      done++;
+      onProgress(done, changes.length);
+    }
+    return changes.length;
+  }
+
+  /**
+   * Show the rating animation for a score change, in rating100 terms
+   * @param {HTMLElement} card - Card element
+   * @param {number} oldScore - Score before the match
+   * @param {number} newScore - Score after the match
+   * @param {boolean} isWinner - Whether this card won
+   */
+  function showScoreAnimation(card, oldScore, newScore, isWinner) {
+    const oldRating = scoreToRating100(oldScore);
+    const newRating = scoreToRating100(newScore);
+    showRatingAnimation(card, oldRating, newRating, newRating - oldRating, isWinner);
+  }
+
   async function handleComparison(winnerId, loserId, winnerCurrentRating, loserCurrentRating, loserRank = null, winnerObj = null, loserObj = null) {
-    const winnerRating = winnerCurrentRating || 50;
-    const loserRating = loserCurrentRating || 50;
-    
-    const ratingDiff = loserRating - winnerRating;
+    const winnerRating = winnerCurrentRating ?? 50;
+    const loserRating = loserCurrentRating ?? 50;
     
-    // Fetch fresh performer data to ensure we have current stats
-    // This prevents stats from being overwritten when performers have consecutive matches
+    // Fetch fresh item data to ensure we have current stats
+    // This prevents stats from being overwritten when items have consecutive matches
     let freshWinnerObj = winnerObj;
     let freshLoserObj = loserObj;
+    const trackStats = tracksItemStats();
     
-    if (battleType === "performers") {
-      // Fetch both performers in parallel for better performance
+    if (trackStats) {
+      // Fetch both items in parallel for better performance
       const [fetchedWinner, fetchedLoser] = await Promise.all([
-        (winnerObj && winnerId) ? fetchPerformerById(winnerId) : Promise.resolve(null),
-        (loserObj && loserId) ? fetchPerformerById(loserId) : Promise.resolve(null)
+        (winnerObj && winnerId) ? fetchItemById(winnerId) : Promise.resolve(null),
+        (loserObj && loserId) ? fetchItemById(loserId) : Promise.resolve(null)
       ]);
       
       freshWinnerObj = fetchedWinner || winnerObj;
       freshLoserObj = fetchedLoser || loserObj;
     }
     
-    // Parse match counts from custom fields (only for performers)
+    // Parse match counts from custom fields (only for stats-tracking battle types)
     let winnerMatchCount = null;
     let loserMatchCount = null;
     // Extract scene counts for K-factor weighting (performers only)
     let winnerSceneCount = null;
     let loserSceneCount = null;
     
-    if (battleType === "performers" && freshWinnerObj) {
+    if (trackStats && freshWinnerObj) {
       const winnerStats = parsePerformerEloData(freshWinnerObj);
       winnerMatchCount = winnerStats.total_matches;
-      winnerSceneCount = freshWinnerObj.scene_count || null;
+      winnerSceneCount = battleType === "performers" ? (freshWinnerObj.scene_count || null) : null;
     }
-    if (battleType === "performers" && freshLoserObj) {
+    if (trackStats && freshLoserObj) {
       const loserStats = parsePerformerEloData(freshLoserObj);
       loserMatchCount = loserStats.total_matches;
-      loserSceneCount = freshLoserObj.scene_count || null;
+      loserSceneCount = battleType === "performers" ? (freshLoserObj.scene_count || null) : null;
     }
     
-    let winnerGain = 0, loserLoss = 0;
-    
+    // Which sides' ratings may move: everyone in Swiss and Champion. In Gauntlet
+    // only the champion/falling item changes rating - defenders stay the same
+    // (they're just benchmarks) EXCEPT a rank #1 defender, who gets a full
+    // penalty when defeated so rankings remain fluid and upsets are reflected
+    let winnerMoves = true;
+    let loserMoves = true;
+    let dethroned = false;
     if (currentMode === "gauntlet") {
-      // In gauntlet, only the champion/falling item changes rating
-      // Defenders stay the same (they're just benchmarks)
-      // EXCEPT: if the defender is rank #1, they get a full ELO penalty when defeated
-      // to ensure rankings remain fluid and upsets are properly reflected
       const isChampionWinner = gauntletChampion && winnerId === gauntletChampion.id;
       const isFallingWinner = gauntletFalling && gauntletFallingItem && winnerId === gauntletFallingItem.id;
       const isChampionLoser = gauntletChampion && loserId === gauntletChampion.id;
       const isFallingLoser = gauntletFalling && gauntletFallingItem && loserId === gauntletFallingItem.id;
       
-      const expectedWinner = 1 / (1 + Math.pow(10, ratingDiff / 40));
-      const kFactor = getKFactor(winnerRating, winnerMatchCount, "gauntlet", winnerSceneCount);
-      
-      // Only the active item (champion or falling) gets rating changes
-      if (isChampionWinner || isFallingWinner) {
-        const baseGain = Math.max(0, Math.round(kFactor * (1 - expectedWinner)));
-        // Apply diminishing returns - harder to gain points at higher ratings
-        winnerGain = applyDiminishingReturns(winnerRating, baseGain);
-      }
-      if (isChampionLoser || isFallingLoser) {
-        loserLoss = Math.max(0, Math.round(kFactor * expectedWinner));
-      }
-      
-      // Special case: if defender was rank #1 and lost, apply full ELO penalty
-      // The ELO formula naturally penalizes the #1 significantly because their
-      // "Expected Score" was nearly 100%, making the upset very costly
-      if (loserRank === 1 && !isChampionLoser && !isFallingLoser) {
-        const loserK = getKFactor(loserRating, loserMatchCount, "gauntlet", loserSceneCount);
-        // expectedWinner is from winner's perspective, so expectedLoser = 1 - expectedWinner
-        // loserLoss = K * (1 - expectedLoser) = K * expectedWinner (same as normal ELO loss)
-        loserLoss = Math.max(1, Math.round(loserK * expectedWinner));
-      }
-    } else if (currentMode === "champion") {
-      // Champion mode: Both performers get rating updates, but at a reduced rate (50% of Swiss mode)
-      // This allows rankings to evolve while still maintaining the "winner stays on" feel
-      const expectedWinner = 1 / (1 + Math.pow(10, ratingDiff / 40));
-      
-      // Use individual K-factors for each performer with champion mode multiplier
-      const winnerK = getKFactor(winnerRating, winnerMatchCount, "champion", winnerSceneCount);
-      const loserK = getKFactor(loserRating, loserMatchCount, "champion", loserSceneCount);
-      
-      // Calculate changes using their respective K-factors (reduced by 50% for champion mode)
-      const baseGain = Math.max(0, Math.round(winnerK * (1 - expectedWinner)));
-      // Apply diminishing returns - harder to gain points at higher ratings
-      winnerGain = applyDiminishingReturns(winnerRating, baseGain);
-      loserLoss = Math.max(0, Math.round(loserK * expectedWinner));
-    } else {
-      // Swiss mode: True ELO - both change based on expected outcome
-      const expectedWinner = 1 / (1 + Math.pow(10, ratingDiff / 40));
-      
-      // Use individual K-factors for each performer for more accurate adjustments
-      const winnerK = getKFactor(winnerRating, winnerMatchCount, "swiss", winnerSceneCount);
-      const loserK = getKFactor(loserRating, loserMatchCount, "swiss", loserSceneCount);
-      
-      // Calculate changes using their respective K-factors
-      const baseGain = Math.max(0, Math.round(winnerK * (1 - expectedWinner)));
-      // Apply diminishing returns - harder to gain points at higher ratings
-      winnerGain = applyDiminishingReturns(winnerRating, baseGain);
-      loserLoss = Math.max(0, Math.round(loserK * expectedWinner));
+      winnerMoves = Boolean(isChampionWinner || isFallingWinner);
+      dethroned = loserRank === 1 && !isChampionLoser && !isFallingLoser;
+      loserMoves = Boolean(isChampionLoser || isFallingLoser || dethroned);
     }
     
-    let newWinnerRating = Math.min(100, Math.max(1, winnerRating + winnerGain));
-    let newLoserRating = Math.min(100, Math.max(1, loserRating - loserLoss));
+    const engine = getRatingEngine();
+    const result = engine.rateWin({
+      mode: currentMode,
+      winner: { item: freshWinnerObj, rating: winnerRating, matchCount: winnerMatchCount, sceneCount: winnerSceneCount, moves: winnerMoves },
+      loser: { item: freshLoserObj, rating: loserRating, matchCount: loserMatchCount, sceneCount: loserSceneCount, moves: loserMoves },
+      dethroned
+    });
+    
+    let newWinnerRating = clampScore(winnerRating + result.winnerChange);
+    let newLoserRating = clampScore(loserRating + result.loserChange);
     
     // Ensure the winner moves to at least the same ranking as the loser (or higher)
     // If the ELO movement alone doesn't achieve this, adjust the ratings to ensure
@@ -1278,7 +2518,7 @@
       // The winner beat the loser head-to-head, so they should rank higher
       // Set winner's rating to 1 point above loser's new rating
       // If that would exceed 100, also reduce the loser's rating to make room
-      if (newLoserRating === 100) {
+      if (!usesSkillScore() && newLoserRating === 100) {
         // Loser is at ceiling, so reduce loser by 1 to make room for winner
         newLoserRating = 99;
         newWinnerRating = 100;
@@ -1289,14 +2529,25 @@
     
     const winnerChange = newWinnerRating - winnerRating;
     const loserChange = newLoserRating - loserRating;
+
+    await recordMatch({
+      winner: freshWinnerObj,
+      loser: freshLoserObj,
+      winnerBefore: winnerRating,
+      winnerAfter: newWinnerRating,
+      loserBefore: loserRating,
+      loserAfter: newLoserRating
+    });
+    saveEngineFields(winnerId, result.winnerFields);
+    saveEngineFields(loserId, result.loserFields);
     
     // Determine which participants should have stats tracked
     const winnerRank = winnerId === currentPair.left?.id ? currentRanks.left : currentRanks.right;
     
     // In champion/gauntlet mode with no champion yet (first match), both participants should get full stats tracked
     const isFirstMatchInGauntletMode = (currentMode === "gauntlet" || currentMode === "champion") && !gauntletChampion;
-    const shouldTrackWinner = battleType === "performers" && (isActiveParticipant(winnerId, winnerRank) || isFirstMatchInGauntletMode);
-    const shouldTrackLoser = battleType === "performers" && (isActiveParticipant(loserId, loserRank) || isFirstMatchInGauntletMode);
+    const shouldTrackWinner = trackStats && (isActiveParticipant(winnerId, winnerRank) || isFirstMatchInGauntletMode);
+    const shouldTrackLoser = trackStats && (isActiveParticipant(loserId, loserRank) || isFirstMatchInGauntletMode);
     
     // Update items in Stash
     // Pass win/loss status for stats tracking:
@@ -1304,21 +2555,21 @@
     // - null for defenders in gauntlet mode only (track participation only)
     
     // Winner updates
-    if (winnerChange !== 0 || (battleType === "performers" && freshWinnerObj && shouldTrackWinner)) {
+    if (winnerChange !== 0 || (trackStats && freshWinnerObj && shouldTrackWinner)) {
       // Update rating if changed, or always update stats if active participant
-      updateItemRating(winnerId, newWinnerRating, shouldTrackWinner ? freshWinnerObj : null, shouldTrackWinner ? true : null);
-    } else if (battleType === "performers" && freshWinnerObj && currentMode === "gauntlet") {
+      updateItemRating(battleType, winnerId, newWinnerRating, shouldTrackWinner ? freshWinnerObj : null, shouldTrackWinner ? true : null);
+    } else if (trackStats && freshWinnerObj && currentMode === "gauntlet") {
       // Defender in gauntlet mode only - track participation only
-      updateItemRating(winnerId, newWinnerRating, freshWinnerObj, null);
+      updateItemRating(battleType, winnerId, newWinnerRating, freshWinnerObj, null);
     }
     
     // Loser updates
-    if (loserChange !== 0 || (battleType === "performers" && freshLoserObj && shouldTrackLoser)) {
+    if (loserChange !== 0 || (trackStats && freshLoserObj && shouldTrackLoser)) {
       // Update rating if changed, or always update stats if active participant
-      updateItemRating(loserId, newLoserRating, shouldTrackLoser ? freshLoserObj : null, shouldTrackLoser ? false : null);
-    } else if (battleType === "performers" && freshLoserObj && currentMode === "gauntlet") {
+      updateItemRating(battleType, loserId, newLoserRating, shouldTrackLoser ? freshLoserObj : null, shouldTrackLoser ? false : null);
+    } else if (trackStats && freshLoserObj && currentMode === "gauntlet") {
       // Defender in gauntlet mode only - track participation only
-      updateItemRating(loserId, newLoserRating, freshLoserObj, null);
+      updateItemRating(battleType, loserId, newLoserRating, freshLoserObj, null);
     }
     
     return { newWinnerRating, newLoserRating, winnerChange, loserChange };
@@ -1338,18 +2589,21 @@
       console.log("[HotOrNot] Skip: Missing items, no rating update");
       return;
     }
+    await ensureSkillPopulation();
     
-    const leftRating = leftItem.rating100 || 50;
-    const rightRating = rightItem.rating100 || 50;
+    const leftRating = getItemScore(leftItem);
+    const rightRating = getItemScore(rightItem);
+    pendingRunState = captureRunState();
     
-    // Fetch fresh performer data to ensure we have current stats
+    // Fetch fresh item data to ensure we have current stats
     let freshLeftItem = leftItem;
     let freshRightItem = rightItem;
+    const trackStats = tracksItemStats();
     
-    if (battleType === "performers") {
+    if (trackStats) {
       const [fetchedLeft, fetchedRight] = await Promise.all([
-        fetchPerformerById(leftItem.id),
-        fetchPerformerById(rightItem.id)
+        fetchItemById(leftItem.id),
+        fetchItemById(rightItem.id)
       ]);
       freshLeftItem = fetchedLeft || leftItem;
       freshRightItem = fetchedRight || rightItem;
@@ -1361,71 +2615,60 @@
     let leftSceneCount = null;
     let rightSceneCount = null;
     
-    if (battleType === "performers" && freshLeftItem) {
+    if (trackStats && freshLeftItem) {
       const leftStats = parsePerformerEloData(freshLeftItem);
       leftMatchCount = leftStats.total_matches;
-      leftSceneCount = freshLeftItem.scene_count || null;
+      leftSceneCount = battleType === "performers" ? (freshLeftItem.scene_count || null) : null;
     }
-    if (battleType === "performers" && freshRightItem) {
+    if (trackStats && freshRightItem) {
       const rightStats = parsePerformerEloData(freshRightItem);
       rightMatchCount = rightStats.total_matches;
-      rightSceneCount = freshRightItem.scene_count || null;
-    }
-    
-    // Calculate expected scores for both items
-    // Rating diff from left's perspective: (rightRating - leftRating)
-    const ratingDiffLeft = rightRating - leftRating;
-    const expectedLeft = 1 / (1 + Math.pow(10, ratingDiffLeft / 40));
-    const expectedRight = 1 - expectedLeft;
-    
-    // Get K-factors for both items
-    const leftK = getKFactor(leftRating, leftMatchCount, currentMode, leftSceneCount);
-    const rightK = getKFactor(rightRating, rightMatchCount, currentMode, rightSceneCount);
-    
-    // Draw gives score of 0.5 to both
-    // Change = K * (0.5 - Expected)
-    // If Expected > 0.5 (favorite), you lose rating for drawing
-    // If Expected < 0.5 (underdog), you gain rating for drawing
-    let leftChange = Math.round(leftK * (0.5 - expectedLeft));
-    let rightChange = Math.round(rightK * (0.5 - expectedRight));
-    
-    // Ensure there's a minimum effect when there's a significant rating difference
-    // If ratings differ by at least 5 points, ensure at least a 1-point change
-    // This prevents "skip does nothing" when there's a noticeable rating gap
-    const ratingDiff = Math.abs(leftRating - rightRating);
-    if (ratingDiff >= 5 && leftChange === 0 && rightChange === 0) {
-      // Higher rated performer should lose 1 point, lower rated gains 1 point
-      if (leftRating > rightRating) {
-        leftChange = -1;
-        rightChange = 1;
-      } else {
-        leftChange = 1;
-        rightChange = -1;
-      }
+      rightSceneCount = battleType === "performers" ? (freshRightItem.scene_count || null) : null;
     }
     
-    const newLeftRating = Math.min(100, Math.max(1, leftRating + leftChange));
-    const newRightRating = Math.min(100, Math.max(1, rightRating + rightChange));
+    const engine = getRatingEngine();
+    const result = engine.rateDraw({
+      mode: currentMode,
+      left: { item: freshLeftItem, rating: leftRating, matchCount: leftMatchCount, sceneCount: leftSceneCount, moves: true },
+      right: { item: freshRightItem, rating: rightRating, matchCount: rightMatchCount, sceneCount: rightSceneCount, moves: true }
+    });
+    const leftChange = result.leftChange;
+    const rightChange = result.rightChange;
+    
+    const newLeftRating = clampScore(leftRating + leftChange);
+    const newRightRating = clampScore(rightRating + rightChange);
     
     console.log(`[HotOrNot] Skip (Draw): Left ${leftRating} -> ${newLeftRating} (${leftChange >= 0 ? '+' : ''}${leftChange}), Right ${rightRating} -> ${newRightRating} (${rightChange >= 0 ? '+' : ''}${rightChange})`);
     
+    await recordMatch({
+      winner: freshLeftItem,
+      loser: freshRightItem,
+      winnerBefore: leftRating,
+      winnerAfter: newLeftRating,
+      loserBefore: rightRating,
+      loserAfter: newRightRating,
+      draw: true
+    });
+    saveEngineFields(leftItem.id, result.leftFields);
+    saveEngineFields(rightItem.id, result.rightFields);
+
     // Update ratings and stats for both items
-    if (battleType === "performers") {
+    if (trackStats) {
       // Update left item with draw stats
       if (leftChange !== 0 || freshLeftItem) {
-        await updateItemRating(leftItem.id, newLeftRating, freshLeftItem, "draw");
+        await updateItemRating(battleType, leftItem.id, newLeftRating, freshLeftItem, "draw");
       }
       // Update right item with draw stats
       if (rightChange !== 0 || freshRightItem) {
-        await updateItemRating(rightItem.id, newRightRating, freshRightItem, "draw");
+        await updateItemRating(battleType, rightItem.id, newRightRating, freshRightItem, "draw");
       }
     } else {
-      // For images, only update if rating changed
+      // Battle types without stats only update if rating changed
       if (leftChange !== 0) {
-        await updateItemRating(leftItem.id, newLeftRating);
+        await updateItemRating(battleType, leftItem.id, newLeftRating);
       }
       if (rightChange !== 0) {
-        await updateItemRating(rightItem.id, newRightRating);
+        await updateItemRating(battleType, rightItem.id, newRightRating);
       }
     }
     
@@ -1440,8 +2683,8 @@
   // Called when gauntlet champion loses - place them one below the winner
   function finalizeGauntletLoss(championId, winnerRating) {
     // Set champion rating to just below the item that beat them
-    const newRating = Math.max(1, winnerRating - 1);
-    updateItemRating(championId, newRating);
+    const newRating = clampScore(winnerRating - 1);
+    updateItemRating(battleType, championId, newRating);
     return newRating;
   }
 
@@ -1462,9 +2705,13 @@ async function fetchPerformerCount(performerFilter = {}) {
     return countResult.findPerformers.count;
   }
 
-  function getPerformerFilter() {
+  /**
+   * Performer filter for battles: the page's URL filters, or the default filter when there are none
+   * @param {Object} [urlFilter] - URL filters (defaults to the ones cached when the modal opened)
+   * @returns {Object} PerformerFilterType input
+   */
+  function getPerformerFilter(urlFilter = cachedUrlFilter || {}) {
     // Start with URL filters from the current page (cached when modal opens)
-    const urlFilter = cachedUrlFilter || {};
     const filter = { ...urlFilter };
     
     // Apply default filters only when no other filters are selected
@@ -1472,17 +2719,22 @@ async function fetchPerformerCount(performerFilter = {}) {
     const hasUserFilters = Object.keys(urlFilter).length > 0;
     
     if (!hasUserFilters) {
-      // Exclude male performers by default
-      filter.gender = {
-        value_list: ["MALE"],
-        modifier: "EXCLUDES"
-      };
+      const { includeMales, includeMissingImages } = getSettings();
+      // Exclude male performers by default (includeMales setting)
+      if (!includeMales) {
+        filter.gender = {
+          value_list: ["MALE"],
+          modifier: "EXCLUDES"
+        };
+      }
       
-      // Exclude performers with missing default image
+      // Exclude performers with missing default image (includeMissingImages setting)
       // Use NOT wrapper to invert the is_missing filter
-      filter.NOT = {
-        is_missing: "image"
-      };
+      if (!includeMissingImages) {
+        filter.NOT = {
+          is_missing: "image"
+        };
+      }
     }
     
     return filter;
@@ -1513,7 +2765,7 @@ async function fetchPerformerCount(performerFilter = {}) {
     }
   });
 
-  const allPerformers = result.findPerformers.performers || [];
+  const allPerformers = (result.findPerformers.performers || []).map(performer => normalizeDimension(performer));
   
   if (allPerformers.length < 2) {
     throw new Error("Not enough performers for comparison. You need at least 2 performers.");
@@ -1544,7 +2796,7 @@ async function fetchPerformerCount(performerFilter = {}) {
     
     try {
       const result = await graphqlQuery(performerQuery, { id: performerId });
-      return result.findPerformer || null;
+      return normalizeDimension(result.findPerformer) || null;
     } catch (error) {
       console.error(`[HotOrNot] Error fetching performer ${performerId}:`, error);
       return null;
@@ -1594,21 +2846,12 @@ async function fetchPerformerCount(performerFilter = {}) {
           const now = Date.now();
           const hoursSinceMatch = (now - lastMatchTime) / (1000 * 60 * 60);
           
-          // Weight calculation:
+          // Weight calculation (recencyWeights setting, defaults):
           // 0-1 hours ago: weight = 0.1 (very unlikely)
           // 1-6 hours ago: weight = 0.3 (less likely)
           // 6-24 hours ago: weight = 0.6 (moderately likely)
           // 24+ hours ago: weight = 1.0 (full probability)
-          
-          if (hoursSinceMatch < 1) {
-            recencyWeight = 0.1;
-          } else if (hoursSinceMatch < 6) {
-            recencyWeight = 0.3;
-          } else if (hoursSinceMatch < 24) {
-            recencyWeight = 0.6;
-          } else {
-            recencyWeight = 1.0;
-          }
+          recencyWeight = getThresholdValue(getSettings().recencyWeights, hoursSinceMatch, 1.0);
         }
       } catch (e) {
         // If date parsing fails, use default recency weight
@@ -1621,6 +2864,18 @@ async function fetchPerformerCount(performerFilter = {}) {
     return matchCountWeight * recencyWeight;
   }
 
+  /**
+   * Rating window for classic Swiss pairing: how far apart two ratings may be.
+   * Larger pools get tighter windows (matchWindows setting, by default 25 points,
+   * 15 from 21 items and 10 from 51 items).
+   * @param {number} poolSize - Number of items pairing draws from
+   * @returns {number} Maximum rating difference
+   */
+  function getMatchWindow(poolSize) {
+    const { matchWindows } = getSettings();
+    return getThresholdValue(matchWindows, poolSize, matchWindows[0].value);
+  }
+
   /**
    * Select a weighted random item from an array based on weights.
    * @param {Array} items - Array of items to choose from
@@ -1690,13 +2945,20 @@ async function fetchPerformerCount(performerFilter = {}) {
       }
     });
 
-    const performers = result.findPerformers.performers || [];
+    const performers = rankPerformers(result.findPerformers.performers || []);
     
     if (performers.length < 2) {
       // Fallback to random if not enough rated performers
       return { performers: await fetchRandomPerformers(2), ranks: [null, null] };
     }
 
+    pairCoverage = computePairCoverage(performers);
+
+    if (usesSmartPairing()) {
+      const { items, ranks } = selectSmartSwissPair(performers);
+      return { performers: items, ranks };
+    }
+
     // Calculate weights once and cache them with indices
     const performersWithWeights = performers.map((p, idx) => ({
       performer: p,
@@ -1718,14 +2980,17 @@ async function fetchPerformerCount(performerFilter = {}) {
     const randomIndex = selected1.index;
     const rating1 = performer1.rating100 || 50;
 
-    // 10% "Sanity Check" - randomly pair regardless of rating
+    // Never rematch a pair that met within either performer's last few matches
+    const eligiblePerformers = excludeRecentOpponents(performer1, performersWithWeights, pw => pw.performer);
+
+    // "Sanity Check" (sanityCheckPercent setting, default 10%) - randomly pair regardless of rating
     // This helps detect performers stuck in incorrect rating silos
     // by occasionally testing them against performers from different rating tiers
-    const isRandomSanityCheck = Math.random() < 0.10;
+    const isRandomSanityCheck = Math.random() * 100 < getSettings().sanityCheckPercent;
     
     if (isRandomSanityCheck) {
       // Pick any random performer (excluding performer1)
-      const otherPerformers = performersWithWeights.filter(pw => pw.performer.id !== performer1.id);
+      const otherPerformers = eligiblePerformers.filter(pw => pw.performer.id !== performer1.id);
       if (otherPerformers.length > 0) {
         const randomOpponent = otherPerformers[Math.floor(Math.random() * otherPerformers.length)];
         console.log('[HotOrNot] Sanity check pairing: random matchup regardless of rating');
@@ -1737,8 +3002,8 @@ async function fetchPerformerCount(performerFilter = {}) {
     }
 
     // Find performers within adaptive rating window (tighter for larger pools)
-    const matchWindow = performers.length > 50 ? 10 : performers.length > 20 ? 15 : 25;
-    const similarPerformersWithWeights = performersWithWeights.filter(pw => {
+    const matchWindow = getMatchWindow(performers.length);
+    const similarPerformersWithWeights = eligiblePerformers.filter(pw => {
       if (pw.performer.id === performer1.id) return false;
       const rating = pw.performer.rating100 || 50;
       return Math.abs(rating - rating1) <= matchWindow;
@@ -1763,7 +3028,7 @@ async function fetchPerformerCount(performerFilter = {}) {
       }
     } else {
       // No similar performers, pick closest with recency weighting
-      const otherPerformersWithWeights = performersWithWeights.filter(pw => pw.performer.id !== performer1.id);
+      const otherPerformersWithWeights = eligiblePerformers.filter(pw => pw.performer.id !== performer1.id);
       
       // Sort by rating similarity
       otherPerformersWithWeights.sort((a, b) => {
@@ -1819,7 +3084,7 @@ async function fetchPerformerCount(performerFilter = {}) {
       }
     });
 
-    const performers = result.findPerformers.performers || [];
+    const performers = rankPerformers(result.findPerformers.performers || []);
     totalItemsCount = performers.length;
     
     if (performers.length < 2) {
@@ -1840,8 +3105,8 @@ async function fetchPerformerCount(performerFilter = {}) {
       if (belowOpponents.length === 0) {
         // Hit the bottom - they're the lowest, place them here
         const finalRank = performers.length;
-        const finalRating = 1; // Lowest rating
-        updatePerformerRating(gauntletFallingItem.id, finalRating);
+        const finalRating = await getFloorScore(); // Lowest rating
+        updateItemRating(battleType, gauntletFallingItem.id, finalRating);
         
         return {
           performers: [gauntletFallingItem],
@@ -1980,7 +3245,7 @@ async function fetchPerformerCount(performerFilter = {}) {
       }
     });
 
-    const performers = result.findPerformers.performers || [];
+    const performers = rankPerformers(result.findPerformers.performers || []);
     totalItemsCount = performers.length;
     
     if (performers.length < 2) {
@@ -2069,27 +3334,36 @@ async function fetchPerformerCount(performerFilter = {}) {
   // IMAGE FUNCTIONS
   // ============================================
 
-  async function fetchImageCount() {
+  /**
+   * Get the page filter for the current battle (the /images, /scenes or /galleries URL filter cached when the modal opened)
+   * @returns {Object} GraphQL ImageFilterType, SceneFilterType or GalleryFilterType
+   */
+  function getPageFilter() {
+    return { ...(cachedUrlFilter || {}) };
+  }
+
+  async function fetchImageCount(imageFilter = getPageFilter()) {
     const countQuery = `
-      query FindImages {
-        findImages(filter: { per_page: 0 }) {
+      query FindImages($image_filter: ImageFilterType) {
+        findImages(image_filter: $image_filter, filter: { per_page: 0 }) {
           count
         }
       }
     `;
-    const countResult = await graphqlQuery(countQuery);
+    const countResult = await graphqlQuery(countQuery, { image_filter: imageFilter });
     return countResult.findImages.count;
   }
 
   async function fetchRandomImages(count = 2) {
-    const totalImages = await fetchImageCount();
+    const imageFilter = getPageFilter();
+    const totalImages = await fetchImageCount(imageFilter);
     if (totalImages < 2) {
-      throw new Error("Not enough images for comparison. You need at least 2 images.");
+      throw new Error("Not enough images for comparison. You need at least 2 images matching the current filter.");
     }
 
     const imagesQuery = `
-      query FindRandomImages($filter: FindFilterType) {
-        findImages(filter: $filter) {
+      query FindRandomImages($image_filter: ImageFilterType, $filter: FindFilterType) {
+        findImages(image_filter: $image_filter, filter: $filter) {
           images {
             ${IMAGE_FRAGMENT}
           }
@@ -2098,6 +3372,7 @@ async function fetchPerformerCount(performerFilter = {}) {
     `;
 
     const result = await graphqlQuery(imagesQuery, {
+      image_filter: imageFilter,
       filter: {
         per_page: Math.min(100, totalImages),
         sort: "random"
@@ -2118,13 +3393,14 @@ async function fetchPerformerCount(performerFilter = {}) {
   async function fetchSwissPairImages() {
     // For large image pools (>1000), use sampling for performance
     // For smaller pools, still get all for accurate ranking
-    const totalImages = await fetchImageCount();
+    const imageFilter = getPageFilter();
+    const totalImages = await fetchImageCount(imageFilter);
     const useSampling = totalImages > 1000;
     const sampleSize = useSampling ? Math.min(500, totalImages) : totalImages;
     
     const imagesQuery = `
-      query FindImagesByRating($filter: FindFilterType) {
-        findImages(filter: $filter) {
+      query FindImagesByRating($image_filter: ImageFilterType, $filter: FindFilterType) {
+        findImages(image_filter: $image_filter, filter: $filter) {
           images {
             ${IMAGE_FRAGMENT}
           }
@@ -2134,6 +3410,7 @@ async function fetchPerformerCount(performerFilter = {}) {
 
     // Get images - either all or a random sample
     const result = await graphqlQuery(imagesQuery, {
+      image_filter: imageFilter,
       filter: {
         per_page: sampleSize,
         sort: useSampling ? "random" : "rating",
@@ -2148,365 +3425,4858 @@ async function fetchPerformerCount(performerFilter = {}) {
       return { images: await fetchRandomImages(2), ranks: [null, null] };
     }
 
-    // Pick a random image, then find one with similar rating
-    const randomIndex = Math.floor(Math.random() * images.length);
-    const image1 = images[randomIndex];
-    const rating1 = image1.rating100 || 50;
-
-    // Find images within adaptive rating window (tighter for larger pools)
-    const matchWindow = images.length > 50 ? 10 : images.length > 20 ? 15 : 25;
-    const similarImages = images.filter(s => {
-      if (s.id === image1.id) return false;
-      const rating = s.rating100 || 50;
-      return Math.abs(rating - rating1) <= matchWindow;
-    });
+    // Smart pairing only looks at rank neighbours, so a random sample has to be
+    // ordered first. Classic pairing matches on the rating window and keeps the
+    // sample as it came back.
+    if (useSampling && usesSmartPairing()) {
+      images.sort((a, b) => (b.rating100 || 0) - (a.rating100 || 0));
+    }
 
-    let image2;
-    let image2Index;
-    if (similarImages.length > 0) {
-      // Pick random from similar-rated images
-      image2 = similarImages[Math.floor(Math.random() * similarImages.length)];
-      image2Index = images.findIndex(s => s.id === image2.id);
-    } else {
-      // No similar images, pick closest
-      const otherImages = images.filter(s => s.id !== image1.id);
-      otherImages.sort((a, b) => {
-        const diffA = Math.abs((a.rating100 || 50) - rating1);
-        const diffB = Math.abs((b.rating100 || 50) - rating1);
-        return diffA - diffB;
-      });
-      image2 = otherImages[0];
-      image2Index = images.findIndex(s => s.id === image2.id);
+    // Recency-weighted first pick using each image's hotornot_stats,
+    // opponent from a similar rating window
+    const { items, ranks } = selectSwissPair(images);
+    if (useSampling) {
+      // Coverage of a random sample says nothing about the library
+      pairCoverage = null;
     }
 
     return { 
-      images: [image1, image2], 
+      images: items, 
       // When using sampling, ranks are not meaningful (don't represent true position)
-      ranks: useSampling ? [null, null] : [randomIndex + 1, image2Index + 1] 
+      ranks: useSampling ? [null, null] : ranks 
     };
   }
 
-  // NOTE: Gauntlet and Champion modes for images have been removed.
-  // Images now use Swiss mode exclusively for optimal performance.
-  // The functions fetchGauntletPairImages() and fetchChampionPairImages() 
-  // have been removed as they are no longer needed.
+  async function fetchImagesForSelection(count = 5) {
+    const imagesQuery = `
+      query FindRandomImages($image_filter: ImageFilterType, $filter: FindFilterType) {
+        findImages(image_filter: $image_filter, filter: $filter) {
+          images {
+            ${IMAGE_FRAGMENT}
+          }
+        }
+      }
+    `;
+    const result = await graphqlQuery(imagesQuery, {
+      image_filter: getPageFilter(),
+      filter: { per_page: count, sort: "random" }
+    });
+    return result.findImages.images || [];
+  }
+
+  // Gauntlet and Champion look up ranks with counts (see RANK LOOKUPS)
+  async function fetchGauntletPairImages() {
+    const result = await fetchGauntletPairByRank();
+    return { ...result, images: result.items };
+  }
 
-  async function updateImageRating(imageId, newRating) {
-    const mutation = `
-      mutation ImageUpdate($input: ImageUpdateInput!) {
-        imageUpdate(input: $input) {
-          id
-          rating100
+  async function fetchChampionPairImages() {
+    const result = await fetchChampionPairByRank();
+    return { ...result, images: result.items };
+  }
+
+  /**
+   * Fetch the latest image data by ID to get current stats
+   * @param {string} imageId - ID of the image to fetch
+   * @returns {Object|null} Image object, or null if not found
+   */
+  async function fetchImageById(imageId) {
+    if (!imageId?.trim?.()) {
+      return null;
+    }
+
+    const imageQuery = `
+      query FindImage($id: ID!) {
+        findImage(id: $id) {
+          ${IMAGE_FRAGMENT}
         }
       }
     `;
-    
+
     try {
-      await graphqlQuery(mutation, {
-        input: {
-          id: imageId,
-          rating100: Math.max(1, Math.min(100, Math.round(newRating)))
-        }
-      });
-      console.log(`[HotOrNot] Updated image ${imageId} rating to ${newRating}`);
-    } catch (e) {
-      console.error(`[HotOrNot] Failed to update image ${imageId} rating:`, e);
+      const result = await graphqlQuery(imageQuery, { id: imageId });
+      return result.findImage || null;
+    } catch (error) {
+      console.error(`[HotOrNot] Error fetching image ${imageId}:`, error);
+      return null;
     }
   }
 
   // ============================================
-  // WRAPPER FUNCTIONS (Dispatch based on battleType)
+  // SHARED PAIR SELECTION
   // ============================================
+  // These helpers hold the Swiss/Gauntlet/Champion pairing rules for battle
+  // types that don't need type-specific logic. Each takes the full list of
+  // items sorted by rating (highest first) and returns { items, ranks, ... }.
 
-  async function fetchSwissPair() {
-    if (battleType === "performers") {
-      return await fetchSwissPairPerformers();
-    } else {
-      return await fetchSwissPairImages();
-    }
-  }
+  // Pair memory: each item's hotornot_recent lists the opponents of its last
+  // few matches (a short copy of hotornot_history), so Swiss can refuse
+  // rematches across sessions without parsing every item's full log. A pair is
+  // "recent" when either item met the other within its last pairRepeatWindow
+  // matches (0 turns the rule off).
 
-  async function fetchGauntletPair() {
-    if (battleType === "performers") {
-      return await fetchGauntletPairPerformers();
-    } else {
-      // Images use Swiss mode only - this should never be called
-      console.error("[HotOrNot] ERROR: Gauntlet mode called for images (not supported). Using Swiss mode as fallback.");
-      return await fetchSwissPairImages();
+  // Neighbouring pairs are items at most this many ranks apart. Used for
+  // smart pairing candidates and for pair coverage.
+  const PAIR_NEIGHBOUR_RANKS = 8;
+
+  /**
+   * Get the opponents an item met within the repeat window
+   * @param {Object} item - Item object with custom_fields
+   * @returns {Set} Opponent IDs
+   */
+  function getRecentOpponentIds(item) {
+    const repeatWindow = pluginSettings ? pluginSettings.pairRepeatWindow : DEFAULT_SETTINGS.pairRepeatWindow;
+    if (repeatWindow <= 0) {
+      return new Set();
     }
+    // Items last rated before hotornot_recent existed, and windows longer than it, read the full log
+    const recent = parseJsonCustomField(item, RECENT_OPPONENTS_FIELD, null);
+    if (Array.isArray(recent) && repeatWindow <= RECENT_OPPONENTS_LIMIT) {
+      return new Set(recent.slice(-repeatWindow));
+    }
+    return new Set(parseMatchHistory(item).slice(-repeatWindow).map(entry => entry.opponent_id));
   }
 
-  async function fetchChampionPair() {
-    if (battleType === "performers") {
-      return await fetchChampionPairPerformers();
-    } else {
-      // Images use Swiss mode only - this should never be called
-      console.error("[HotOrNot] ERROR: Champion mode called for images (not supported). Using Swiss mode as fallback.");
-      return await fetchSwissPairImages();
-    }
+  /**
+   * Drop candidates that met an item within the repeat window.
+   * Returns the full list when every candidate is a recent opponent, so a
+   * small pool never runs out of pairs.
+   * @param {Object} item - Item being paired
+   * @param {Array} candidates - Candidate entries
+   * @param {Function} getItem - Maps a candidate entry to its item
+   * @returns {Array} Eligible candidates
+   */
+  function excludeRecentOpponents(item, candidates, getItem) {
+    const recent = getRecentOpponentIds(item);
+    const eligible = candidates.filter(candidate => {
+      const other = getItem(candidate);
+      return other.id === item.id || (!recent.has(other.id) && !getRecentOpponentIds(other).has(item.id));
+    });
+    return eligible.some(candidate => getItem(candidate).id !== item.id) ? eligible : candidates;
   }
 
-  async function updateItemRating(itemId, newRating, itemObj = null, won = null) {
-    if (battleType === "performers") {
-      return await updatePerformerRating(itemId, newRating, itemObj, won);
-    } else {
-      return await updateImageRating(itemId, newRating);
+  /**
+   * Pair coverage: how many neighbouring pairs (items within PAIR_NEIGHBOUR_RANKS
+   * ranks of each other) have been compared at least once
+   * @param {Array} rankedItems - Items sorted by rating descending
+   * @returns {Object} { covered, total }
+   */
+  function computePairCoverage(rankedItems) {
+    const records = rankedItems.map(parseHeadToHead);
+    let covered = 0;
+    let total = 0;
+    for (let i = 0; i < rankedItems.length; i++) {
+      const last = Math.min(rankedItems.length - 1, i + PAIR_NEIGHBOUR_RANKS);
+      for (let j = i + 1; j <= last; j++) {
+        total++;
+        if (records[i][rankedItems[j].id] || records[j][rankedItems[i].id]) {
+          covered++;
+        }
+      }
     }
+    return { covered, total };
   }
 
-  // UI COMPONENTS
-  // ============================================
+  /**
+   * Format pair coverage for display
+   * @param {Object} coverage - Result of computePairCoverage
+   * @returns {string} e.g. "42% (51/120)"
+   */
+  function formatPairCoverage(coverage) {
+    const percent = coverage.total > 0 ? Math.round((coverage.covered / coverage.total) * 100) : 0;
+    return `${percent}% (${coverage.covered}/${coverage.total})`;
+  }
 
-  function createPerformerCard(performer, side, rank = null, streak = null) {
-    // Performer name
-    const name = performer.name || `Performer #${performer.id}`;
-    
-    // Performer image - use their profile image
-    const imagePath = performer.image_path || null;
-    
-    // Performer metadata
-    const birthdate = performer.birthdate || null;
-    const ethnicity = performer.ethnicity || null;
-    const country = performer.country || null;
-    const stashRating = performer.rating100 ? `${performer.rating100}/100` : "Unrated";
-    
-    // Handle numeric ranks and string ranks
-    let rankDisplay = '';
-    if (rank !== null && rank !== undefined) {
-      if (typeof rank === 'number') {
-        rankDisplay = `<span class="hon-performer-rank hon-scene-rank">#${rank}</span>`;
-      } else {
-        rankDisplay = `<span class="hon-performer-rank hon-scene-rank">${rank}</span>`;
-      }
+  /**
+   * Swiss pairing: recency-weighted first pick, opponent from a similar rating window
+   * @param {Array} rankedItems - Items sorted by rating descending
+   * @returns {Object} { items, ranks }
+   */
+  function selectSwissPair(rankedItems) {
+    if (rankedItems.length < 2) {
+      return { items: rankedItems, ranks: [null, null] };
     }
-    
-    // Streak badge for gauntlet champion
-    let streakDisplay = '';
-    if (streak !== null && streak > 0) {
-      streakDisplay = `<div class="hon-streak-badge">🔥 ${streak} win${streak > 1 ? 's' : ''}</div>`;
+
+    pairCoverage = computePairCoverage(rankedItems);
+
+    if (usesSmartPairing()) {
+      return selectSmartSwissPair(rankedItems);
     }
 
-    return `
-      <div class="hon-performer-card hon-scene-card" data-performer-id="${performer.id}" data-side="${side}" data-rating="${performer.rating100 || 50}">
-        <div class="hon-performer-image-container hon-scene-image-container" data-performer-url="/performers/${performer.id}">
-          ${imagePath 
-            ? `<img class="hon-performer-image hon-scene-image" src="${imagePath}" alt="${name}" loading="lazy" />`
-            : `<div class="hon-performer-image hon-scene-image hon-no-image">No Image</div>`
-          }
-          ${streakDisplay}
-          <div class="hon-click-hint">Click to open performer</div>
-        </div>
-        
-        <div class="hon-performer-body hon-scene-body" data-winner="${performer.id}">
-          <div class="hon-performer-info hon-scene-info">
-            <div class="hon-performer-title-row hon-scene-title-row">
-              <h3 class="hon-performer-title hon-scene-title">${name}</h3>
-              ${rankDisplay}
-            </div>
-            
-            <div class="hon-performer-meta hon-scene-meta">
-              ${birthdate ? `<div class="hon-meta-item"><strong>Birthdate:</strong> ${birthdate}</div>` : ''}
-              ${ethnicity ? `<div class="hon-meta-item"><strong>Ethnicity:</strong> ${ethnicity}</div>` : ''}
-              ${country ? `<div class="hon-meta-item"><strong>Country:</strong> ${country}</div>` : ''}
-              <div class="hon-meta-item"><strong>Rating:</strong> ${stashRating}</div>
-            </div>
-          </div>
-          
-          <div class="hon-choose-btn">
-            ✓ Choose This Performer
-          </div>
-        </div>
-      </div>
-    `;
-  }
+    const itemsWithWeights = rankedItems.map((item, idx) => ({
+      item,
+      weight: getRecencyWeight(item),
+      index: idx
+    }));
 
-  function createImageCard(image, side, rank = null, streak = null) {
-    // Image paths
-    const imagePath = image.paths && image.paths.image ? image.paths.image : null;
-    const thumbnailPath = image.paths && image.paths.thumbnail ? image.paths.thumbnail : null;
-    
-    // Handle numeric ranks and string ranks
-    let rankDisplay = '';
-    if (rank !== null && rank !== undefined) {
-      if (typeof rank === 'number') {
-        rankDisplay = `<span class="hon-image-rank hon-scene-rank">#${rank}</span>`;
-      } else {
-        rankDisplay = `<span class="hon-image-rank hon-scene-rank">${rank}</span>`;
-      }
+    const selected1 = weightedRandomSelect(itemsWithWeights, itemsWithWeights.map(iw => iw.weight))
+      || itemsWithWeights[Math.floor(Math.random() * itemsWithWeights.length)];
+    const item1 = selected1.item;
+    const rating1 = item1.rating100 || 50;
+    const others = excludeRecentOpponents(item1, itemsWithWeights, iw => iw.item)
+      .filter(iw => iw.item.id !== item1.id);
+
+    // "Sanity Check" - randomly pair regardless of rating
+    if (Math.random() * 100 < getSettings().sanityCheckPercent) {
+      const randomOpponent = others[Math.floor(Math.random() * others.length)];
+      return {
+        items: [item1, randomOpponent.item],
+        ranks: [selected1.index + 1, randomOpponent.index + 1]
+      };
     }
-    
-    // Streak badge for gauntlet champion
-    let streakDisplay = '';
-    if (streak !== null && streak > 0) {
-      streakDisplay = `<div class="hon-streak-badge">🔥 ${streak} win${streak > 1 ? 's' : ''}</div>`;
+
+    // Find items within adaptive rating window (tighter for larger pools)
+    const matchWindow = getMatchWindow(rankedItems.length);
+    let candidates = others.filter(iw => Math.abs((iw.item.rating100 || 50) - rating1) <= matchWindow);
+
+    if (candidates.length === 0) {
+      // No similar items, pick from the 3 closest
+      candidates = [...others]
+        .sort((a, b) => Math.abs((a.item.rating100 || 50) - rating1) - Math.abs((b.item.rating100 || 50) - rating1))
+        .slice(0, 3);
     }
 
-    return `
-      <div class="hon-image-card hon-scene-card" data-image-id="${image.id}" data-side="${side}" data-rating="${image.rating100 || 50}">
-        <div class="hon-image-image-container hon-scene-image-container" data-image-url="/images/${image.id}">
-          ${thumbnailPath 
-            ? `<img class="hon-image-image hon-scene-image" src="${thumbnailPath}" alt="Image #${image.id}" loading="lazy" />`
-            : `<div class="hon-image-image hon-scene-image hon-no-image">No Image</div>`
-          }
-          ${streakDisplay}
-          ${rankDisplay ? `<div class="hon-image-rank-overlay">${rankDisplay}</div>` : ''}
-          <div class="hon-click-hint">Click to open image</div>
-        </div>
-        
-        <div class="hon-image-body hon-scene-body" data-winner="${image.id}">
-          <div class="hon-choose-btn">
-            ✓ Choose This Image
-          </div>
-        </div>
-      </div>
-    `;
+    const selected2 = weightedRandomSelect(candidates, candidates.map(iw => iw.weight)) || candidates[0];
+
+    return {
+      items: [item1, selected2.item],
+      ranks: [selected1.index + 1, selected2.index + 1]
+    };
   }
 
-  // ============================================
-  // PERFORMER SELECTION FOR GAUNTLET
-  // ============================================
+  // Smart Swiss scores each candidate pair by how much its result would tell us:
+  //   outcome uncertainty  4·p·(1-p) - 1 for an even match, ~0 for a foregone one
+  //   rating uncertainty   both items' Glicko rating deviations (derived from the
+  //                        match count when the item has no Glicko data)
+  //   novelty              halved for every previous meeting of the two items
+  //   recency              getRecencyWeight, so items that just played rest
+  // Pairs that met within the repeat window are skipped outright.
+  // Only neighbours within PAIR_NEIGHBOUR_RANKS ranks are candidates, which
+  // keeps the search linear in library size. The pair is drawn from the best
+  // SMART_SWISS_SHORTLIST candidates in proportion to their score.
+  const SMART_SWISS_SHORTLIST = 5;
+  // Share of the score a fully settled pair keeps, so close calls between
+  // established items are still revisited
+  const SMART_SWISS_SETTLED_FLOOR = 0.25;
 
-  async function fetchPerformersForSelection(count = 5) {
-    const performerFilter = getPerformerFilter();
-    const totalPerformers = await fetchPerformerCount(performerFilter);
-    
-    if (totalPerformers < count) {
-      count = totalPerformers;
-    }
+  /**
+   * Whether Swiss mode uses the information-maximizing pairing
+   * @returns {boolean}
+   */
+  function usesSmartPairing() {
+    return Boolean(pluginSettings) && pluginSettings.swissPairing === "smart";
+  }
 
-    const performerQuery = `
-      query FindRandomPerformers($performer_filter: PerformerFilterType, $filter: FindFilterType) {
-        findPerformers(performer_filter: $performer_filter, filter: $filter) {
-          performers {
-            ${PERFORMER_FRAGMENT}
-          }
-        }
-      }
-    `;
+  /**
+   * Score how informative a match between two items would be
+   * @param {Object} a - Candidate { item, score, rd, h2h, weight }
+   * @param {Object} b - Candidate { item, score, rd, h2h, weight }
+   * @returns {number} Pair score (higher = more informative)
+   */
+  function scorePairInformation(a, b) {
+    const p = eloExpectedScore(a.score, b.score);
+    const outcome = 4 * p * (1 - p);
+    const uncertainty = (a.rd * a.rd + b.rd * b.rd) / (2 * GLICKO_DEFAULT_RD * GLICKO_DEFAULT_RD);
+    const record = a.h2h[b.item.id] || {};
+    const meetings = (record.wins || 0) + (record.losses || 0) + (record.draws || 0);
+    const novelty = Math.pow(0.5, meetings);
+    return outcome * (SMART_SWISS_SETTLED_FLOOR + uncertainty) * novelty * Math.sqrt(a.weight * b.weight);
+  }
 
-    const result = await graphqlQuery(performerQuery, {
-      performer_filter: performerFilter,
-      filter: {
-        per_page: Math.min(100, totalPerformers),
-        sort: "random"
-      }
+  /**
+   * Smart Swiss pairing: the most informative pair among rank neighbours
+   * @param {Array} rankedItems - Items sorted by rating descending
+   * @returns {Object} { items, ranks }
+   */
+  function selectSmartSwissPair(rankedItems) {
+    const candidates = rankedItems.map((item, idx) => {
+      const score = getItemScore(item);
+      const matchCount = parsePerformerEloData(item).total_matches;
+      return {
+        item,
+        index: idx,
+        score,
+        rd: getGlickoState({ item, rating: score, matchCount }).rd,
+        h2h: parseHeadToHead(item),
+        recent: getRecentOpponentIds(item),
+        weight: getRecencyWeight(item)
+      };
     });
 
-    const allPerformers = result.findPerformers.performers || [];
+    const pairs = [];
+    const recentPairs = [];
+    for (let i = 0; i < candidates.length; i++) {
+      const last = Math.min(candidates.length - 1, i + PAIR_NEIGHBOUR_RANKS);
+      for (let j = i + 1; j <= last; j++) {
+        const a = candidates[i];
+        const b = candidates[j];
+        const pair = { a, b, value: scorePairInformation(a, b) };
+        const metRecently = a.recent.has(b.item.id) || b.recent.has(a.item.id);
+        (metRecently ? recentPairs : pairs).push(pair);
+      }
+    }
+
+    // Only rematch when every neighbouring pair met recently (tiny pools)
+    const shortlist = (pairs.length > 0 ? pairs : recentPairs).sort((x, y) => y.value - x.value).slice(0, SMART_SWISS_SHORTLIST);
+    const chosen = weightedRandomSelect(shortlist, shortlist.map(pair => pair.value)) || shortlist[0];
+
+    // Don't always put the higher-ranked item on the left
+    const [first, second] = Math.random() < 0.5 ? [chosen.a, chosen.b] : [chosen.b, chosen.a];
+    return {
+      items: [first.item, second.item],
+      ranks: [first.index + 1, second.index + 1]
+    };
+  }
+
+  /**
+   * Gauntlet pairing: champion climbs from the bottom, falls to find their floor after a loss
+   * @param {Array} rankedItems - Items sorted by rating descending
+   * @returns {Object} { items, ranks, isVictory, isFalling, isPlacement?, placementRank?, placementRating? }
+   */
+  async function selectGauntletPair(rankedItems) {
+    totalItemsCount = rankedItems.length;
+
+    if (rankedItems.length < 2) {
+      return { items: rankedItems, ranks: [null, null], isVictory: false, isFalling: false };
+    }
+
+    // Handle falling mode - find next opponent BELOW to test against
+    if (gauntletFalling && gauntletFallingItem) {
+      const fallingIndex = rankedItems.findIndex(s => s.id === gauntletFallingItem.id);
+      const belowOpponents = rankedItems.filter((s, idx) => {
+        if (s.id === gauntletFallingItem.id) return false;
+        if (gauntletDefeated.includes(s.id)) return false;
+        return idx > fallingIndex;
+      });
+
+      if (belowOpponents.length === 0) {
+        // Hit the bottom - they're the lowest, place them here
+        const finalRank = rankedItems.length;
+        const finalRating = await getFloorScore();
+        updateItemRating(battleType, gauntletFallingItem.id, finalRating);
+
+        return {
+          items: [gauntletFallingItem],
+          ranks: [finalRank],
+          isVictory: false,
+          isFalling: true,
+          isPlacement: true,
+          placementRank: finalRank,
+          placementRating: finalRating
+        };
+      }
+
+      const nextBelow = belowOpponents[0];
+      const nextBelowIndex = rankedItems.findIndex(s => s.id === nextBelow.id);
+      gauntletChampionRank = fallingIndex + 1;
+
+      return {
+        items: [gauntletFallingItem, nextBelow],
+        ranks: [fallingIndex + 1, nextBelowIndex + 1],
+        isVictory: false,
+        isFalling: true
+      };
+    }
+
+    const result = selectChampionPair(rankedItems);
+    result.isFalling = false;
+    return result;
+  }
+
+  /**
+   * Champion pairing: winner stays on and works up through higher-ranked opponents
+   * @param {Array} rankedItems - Items sorted by rating descending
+   * @returns {Object} { items, ranks, isVictory }
+   */
+  function selectChampionPair(rankedItems) {
+    totalItemsCount = rankedItems.length;
+
+    if (rankedItems.length < 2) {
+      return { items: rankedItems, ranks: [null, null], isVictory: false };
+    }
+
+    // If no champion yet, start with a random challenger vs the lowest rated item
+    if (!gauntletChampion) {
+      gauntletDefeated = [];
+      gauntletFalling = false;
+      gauntletFallingItem = null;
+
+      const randomIndex = Math.floor(Math.random() * rankedItems.length);
+      const challenger = rankedItems[randomIndex];
+      const lowestRated = rankedItems
+        .filter(s => s.id !== challenger.id)
+        .sort((a, b) => (a.rating100 || 0) - (b.rating100 || 0))[0];
+      const lowestIndex = rankedItems.findIndex(s => s.id === lowestRated.id);
+
+      gauntletChampionRank = randomIndex + 1;
+
+      return {
+        items: [challenger, lowestRated],
+        ranks: [randomIndex + 1, lowestIndex + 1],
+        isVictory: false
+      };
+    }
+
+    const championIndex = rankedItems.findIndex(s => s.id === gauntletChampion.id);
+    gauntletChampionRank = championIndex + 1;
+
+    // Only fight undefeated opponents ranked higher (lower index = higher rating)
+    const higherRankedOpponents = rankedItems.filter((s, idx) => {
+      if (s.id === gauntletChampion.id) return false;
+      if (gauntletDefeated.includes(s.id)) return false;
+      return idx < championIndex;
+    });
+
+    // Victory when there are no more higher-ranked opponents to defeat
+    if (higherRankedOpponents.length === 0) {
+      gauntletChampionRank = 1;
+      return {
+        items: [gauntletChampion],
+        ranks: [1],
+        isVictory: true
+      };
+    }
+
+    const nextOpponent = selectRandomOpponent(higherRankedOpponents);
+    const nextOpponentIndex = rankedItems.findIndex(s => s.id === nextOpponent.id);
+
+    return {
+      items: [gauntletChampion, nextOpponent],
+      ranks: [championIndex + 1, nextOpponentIndex + 1],
+      isVictory: false
+    };
+  }
+
+  // ============================================
+  // RANK LOOKUPS
+  // ============================================
+  // Swiss, Gauntlet and Champion never load the full library for battle types
+  // Stash can sort by rating100. Ranks come from count queries ("how many
+  // items are rated higher?"), opponents from small pages of rating
+  // neighbours and Swiss pools from one rating-sorted page, so the cost of a
+  // match stays constant whether the library has 500 or 50,000 items. Tags
+  // keep their rating in a custom field Stash can't sort or filter on, so
+  // they are ranked from a list loaded once per session (see fetchRankedTags).
+
+  // Filter argument of each battle type's find query, and the filter battles stay within
+  const RANKED_LIST_FILTERS = {
+    performers: { arg: "performer_filter", type: "PerformerFilterType", getFilter: () => getPerformerFilter() },
+    images: { arg: "image_filter", type: "ImageFilterType", getFilter: () => getPageFilter() },
+    scenes: { arg: "scene_filter", type: "SceneFilterType", getFilter: () => getPageFilter() },
+    galleries: { arg: "gallery_filter", type: "GalleryFilterType", getFilter: () => getPageFilter() },
+    studios: { arg: "studio_filter", type: "StudioFilterType", getFilter: () => ({}) }
+  };
+
+  // Number of rating neighbours fetched around the champion for each match
+  const RANK_NEIGHBOUR_PAGE_SIZE = 5;
+
+  // Items in the rating-sorted page a Swiss pair is drawn from
+  const SWISS_WINDOW_SIZE = 100;
+
+  /**
+   * Add a rating100 criterion to a filter.
+   * If the filter already has one, the extra criterion is nested under AND
+   * so both constraints apply. An AND the filter already has moves one level
+   * down rather than being replaced.
+   * @param {Object} filter - GraphQL filter of the battle type
+   * @param {Object} ratingCriterion - IntCriterionInput for rating100
+   * @returns {Object} Combined filter
+   */
+  function withRatingCriterion(filter, ratingCriterion) {
+    if (filter.rating100) {
+      const nested = { rating100: ratingCriterion };
+      if (filter.AND) {
+        nested.AND = filter.AND;
+      }
+      return { ...filter, AND: nested };
+    }
+    return { ...filter, rating100: ratingCriterion };
+  }
+
+  /**
+   * Run the current battle type's find query within its filter
+   * @param {Object} findFilter - FindFilterType (paging and sort); per_page 0 only counts
+   * @param {Object|null} [ratingCriterion] - Extra rating100 criterion
+   * @returns {Object} { items, count } - count matches the filter, not the page
+   */
+  async function findRankedItems(findFilter, ratingCriterion = null) {
+    const { query, key, fragment } = ITEM_FIND_QUERIES[battleType];
+    const { arg, type, getFilter } = RANKED_LIST_FILTERS[battleType];
+    const filter = ratingCriterion ? withRatingCriterion(getFilter(), ratingCriterion) : getFilter();
+    const result = await graphqlQuery(`
+      query FindRankedItems($${arg}: ${type}, $filter: FindFilterType) {
+        ${query}(${arg}: $${arg}, filter: $filter) {
+          count
+          ${findFilter.per_page === 0 ? "" : `${key} {
+            ${fragment}
+          }`}
+        }
+      }
+    `, { [arg]: filter, filter: findFilter });
+
+    return {
+      items: (result[query][key] || []).map(normalizeItemRating),
+      count: result[query].count
+    };
+  }
+
+  /**
+   * Count items in the battle filter, optionally matching a rating100 criterion
+   * @param {Object|null} [ratingCriterion] - IntCriterionInput for rating100
+   * @returns {number} Matching item count
+   */
+  async function fetchItemCount(ratingCriterion = null) {
+    return (await findRankedItems({ per_page: 0 }, ratingCriterion)).count;
+  }
+
+  /**
+   * Get an item's rank (1 = top) by counting the items rated above it.
+   * Unrated items rank below every rated item.
+   * @param {Object} item - Item with rating100
+   * @returns {number} 1-based rank
+   */
+  async function fetchItemRank(item) {
+    const rating = item.rating100 || 0;
+    const higherCount = await fetchItemCount({ value: rating, modifier: "GREATER_THAN" });
+    return higherCount + 1;
+  }
+
+  /**
+   * Fetch a page of rating neighbours above or below a rating, closest first
+   * @param {number} rating - Rating to search from
+   * @param {string} direction - "above" (rating >= value) or "below" (rating <= value)
+   * @param {Array} excludeIds - IDs to drop from the results (champion, defeated)
+   * @returns {Array} Neighbouring items, closest rating first
+   */
+  async function fetchRatingNeighbours(rating, direction, excludeIds = []) {
+    const above = direction === "above";
+    const { items } = await findRankedItems({
+      // Over-fetch by the exclusion count so filtering can't empty the page
+      per_page: RANK_NEIGHBOUR_PAGE_SIZE + excludeIds.length,
+      sort: "rating",
+      direction: above ? "ASC" : "DESC"
+    }, above
+      ? { value: rating - 1, modifier: "GREATER_THAN" }
+      : { value: rating + 1, modifier: "LESS_THAN" });
+
+    const excluded = new Set(excludeIds);
+    return items.filter(item => !excluded.has(item.id));
+  }
+
+  /**
+   * Fetch the lowest-rated item other than the given one
+   * @param {string} excludeId - Item ID to skip
+   * @returns {Object|null} Lowest-rated item
+   */
+  async function fetchLowestRatedItem(excludeId) {
+    const { items } = await findRankedItems({ per_page: 2, sort: "rating", direction: "ASC" });
+    return items.find(item => item.id !== excludeId) || null;
+  }
+
+  /**
+   * Pick the champion's next opponent: one of the closest undefeated items rated at or above them
+   * @returns {Object} { items, ranks, isVictory }
+   */
+  async function fetchNextChallenge() {
+    const championRating = gauntletChampion.rating100 || 0;
+    const [championRank, neighbours] = await Promise.all([
+      fetchItemRank(gauntletChampion),
+      fetchRatingNeighbours(championRating, "above", [gauntletChampion.id, ...gauntletDefeated])
+    ]);
+    gauntletChampionRank = championRank;
+
+    if (neighbours.length === 0) {
+      gauntletChampionRank = 1;
+      return { items: [gauntletChampion], ranks: [1], isVictory: true };
+    }
+
+    // Prefer the least-played of the closest neighbours so runs don't keep
+    // meeting the same items
+    const closest = neighbours.slice(0, 3);
+    const nextOpponent = weightedRandomSelect(closest, closest.map(getRecencyWeight)) || closest[0];
+    const opponentRank = await fetchItemRank(nextOpponent);
+
+    return {
+      items: [gauntletChampion, nextOpponent],
+      ranks: [championRank, opponentRank],
+      isVictory: false
+    };
+  }
+
+  /**
+   * Start a new run: random challenger vs the lowest-rated item
+   * @returns {Object} { items, ranks, isVictory }
+   */
+  async function fetchRunOpener() {
+    gauntletDefeated = [];
+    gauntletFalling = false;
+    gauntletFallingItem = null;
+
+    const { items: [challenger] } = await findRankedItems({ per_page: 1, sort: "random" });
+    const lowestRated = challenger ? await fetchLowestRatedItem(challenger.id) : null;
+    if (!challenger || !lowestRated) {
+      return { items: [], ranks: [null, null], isVictory: false };
+    }
+
+    const [challengerRank, lowestRank] = await Promise.all([
+      fetchItemRank(challenger),
+      fetchItemRank(lowestRated)
+    ]);
+    gauntletChampionRank = challengerRank;
+
+    return {
+      items: [challenger, lowestRated],
+      ranks: [challengerRank, lowestRank],
+      isVictory: false
+    };
+  }
+
+  /**
+   * Gauntlet: champion climbs, then falls to find their floor after a loss
+   * @returns {Object} { items, ranks, isVictory, isFalling, isPlacement?, placementRank?, placementRating? }
+   */
+  async function fetchGauntletPairByRank() {
+    totalItemsCount = await fetchItemCount();
+
+    if (gauntletFalling && gauntletFallingItem) {
+      const fallingRating = gauntletFallingItem.rating100 || 0;
+      const [fallingRank, below] = await Promise.all([
+        fetchItemRank(gauntletFallingItem),
+        fetchRatingNeighbours(fallingRating, "below", [gauntletFallingItem.id, ...gauntletDefeated])
+      ]);
+
+      if (below.length === 0) {
+        // Hit the bottom - they're the lowest, place them here
+        const finalRank = totalItemsCount;
+        const finalRating = await getFloorScore();
+        updateItemRating(battleType, gauntletFallingItem.id, finalRating);
+
+        return {
+          items: [gauntletFallingItem],
+          ranks: [finalRank],
+          isVictory: false,
+          isFalling: true,
+          isPlacement: true,
+          placementRank: finalRank,
+          placementRating: finalRating
+        };
+      }
+
+      const nextBelow = below[0];
+      gauntletChampionRank = fallingRank;
+
+      return {
+        items: [gauntletFallingItem, nextBelow],
+        ranks: [fallingRank, await fetchItemRank(nextBelow)],
+        isVictory: false,
+        isFalling: true
+      };
+    }
+
+    const result = gauntletChampion ? await fetchNextChallenge() : await fetchRunOpener();
+    result.isFalling = false;
+    return result;
+  }
+
+  /**
+   * Champion: like Gauntlet but the winner stays on (no falling)
+   * @returns {Object} { items, ranks, isVictory }
+   */
+  async function fetchChampionPairByRank() {
+    totalItemsCount = await fetchItemCount();
+    return gauntletChampion ? await fetchNextChallenge() : await fetchRunOpener();
+  }
+
+  /**
+   * Swiss: draw the pair from one rating-sorted page of the library.
+   * Libraries up to SWISS_WINDOW_SIZE items fit in a single page, so their
+   * ranks and pair coverage are exact; larger ones get a random page.
+   * @returns {Object} { items, ranks }
+   */
+  async function fetchSwissPairByRank() {
+    const total = await fetchItemCount();
+    const pageCount = Math.max(1, Math.ceil(total / SWISS_WINDOW_SIZE));
+    let page = 1 + Math.floor(Math.random() * pageCount);
+    // A last page holding a single item can't make a pair; use the one above it
+    if (page > 1 && total - (page - 1) * SWISS_WINDOW_SIZE < 2) {
+      page--;
+    }
+
+    const { items } = await findRankedItems({ per_page: SWISS_WINDOW_SIZE, page, sort: "rating", direction: "DESC" });
+    const pair = selectSwissPair(items);
+    if (pageCount > 1) {
+      // Coverage of one page says nothing about the library
+      pairCoverage = null;
+    }
+
+    const offset = (page - 1) * SWISS_WINDOW_SIZE;
+    return {
+      items: pair.items,
+      ranks: pair.ranks.map(rank => rank === null ? null : rank + offset)
+    };
+  }
+
+  // ============================================
+  // SCENE FUNCTIONS
+  // ============================================
+
+  /**
+   * Get a display title for a scene, falling back to the file name
+   * @param {Object} scene - Scene object from GraphQL
+   * @returns {string} Scene title
+   */
+  function getSceneTitle(scene) {
+    if (scene.title) return scene.title;
+    const file = scene.files && scene.files[0];
+    return file && file.basename ? file.basename : `Scene #${scene.id}`;
+  }
+
+  async function fetchRandomScenes(count = 5) {
+    return (await findRankedItems({ per_page: count, sort: "random" })).items;
+  }
+
+  /**
+   * Fetch the latest scene data by ID to get current stats
+   * @param {string} sceneId - ID of the scene to fetch
+   * @returns {Object|null} Scene object, or null if not found
+   */
+  async function fetchSceneById(sceneId) {
+    if (!sceneId?.trim?.()) {
+      return null;
+    }
+
+    const sceneQuery = `
+      query FindScene($id: ID!) {
+        findScene(id: $id) {
+          ${SCENE_FRAGMENT}
+        }
+      }
+    `;
+
+    try {
+      const result = await graphqlQuery(sceneQuery, { id: sceneId });
+      return result.findScene || null;
+    } catch (error) {
+      console.error(`[HotOrNot] Error fetching scene ${sceneId}:`, error);
+      return null;
+    }
+  }
+
+  async function fetchSwissPairScenes() {
+    const { items, ranks } = await fetchSwissPairByRank();
+    return { scenes: items, ranks };
+  }
+
+  async function fetchGauntletPairScenes() {
+    const result = await fetchGauntletPairByRank();
+    return { ...result, scenes: result.items };
+  }
+
+  async function fetchChampionPairScenes() {
+    const result = await fetchChampionPairByRank();
+    return { ...result, scenes: result.items };
+  }
+
+  // ============================================
+  // GALLERY FUNCTIONS
+  // ============================================
+
+  /**
+   * Get a display title for a gallery, falling back to its folder or zip file name
+   * @param {Object} gallery - Gallery object from GraphQL
+   * @returns {string} Gallery title
+   */
+  function getGalleryTitle(gallery) {
+    if (gallery.title) return gallery.title;
+    if (gallery.folder && gallery.folder.path) {
+      return gallery.folder.path.split(/[\\/]/).filter(Boolean).pop();
+    }
+    const file = gallery.files && gallery.files[0];
+    return file && file.basename ? file.basename : `Gallery #${gallery.id}`;
+  }
+
+  async function fetchRandomGalleries(count = 5) {
+    return (await findRankedItems({ per_page: count, sort: "random" })).items;
+  }
+
+  /**
+   * Fetch the latest gallery data by ID to get current stats
+   * @param {string} galleryId - ID of the gallery to fetch
+   * @returns {Object|null} Gallery object, or null if not found
+   */
+  async function fetchGalleryById(galleryId) {
+    if (!galleryId?.trim?.()) {
+      return null;
+    }
+
+    const galleryQuery = `
+      query FindGallery($id: ID!) {
+        findGallery(id: $id) {
+          ${GALLERY_FRAGMENT}
+        }
+      }
+    `;
+
+    try {
+      const result = await graphqlQuery(galleryQuery, { id: galleryId });
+      return result.findGallery || null;
+    } catch (error) {
+      console.error(`[HotOrNot] Error fetching gallery ${galleryId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Attach a few image thumbnails to each gallery for the card preview strip.
+   * Thumbnails are cached on the gallery object so a gauntlet champion only loads them once.
+   * @param {Array} galleries - Gallery objects to decorate
+   * @returns {Array} The same galleries with preview_images set
+   */
+  async function attachGalleryPreviews(galleries) {
+    const imagesQuery = `
+      query FindGalleryPreviewImages($image_filter: ImageFilterType, $filter: FindFilterType) {
+        findImages(image_filter: $image_filter, filter: $filter) {
+          images {
+            id
+            paths {
+              thumbnail
+            }
+          }
+        }
+      }
+    `;
+
+    await Promise.all(galleries.map(async (gallery) => {
+      if (gallery.preview_images) return;
+      try {
+        const result = await graphqlQuery(imagesQuery, {
+          image_filter: {
+            galleries: { value: [gallery.id], modifier: "INCLUDES" }
+          },
+          filter: {
+            per_page: GALLERY_PREVIEW_COUNT + 1,
+            sort: "path",
+            direction: "ASC"
+          }
+        });
+        const coverPath = gallery.paths && gallery.paths.cover;
+        gallery.preview_images = (result.findImages.images || [])
+          .map(img => img.paths && img.paths.thumbnail)
+          .filter(path => path && path !== coverPath)
+          .slice(0, GALLERY_PREVIEW_COUNT);
+      } catch (error) {
+        console.warn(`[HotOrNot] Failed to load preview images for gallery ${gallery.id}:`, error);
+        gallery.preview_images = [];
+      }
+    }));
+
+    return galleries;
+  }
+
+  async function fetchSwissPairGalleries() {
+    const { items, ranks } = await fetchSwissPairByRank();
+    return { galleries: await attachGalleryPreviews(items), ranks };
+  }
+
+  async function fetchGauntletPairGalleries() {
+    const result = await fetchGauntletPairByRank();
+    return { ...result, galleries: await attachGalleryPreviews(result.items) };
+  }
+
+  async function fetchChampionPairGalleries() {
+    const result = await fetchChampionPairByRank();
+    return { ...result, galleries: await attachGalleryPreviews(result.items) };
+  }
+
+  // ============================================
+  // STUDIO FUNCTIONS
+  // ============================================
+
+  async function fetchRandomStudios(count = 5) {
+    const studiosQuery = `
+      query FindRandomStudios($filter: FindFilterType) {
+        findStudios(filter: $filter) {
+          studios {
+            ${STUDIO_FRAGMENT}
+          }
+        }
+      }
+    `;
+
+    const result = await graphqlQuery(studiosQuery, {
+      filter: {
+        per_page: count,
+        sort: "random"
+      }
+    });
+
+    return result.findStudios.studios || [];
+  }
+
+  /**
+   * Fetch the latest studio data by ID to get current stats
+   * @param {string} studioId - ID of the studio to fetch
+   * @returns {Object|null} Studio object, or null if not found
+   */
+  async function fetchStudioById(studioId) {
+    if (!studioId?.trim?.()) {
+      return null;
+    }
+
+    const studioQuery = `
+      query FindStudio($id: ID!) {
+        findStudio(id: $id) {
+          ${STUDIO_FRAGMENT}
+        }
+      }
+    `;
+
+    try {
+      const result = await graphqlQuery(studioQuery, { id: studioId });
+      return result.findStudio || null;
+    } catch (error) {
+      console.error(`[HotOrNot] Error fetching studio ${studioId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Attach each studio's top-rated scenes for the card sample list.
+   * Cached on the studio object so a gauntlet champion only loads them once.
+   * @param {Array} studios - Studio objects to decorate
+   * @returns {Array} The same studios with top_scenes set
+   */
+  async function attachStudioTopScenes(studios) {
+    const scenesQuery = `
+      query FindStudioTopScenes($scene_filter: SceneFilterType, $filter: FindFilterType) {
+        findScenes(scene_filter: $scene_filter, filter: $filter) {
+          scenes {
+            id
+            title
+            rating100
+            files {
+              basename
+            }
+            paths {
+              screenshot
+            }
+          }
+        }
+      }
+    `;
+
+    await Promise.all(studios.map(async (studio) => {
+      if (studio.top_scenes) return;
+      try {
+        const result = await graphqlQuery(scenesQuery, {
+          scene_filter: {
+            studios: { value: [studio.id], modifier: "INCLUDES", depth: 0 }
+          },
+          filter: {
+            per_page: STUDIO_TOP_SCENES_COUNT,
+            sort: "rating",
+            direction: "DESC"
+          }
+        });
+        studio.top_scenes = result.findScenes.scenes || [];
+      } catch (error) {
+        console.warn(`[HotOrNot] Failed to load top scenes for studio ${studio.id}:`, error);
+        studio.top_scenes = [];
+      }
+    }));
+
+    return studios;
+  }
+
+  async function fetchSwissPairStudios() {
+    const { items, ranks } = await fetchSwissPairByRank();
+    return { studios: await attachStudioTopScenes(items), ranks };
+  }
+
+  async function fetchGauntletPairStudios() {
+    const result = await fetchGauntletPairByRank();
+    return { ...result, studios: await attachStudioTopScenes(result.items) };
+  }
+
+  async function fetchChampionPairStudios() {
+    const result = await fetchChampionPairByRank();
+    return { ...result, studios: await attachStudioTopScenes(result.items) };
+  }
+
+  // ============================================
+  // TAG FUNCTIONS
+  // ============================================
+
+  /**
+   * Copy a tag's custom-field rating onto rating100 so tags can flow through
+   * the same rating logic as every other battle type
+   * @param {Object} tag - Tag object from GraphQL
+   * @returns {Object} The same tag with rating100 set (null when unrated)
+   */
+  function normalizeTagRating(tag) {
+    const stored = tag.custom_fields ? parseInt(tag.custom_fields[TAG_RATING_FIELD], 10) : NaN;
+    tag.rating100 = isNaN(stored) ? null : stored;
+    return tag;
+  }
+
+  /**
+   * Fetch all tags sorted by their HotOrNot rating (highest first, unrated last).
+   * Stash can't sort by a custom field, so sorting happens client-side. The
+   * tags are loaded once per modal session and kept current from HotOrNot's
+   * own writes (see patchRankedTag) instead of being reloaded for every pair;
+   * edits made elsewhere show up the next time the modal opens.
+   * @returns {Array} Tag objects (copies, so callers can't change the cache)
+   */
+  async function fetchRankedTags() {
+    if (!rankedTags) {
+      const tagsQuery = `
+        query FindAllTags($filter: FindFilterType) {
+          findTags(filter: $filter) {
+            tags {
+              ${TAG_FRAGMENT}
+            }
+          }
+        }
+      `;
+
+      const result = await graphqlQuery(tagsQuery, {
+        filter: {
+          per_page: -1,
+          sort: "name",
+          direction: "ASC"
+        }
+      });
+      rankedTags = (result.findTags.tags || []).map(normalizeTagRating);
+    }
+
+    return rankedTags.map(tag => ({ ...tag })).sort((a, b) => {
+      if (a.rating100 === null && b.rating100 === null) return 0;
+      if (a.rating100 === null) return 1;
+      if (b.rating100 === null) return -1;
+      return b.rating100 - a.rating100;
+    });
+  }
+
+  /**
+   * Apply a custom-field write to the cached tag ranking
+   * @param {string} tagId - Tag ID
+   * @param {Object} fields - Custom fields just written (partial update)
+   */
+  function patchRankedTag(tagId, fields) {
+    const tag = rankedTags && rankedTags.find(t => t.id === tagId);
+    if (!tag) return;
+    tag.custom_fields = { ...(tag.custom_fields || {}), ...fields };
+    normalizeTagRating(tag);
+  }
+
+  async function fetchRandomTags(count = 5) {
+    const tagsQuery = `
+      query FindRandomTags($filter: FindFilterType) {
+        findTags(filter: $filter) {
+          tags {
+            ${TAG_FRAGMENT}
+          }
+        }
+      }
+    `;
+
+    const result = await graphqlQuery(tagsQuery, {
+      filter: {
+        per_page: count,
+        sort: "random"
+      }
+    });
+
+    return (result.findTags.tags || []).map(normalizeTagRating);
+  }
+
+  /**
+   * Fetch the latest tag data by ID to get current stats
+   * @param {string} tagId - ID of the tag to fetch
+   * @returns {Object|null} Tag object, or null if not found
+   */
+  async function fetchTagById(tagId) {
+    if (!tagId?.trim?.()) {
+      return null;
+    }
+
+    const tagQuery = `
+      query FindTag($id: ID!) {
+        findTag(id: $id) {
+          ${TAG_FRAGMENT}
+        }
+      }
+    `;
+
+    try {
+      const result = await graphqlQuery(tagQuery, { id: tagId });
+      return result.findTag ? normalizeTagRating(result.findTag) : null;
+    } catch (error) {
+      console.error(`[HotOrNot] Error fetching tag ${tagId}:`, error);
+      return null;
+    }
+  }
+
+  async function fetchSwissPairTags() {
+    const { items, ranks } = selectSwissPair(await fetchRankedTags());
+    return { tags: items, ranks };
+  }
+
+  async function fetchGauntletPairTags() {
+    const result = await selectGauntletPair(await fetchRankedTags());
+    return { ...result, tags: result.items };
+  }
+
+  async function fetchChampionPairTags() {
+    const result = selectChampionPair(await fetchRankedTags());
+    return { ...result, tags: result.items };
+  }
+
+  // ============================================
+  // RATING DIMENSIONS
+  // ============================================
+  // Performers can be rated on several questions ("overall", "acting",
+  // "chemistry"; dimensions setting). The dimension synced to rating100
+  // (ratingDimension setting) keeps using rating100 and the plain HotOrNot
+  // fields. Every other dimension keeps its rating, stats, history,
+  // head-to-head and engine state in its own "_<dimension>" custom fields.
+  // Performers are normalized on read so the active dimension's values sit
+  // in rating100 and the plain field names, and updateItemCustomFields maps
+  // them back on write - the rating logic never needs to know. Stash can't
+  // sort by a custom field, so those dimensions are ranked client-side, as
+  // for tags.
+
+  /**
+   * Whether the modal offers a choice of dimensions (performers with more than one configured)
+   * @returns {boolean}
+   */
+  function hasDimensions() {
+    return battleType === "performers" && Boolean(pluginSettings) && pluginSettings.dimensions.length > 1;
+  }
+
+  /**
+   * The active dimension's settings entry
+   * @returns {Object} { name, label, prompt }
+   */
+  function getActiveDimension() {
+    return pluginSettings.dimensions.find(d => d.name === activeDimension) || pluginSettings.dimensions[0];
+  }
+
+  /**
+   * Whether a dimension keeps its values in its own custom fields (performers only)
+   * @param {string} dimension - Dimension name
+   * @returns {boolean} False for the dimension synced to rating100
+   */
+  function usesDimensionFields(dimension = activeDimension) {
+    return battleType === "performers" && Boolean(pluginSettings) && Boolean(dimension) &&
+      dimension !== pluginSettings.ratingDimension;
+  }
+
+  /**
+   * Custom field holding a dimension's copy of a HotOrNot field
+   * @param {string} field - Plain field name (or TAG_RATING_FIELD for the rating)
+   * @param {string} dimension - Dimension name
+   * @returns {string} Field name
+   */
+  function getDimensionField(field, dimension) {
+    return `${field}_${dimension}`;
+  }
+
+  /**
+   * Move a dimension's rating and fields into rating100 and the plain field
+   * names, so the performer flows through the normal rating logic. Fields the
+   * dimension doesn't have yet are left out (a fresh start for that dimension).
+   * @param {Object} performer - Performer object from GraphQL
+   * @param {string} dimension - Dimension name (defaults to the active one)
+   * @returns {Object} The same performer, updated in place
+   */
+  function normalizeDimension(performer, dimension = activeDimension) {
+    if (!performer || !usesDimensionFields(dimension)) {
+      return performer;
+    }
+    const customFields = performer.custom_fields || {};
+    const normalized = { ...customFields };
+    for (const field of DIMENSION_FIELDS) {
+      const value = customFields[getDimensionField(field, dimension)];
+      if (value === undefined) {
+        delete normalized[field];
+      } else {
+        normalized[field] = value;
+      }
+    }
+    const stored = parseInt(customFields[getDimensionField(TAG_RATING_FIELD, dimension)], 10);
+    performer.rating100 = isNaN(stored) ? null : stored;
+    performer.custom_fields = normalized;
+    return performer;
+  }
+
+  /**
+   * Normalize a fetched item of the current battle type: tag ratings and performer dimensions
+   * @param {Object} item - Item object from GraphQL
+   * @returns {Object} The same item
+   */
+  function normalizeItemRating(item) {
+    if (battleType === "tags") {
+      return normalizeTagRating(item);
+    }
+    if (battleType === "performers") {
+      return normalizeDimension(item);
+    }
+    return item;
+  }
+
+  /**
+   * Normalize performers for a dimension and, when it lives in custom fields,
+   * sort them by its rating (highest first, unrated last). Performers already
+   * sorted by rating100 keep their order otherwise.
+   * @param {Array} performers - Performers from GraphQL
+   * @param {string} dimension - Dimension name (defaults to the active one)
+   * @returns {Array} The same performers, normalized and ranked
+   */
+  function rankPerformers(performers, dimension = activeDimension) {
+    performers.forEach(performer => normalizeDimension(performer, dimension));
+    if (!usesDimensionFields(dimension)) {
+      return performers;
+    }
+    return performers.sort((a, b) => {
+      if (a.rating100 === null && b.rating100 === null) return 0;
+      if (a.rating100 === null) return 1;
+      if (b.rating100 === null) return -1;
+      return b.rating100 - a.rating100;
+    });
+  }
+
+  /**
+   * Map a write for the active dimension onto its own custom fields: plain
+   * HotOrNot field names get the dimension suffix and rating100 becomes the
+   * dimension's rating field
+   * @param {Object} fields - Custom fields to set
+   * @param {Object} extraInput - Other update input (may hold rating100)
+   * @returns {Object} { fields, extraInput } for the update mutation
+   */
+  function toDimensionInput(fields, extraInput) {
+    const mapped = {};
+    for (const [field, value] of Object.entries(fields)) {
+      mapped[DIMENSION_FIELDS.includes(field) ? getDimensionField(field, activeDimension) : field] = value;
+    }
+    const { rating100, ...input } = extraInput;
+    if (rating100 !== undefined) {
+      mapped[getDimensionField(TAG_RATING_FIELD, activeDimension)] =
+        rating100 === null ? "" : String(Math.max(1, Math.min(100, Math.round(rating100))));
+    }
+    return { fields: mapped, extraInput: input };
+  }
+
+  /**
+   * Dimension switcher HTML (modal header and stats modal)
+   * @param {string} selected - Selected dimension name
+   * @param {string} attribute - Data attribute the buttons carry the dimension name in
+   * @returns {string} HTML, empty unless there is a choice
+   */
+  function createDimensionToggle(selected, attribute) {
+    if (!hasDimensions()) return "";
+    return `
+      <div class="hon-dimension-toggle">
+        <span class="hon-dimension-label">Rating on:</span>
+        ${pluginSettings.dimensions.map(dimension => `
+          <button class="btn btn-secondary hon-dimension-btn ${dimension.name === selected ? "active" : ""}"
+            data-${attribute}="${dimension.name}" title="${escapeHtml(dimension.prompt)}">
+            ${escapeHtml(dimension.label)}${dimension.name === pluginSettings.ratingDimension ? " ★" : ""}
+          </button>
+        `).join("")}
+      </div>
+    `;
+  }
+
+  // ============================================
+  // WRAPPER FUNCTIONS (Dispatch based on battleType)
+  // ============================================
+
+  /**
+   * Whether the current battle type persists hotornot_stats
+   * @returns {boolean}
+   */
+  function tracksItemStats() {
+    return STATS_BATTLE_TYPES.has(battleType);
+  }
+
+  async function fetchSwissPair() {
+    if (battleType === "performers") {
+      return await fetchSwissPairPerformers();
+    } else if (battleType === "scenes") {
+      return await fetchSwissPairScenes();
+    } else if (battleType === "galleries") {
+      return await fetchSwissPairGalleries();
+    } else if (battleType === "studios") {
+      return await fetchSwissPairStudios();
+    } else if (battleType === "tags") {
+      return await fetchSwissPairTags();
+    } else {
+      return await fetchSwissPairImages();
+    }
+  }
+
+  async function fetchGauntletPair() {
+    if (battleType === "performers") {
+      return await fetchGauntletPairPerformers();
+    } else if (battleType === "scenes") {
+      return await fetchGauntletPairScenes();
+    } else if (battleType === "galleries") {
+      return await fetchGauntletPairGalleries();
+    } else if (battleType === "studios") {
+      return await fetchGauntletPairStudios();
+    } else if (battleType === "tags") {
+      return await fetchGauntletPairTags();
+    } else {
+      return await fetchGauntletPairImages();
+    }
+  }
+
+  async function fetchChampionPair() {
+    if (battleType === "performers") {
+      return await fetchChampionPairPerformers();
+    } else if (battleType === "scenes") {
+      return await fetchChampionPairScenes();
+    } else if (battleType === "galleries") {
+      return await fetchChampionPairGalleries();
+    } else if (battleType === "studios") {
+      return await fetchChampionPairStudios();
+    } else if (battleType === "tags") {
+      return await fetchChampionPairTags();
+    } else {
+      return await fetchChampionPairImages();
+    }
+  }
+
+  /**
+   * Save a new rating for an item. Every battle type goes through here: the
+   * update mutation comes from ITEM_UPDATE_MUTATIONS, tags keep the rating in
+   * TAG_RATING_FIELD and performer dimensions are mapped by updateItemCustomFields.
+   * @param {string} type - Battle type of the item
+   * @param {string} itemId - Item ID
+   * @param {number} newRating - New score (hidden skill in skill mode, else rating100)
+   * @param {Object|null} itemObj - Fresh item object for stats tracking
+   * @param {boolean|null|string} won - Match outcome for stats (see updatePerformerStats)
+   * @param {Object} [options] - { mapped: true } when newRating is already a rating100 value
+   */
+  async function updateItemRating(type, itemId, newRating, itemObj = null, won = null, options = {}) {
+    if (!options.mapped) {
+      newRating = await saveItemScore(itemId, newRating);
+    }
+    const rating = Math.max(1, Math.min(100, Math.round(newRating)));
+
+    // Update stats if an item object is provided (won can be true/false/null/"draw")
+    // won=true: winner with full stats, won=false: loser with full stats, won=null: participation only (no win/loss)
+    const fields = {};
+    if (itemObj && won !== undefined) {
+      fields.hotornot_stats = JSON.stringify(updatePerformerStats(parsePerformerEloData(itemObj), won));
+    }
+
+    // Tags have no rating100, so their rating is one more custom field
+    const extraInput = {};
+    if (type === "tags") {
+      fields[TAG_RATING_FIELD] = String(rating);
+    } else {
+      extraInput.rating100 = rating;
+    }
+
+    try {
+      const result = await updateItemCustomFields(itemId, fields, extraInput, type);
+      console.log(`[HotOrNot] Updated ${BATTLE_TYPE_LABELS[type].singular} ${itemId} rating to ${rating}`);
+      return result;
+    } catch (e) {
+      console.error(`[HotOrNot] Failed to update ${BATTLE_TYPE_LABELS[type].singular} ${itemId} rating:`, e);
+      // Rethrow so callers that count failures (refit, tier apply) see it
+      throw e;
+    }
+  }
+
+  async function fetchItemById(itemId) {
+    if (battleType === "performers") {
+      return await fetchPerformerById(itemId);
+    } else if (battleType === "scenes") {
+      return await fetchSceneById(itemId);
+    } else if (battleType === "galleries") {
+      return await fetchGalleryById(itemId);
+    } else if (battleType === "studios") {
+      return await fetchStudioById(itemId);
+    } else if (battleType === "tags") {
+      return await fetchTagById(itemId);
+    } else {
+      return await fetchImageById(itemId);
+    }
+  }
+
+  async function fetchItemsForSelection(count = 5) {
+    if (battleType === "scenes") {
+      return await fetchRandomScenes(count);
+    }
+    if (battleType === "galleries") {
+      return await fetchRandomGalleries(count);
+    }
+    if (battleType === "studios") {
+      return await fetchRandomStudios(count);
+    }
+    if (battleType === "tags") {
+      return await fetchRandomTags(count);
+    }
+    if (battleType === "images") {
+      return await fetchImagesForSelection(count);
+    }
+    return await fetchPerformersForSelection(count);
+  }
+
+  // ============================================
+  // MATCH HISTORY
+  // ============================================
+  // Every comparison is appended to both items' hotornot_history custom field
+  // (newest last, capped at MATCH_HISTORY_LIMIT entries) and tallied per
+  // opponent in hotornot_h2h, so head-to-head records survive the log cap.
+  // The last opponents are also copied to hotornot_recent for pairing.
+
+  /**
+   * Parse a JSON custom field, returning a fallback if missing or invalid
+   * @param {Object} item - Item object with custom_fields
+   * @param {string} field - Custom field name
+   * @param {*} fallback - Value returned when the field is missing or unparseable
+   * @returns {*} Parsed value
+   */
+  function parseJsonCustomField(item, field, fallback) {
+    const raw = item && item.custom_fields ? item.custom_fields[field] : null;
+    if (!raw) return fallback;
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed !== null && typeof parsed === typeof fallback ? parsed : fallback;
+    } catch (e) {
+      console.warn(`[HotOrNot] Failed to parse ${field} for item ${item.id}:`, e);
+      return fallback;
+    }
+  }
+
+  /**
+   * Get an item's match log
+   * @param {Object} item - Item object with custom_fields
+   * @returns {Array} Match entries, oldest first
+   */
+  function parseMatchHistory(item) {
+    const history = parseJsonCustomField(item, MATCH_HISTORY_FIELD, []);
+    return Array.isArray(history) ? history : [];
+  }
+
+  /**
+   * Get an item's lifetime head-to-head tallies
+   * @param {Object} item - Item object with custom_fields
+   * @returns {Object} Map of opponent ID to { wins, losses, draws }
+   */
+  function parseHeadToHead(item) {
+    const h2h = parseJsonCustomField(item, HEAD_TO_HEAD_FIELD, {});
+    return Array.isArray(h2h) ? {} : h2h;
+  }
+
+  /**
+   * Write custom fields on an item without touching its rating
+   * @param {string} itemId - Item ID
+   * @param {Object} fields - Custom fields to set (partial update)
+   * @param {Object} [extraInput={}] - Additional update input fields (e.g. rating100)
+   * @param {string} [type] - Battle type of the item (defaults to the current one)
+   */
+  async function updateItemCustomFields(itemId, fields, extraInput = {}, type = battleType) {
+    const { mutation, input } = ITEM_UPDATE_MUTATIONS[type];
+    if (usesDimensionFields()) {
+      ({ fields, extraInput } = toDimensionInput(fields, extraInput));
+    }
+    const query = `
+      mutation UpdateItemCustomFields($input: ${input}!) {
+        ${mutation}(input: $input) {
+          id
+          custom_fields
+        }
+      }
+    `;
+
+    const result = await graphqlQuery(query, {
+      input: {
+        id: itemId,
+        ...extraInput,
+        custom_fields: { partial: fields }
+      }
+    });
+    if (type === "tags") {
+      patchRankedTag(itemId, fields);
+    }
+    return result;
+  }
+
+  /**
+   * Build one side of a match log entry
+   * @param {string} timestamp - ISO timestamp of the match
+   * @param {Object} self - Item the entry belongs to
+   * @param {Object} opponent - The other item
+   * @param {number} before - Item rating before the match
+   * @param {number} after - Item rating after the match
+   * @param {number} opponentBefore - Opponent rating before the match
+   * @param {number} opponentAfter - Opponent rating after the match
+   * @param {string} outcome - "win", "loss" or "draw"
+   * @returns {Object} Match entry
+   */
+  function createMatchEntry(timestamp, self, opponent, before, after, opponentBefore, opponentAfter, outcome) {
+    return {
+      timestamp,
+      mode: currentMode,
+      id: self.id,
+      opponent_id: opponent.id,
+      rating_before: before,
+      rating_after: after,
+      opponent_rating_before: opponentBefore,
+      opponent_rating_after: opponentAfter,
+      outcome
+    };
+  }
+
+  /**
+   * Count a match entry in head-to-head tallies
+   * @param {Object} h2h - Tallies from parseHeadToHead (updated in place)
+   * @param {Object} entry - Match entry from the tallies' owner's perspective
+   */
+  function tallyHeadToHead(h2h, entry) {
+    const record = h2h[entry.opponent_id] || { wins: 0, losses: 0, draws: 0 };
+    if (entry.outcome === "win") record.wins++;
+    else if (entry.outcome === "loss") record.losses++;
+    else record.draws++;
+    h2h[entry.opponent_id] = record;
+  }
+
+  /**
+   * Serialize the recent opponents field from a match log
+   * @param {Array} history - Match log, newest last
+   * @returns {string} JSON array of opponent IDs
+   */
+  function formatRecentOpponents(history) {
+    return JSON.stringify(history.slice(-RECENT_OPPONENTS_LIMIT).map(entry => entry.opponent_id));
+  }
+
+  /**
+   * Append one side of a match to an item's log and head-to-head tallies
+   * @param {Object} item - Fresh item object (with custom_fields)
+   * @param {Object} entry - Match entry from this item's perspective
+   */
+  async function appendMatchHistory(item, entry) {
+    const history = parseMatchHistory(item);
+    history.push(entry);
+
+    const h2h = parseHeadToHead(item);
+    tallyHeadToHead(h2h, entry);
+
+    try {
+      await updateItemCustomFields(item.id, {
+        [MATCH_HISTORY_FIELD]: JSON.stringify(history.slice(-MATCH_HISTORY_LIMIT)),
+        [HEAD_TO_HEAD_FIELD]: JSON.stringify(h2h),
+        [RECENT_OPPONENTS_FIELD]: formatRecentOpponents(history)
+      });
+    } catch (e) {
+      console.error(`[HotOrNot] Failed to record match history for ${item.id}:`, e);
+    }
+  }
+
+  /**
+   * Record a comparison in both items' match logs
+   * @param {Object} match - Match details
+   * @param {Object} match.winner - Fresh winner object (left item for draws)
+   * @param {Object} match.loser - Fresh loser object (right item for draws)
+   * @param {number} match.winnerBefore - Winner rating before the match
+   * @param {number} match.winnerAfter - Winner rating after the match
+   * @param {number} match.loserBefore - Loser rating before the match
+   * @param {number} match.loserAfter - Loser rating after the match
+   * @param {boolean} [match.draw=false] - True for skips (drawn matches)
+   */
+  async function recordMatch({ winner, loser, winnerBefore, winnerAfter, loserBefore, loserAfter, draw = false }) {
+    if (!winner || !loser) return;
+
+    // Both items are fresh here, so this is the last point their prior state is known
+    pushUndoEntry([winner, loser]);
+
+    const timestamp = new Date().toISOString();
+    await Promise.all([
+      appendMatchHistory(winner, createMatchEntry(timestamp, winner, loser, winnerBefore, winnerAfter, loserBefore, loserAfter, draw ? "draw" : "win")),
+      appendMatchHistory(loser, createMatchEntry(timestamp, loser, winner, loserBefore, loserAfter, winnerBefore, winnerAfter, draw ? "draw" : "loss"))
+    ]);
+  }
+
+  /**
+   * Build the head-to-head summary between two items
+   * @param {Object} itemA - First item (with custom_fields)
+   * @param {Object} itemB - Second item
+   * @returns {Object} { wins, losses, draws, matches } from itemA's perspective, matches newest first
+   */
+  function getHeadToHead(itemA, itemB) {
+    const record = parseHeadToHead(itemA)[itemB.id] || { wins: 0, losses: 0, draws: 0 };
+    const matches = parseMatchHistory(itemA)
+      .filter(entry => entry.opponent_id === itemB.id)
+      .reverse();
+    return {
+      wins: record.wins || 0,
+      losses: record.losses || 0,
+      draws: record.draws || 0,
+      matches
+    };
+  }
+
+  // ============================================
+  // RATING TIMELINE
+  // ============================================
+  // Every match log entry already carries the rating before and after, the
+  // outcome and the mode, so an item's rating over time is read straight from
+  // hotornot_history (its last MATCH_HISTORY_LIMIT matches). It is drawn as
+  // inline SVG: a sparkline in the leaderboard and a full chart on the
+  // performer page, with a dot per match coloured by its outcome.
+
+  // Mode names shown in timeline tooltips (match entries store currentMode)
+  const MODE_LABELS = {
+    swiss: "Swiss",
+    gauntlet: "Gauntlet",
+    champion: "Champion",
+    quickplace: "Quick Place",
+    tournament: "Tournament",
+    roundrobin: "Round Robin",
+    multi: "Best of N",
+    tierlist: "Tier List"
+  };
+
+  // Dot colours per match outcome
+  const TIMELINE_OUTCOME_COLORS = { win: "#28a745", loss: "#dc3545", draw: "#adb5bd" };
+
+  // Matches shown in a leaderboard sparkline (the full chart shows the whole log)
+  const SPARKLINE_MATCHES = 20;
+
+  /**
+   * Get an item's rating after each logged match
+   * @param {Object} item - Item object with custom_fields
+   * @returns {Array} Points, oldest first: { timestamp, mode, outcome, before, rating, change, opponentId }
+   */
+  function getRatingTimeline(item) {
+    return parseMatchHistory(item)
+      .filter(entry => !isNaN(parseFloat(entry.rating_before)) && !isNaN(parseFloat(entry.rating_after)))
+      .map(entry => {
+        const before = parseFloat(entry.rating_before);
+        const rating = parseFloat(entry.rating_after);
+        return {
+          timestamp: entry.timestamp,
+          mode: entry.mode,
+          outcome: entry.outcome,
+          before,
+          rating,
+          change: Math.round((rating - before) * 10) / 10,
+          opponentId: entry.opponent_id
+        };
+      });
+  }
+
+  /**
+   * Describe one timeline point for its tooltip
+   * @param {Object} point - Point from getRatingTimeline
+   * @returns {string} e.g. "3/1/2025, 9:00 PM · Swiss · Win · 48 → 52 (+4)"
+   */
+  function describeTimelinePoint(point) {
+    const date = new Date(point.timestamp);
+    const dateText = isNaN(date.getTime()) ? "" : date.toLocaleString();
+    const changeText = point.change > 0 ? `+${point.change}` : `${point.change}`;
+    return [
+      dateText,
+      MODE_LABELS[point.mode] || point.mode || "",
+      capitalize(point.outcome || "draw"),
+      `${point.before} → ${point.rating} (${changeText})`
+    ].filter(Boolean).join(" · ");
+  }
+
+  /**
+   * Draw an item's rating timeline as an SVG line chart
+   * @param {Array} points - Points from getRatingTimeline (oldest first)
+   * @param {Object} [options]
+   * @param {number} [options.width=90] - Width in pixels
+   * @param {number} [options.height=24] - Height in pixels
+   * @param {boolean} [options.labels=false] - Show the rating range and date range
+   * @returns {string} SVG markup (empty when there are no points)
+   */
+  function createRatingChart(points, { width = 90, height = 24, labels = false } = {}) {
+    if (points.length === 0) return "";
+
+    // Room for the dots, plus the axis labels on the full chart
+    const pad = { top: 4, right: 4, bottom: labels ? 18 : 4, left: labels ? 32 : 4 };
+    const ratings = [points[0].before, ...points.map(point => point.rating)];
+    let min = Math.min(...ratings);
+    let max = Math.max(...ratings);
+    if (max - min < 2) {
+      min -= 1;
+      max += 1;
+    }
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const x = index => pad.left + (ratings.length === 1 ? plotWidth / 2 : (index / (ratings.length - 1)) * plotWidth);
+    const y = rating => pad.top + ((max - rating) / (max - min)) * plotHeight;
+    const dotRadius = labels ? 4 : 2;
+
+    const line = ratings.map((rating, index) => `${x(index).toFixed(1)},${y(rating).toFixed(1)}`).join(" ");
+    const dots = points.map((point, index) => `
+      <circle cx="${x(index + 1).toFixed(1)}" cy="${y(point.rating).toFixed(1)}" r="${dotRadius}"
+        fill="${TIMELINE_OUTCOME_COLORS[point.outcome] || TIMELINE_OUTCOME_COLORS.draw}" class="hon-timeline-dot">
+        <title>${escapeHtml(describeTimelinePoint(point))}</title>
+      </circle>
+    `).join("");
+
+    let axis = "";
+    if (labels) {
+      const formatDate = timestamp => {
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? "" : date.toLocaleDateString();
+      };
+      axis = `
+        <text x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end" class="hon-timeline-label">${Math.round(max)}</text>
+        <text x="${pad.left - 6}" y="${pad.top + plotHeight}" text-anchor="end" class="hon-timeline-label">${Math.round(min)}</text>
+        <text x="${pad.left}" y="${height - 4}" class="hon-timeline-label">${escapeHtml(formatDate(points[0].timestamp))}</text>
+        <text x="${width - pad.right}" y="${height - 4}" text-anchor="end" class="hon-timeline-label">${escapeHtml(formatDate(points[points.length - 1].timestamp))}</text>
+      `;
+    }
+
+    return `
+      <svg class="hon-timeline${labels ? " hon-timeline-full" : ""}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Rating history over ${points.length} matches">
+        ${axis}
+        <polyline points="${line}" fill="none" class="hon-timeline-line"/>
+        ${dots}
+      </svg>
+    `;
+  }
+
+  /**
+   * Leaderboard sparkline for an item's most recent matches
+   * @param {Object} item - Item object with custom_fields
+   * @returns {string} SVG markup, or a dash when the item has no logged matches
+   */
+  function createRatingSparkline(item) {
+    const points = getRatingTimeline(item).slice(-SPARKLINE_MATCHES);
+    return points.length > 0 ? createRatingChart(points) : '<span class="hon-stats-neutral">—</span>';
+  }
+
+  /**
+   * Full rating history chart with an outcome legend and a per-mode match count
+   * @param {Object} item - Item object with custom_fields
+   * @returns {string} HTML
+   */
+  function createRatingTimelineChart(item) {
+    const points = getRatingTimeline(item);
+    if (points.length === 0) {
+      return '<div class="hon-stats-empty">No HotOrNot matches yet</div>';
+    }
+
+    const modeCounts = {};
+    points.forEach(point => {
+      const mode = MODE_LABELS[point.mode] || point.mode || "Other";
+      modeCounts[mode] = (modeCounts[mode] || 0) + 1;
+    });
+    const modeSummary = Object.entries(modeCounts)
+      .map(([mode, count]) => `${escapeHtml(mode)} ${count}`)
+      .join(" · ");
+
+    return `
+      ${createRatingChart(points, { width: 480, height: 140, labels: true })}
+      <div class="hon-timeline-legend">
+        ${["win", "loss", "draw"].map(outcome => `
+          <span><span class="hon-timeline-swatch" style="background: ${TIMELINE_OUTCOME_COLORS[outcome]}"></span>${capitalize(outcome)}</span>
+        `).join("")}
+        <span class="hon-timeline-modes">${points.length} match${points.length === 1 ? "" : "es"}: ${modeSummary}</span>
+      </div>
+    `;
+  }
+
+  // ============================================
+  // UNDO
+  // ============================================
+  // Before a comparison is applied, the run state (mode, pair, gauntlet
+  // progress) and both items' rating and HotOrNot custom fields are
+  // snapshotted. Undo writes the snapshots back and re-shows the same pair.
+
+  /**
+   * Capture the current pair and Gauntlet/Champion progress
+   * @returns {Object} Run state snapshot
+   */
+  function captureRunState() {
+    return {
+      mode: currentMode,
+      items: [currentPair.left && { ...currentPair.left }, currentPair.right && { ...currentPair.right }],
+      ranks: [currentRanks.left, currentRanks.right],
+      gauntletChampion: gauntletChampion ? { ...gauntletChampion } : null,
+      gauntletWins,
+      gauntletChampionRank,
+      gauntletDefeated: [...gauntletDefeated],
+      gauntletFalling,
+      gauntletFallingItem: gauntletFallingItem ? { ...gauntletFallingItem } : null,
+      // Quick place probes are shared: entries are only ever added, never changed
+      quickPlaceRun: quickPlaceRun
+        ? { ...quickPlaceRun, item: { ...quickPlaceRun.item }, verifyQueue: [...quickPlaceRun.verifyQueue] }
+        : null,
+      bracketRun: bracketRun
+        ? { ...bracketRun, entrants: copyItemMap(bracketRun.entrants), matches: bracketRun.matches.map(match => ({ ...match })) }
+        : null,
+      roundRobinRun: roundRobinRun
+        ? { ...roundRobinRun, entrants: copyItemMap(roundRobinRun.entrants), matches: roundRobinRun.matches.map(match => ({ ...match })) }
+        : null,
+      tierRun: tierRun
+        ? {
+          ...tierRun,
+          items: copyItemMap(tierRun.items),
+          queue: [...tierRun.queue],
+          rows: tierRun.rows.map(row => [...row]),
+          unplaced: [...tierRun.unplaced],
+          placedOrder: [...tierRun.placedOrder],
+          refinePairs: [...tierRun.refinePairs]
+        }
+        : null,
+      multiSet: multiSet
+        ? { items: multiSet.items.map(item => ({ ...item })), ranks: [...multiSet.ranks] }
+        : null
+    };
+  }
+
+  /**
+   * Copy an id → item map so later score updates don't leak into a snapshot
+   * @param {Object} items - Items by ID
+   * @returns {Object} Copied map
+   */
+  function copyItemMap(items) {
+    return Object.fromEntries(Object.entries(items).map(([id, item]) => [id, { ...item }]));
+  }
+
+  /**
+   * Snapshot an item's rating and HotOrNot custom fields so they can be written back.
+   * Missing fields are stored as their empty values so restoring clears what the match added.
+   * @param {Object} item - Fresh item object (with custom_fields)
+   * @returns {Object} { id, rating100, fields }
+   */
+  function snapshotItem(item) {
+    const customFields = item.custom_fields || {};
+    const fields = {
+      hotornot_stats: customFields.hotornot_stats || JSON.stringify(parsePerformerEloData(item)),
+      [MATCH_HISTORY_FIELD]: customFields[MATCH_HISTORY_FIELD] || "[]",
+      [HEAD_TO_HEAD_FIELD]: customFields[HEAD_TO_HEAD_FIELD] || "{}",
+      [RECENT_OPPONENTS_FIELD]: customFields[RECENT_OPPONENTS_FIELD] || formatRecentOpponents(parseMatchHistory(item)),
+      [GLICKO_FIELD]: customFields[GLICKO_FIELD] || "{}"
+    };
+    if (battleType === "tags") {
+      fields[TAG_RATING_FIELD] = customFields[TAG_RATING_FIELD] || "";
+    }
+    if (usesSkillScore()) {
+      fields[SKILL_FIELD] = customFields[SKILL_FIELD] || "";
+    }
+    return {
+      id: item.id,
+      rating100: item.rating100 ?? null,
+      fields
+    };
+  }
+
+  /**
+   * Save an undo entry for a comparison that is about to be applied
+   * @param {Array} items - Fresh objects for both items in the comparison
+   */
+  function pushUndoEntry(items) {
+    undoStack.push({
+      runState: pendingRunState || captureRunState(),
+      items: items.map(snapshotItem)
+    });
+    pendingRunState = null;
+    if (undoStack.length > UNDO_LIMIT) {
+      undoStack.shift();
+    }
+    updateUndoButton();
+  }
+
+  /**
+   * Forget all undo entries (mode or battle type changed)
+   */
+  function clearUndoStack() {
+    undoStack = [];
+    pendingRunState = null;
+    updateUndoButton();
+  }
+
+  /**
+   * Write an item snapshot back to Stash
+   * @param {Object} snapshot - Snapshot from snapshotItem
+   */
+  async function restoreItemSnapshot(snapshot) {
+    // Tags keep their rating in a custom field (already in the snapshot fields)
+    const extraInput = battleType === "tags" ? {} : { rating100: snapshot.rating100 };
+    await updateItemCustomFields(snapshot.id, snapshot.fields, extraInput);
+    if (snapshot.rating100 !== null) {
+      setPopulationScore(snapshot.id, getItemScore({ rating100: snapshot.rating100, custom_fields: snapshot.fields }));
+    }
+  }
+
+  /**
+   * Revert the most recent comparison: restore both items and the run state, then re-show the pair
+   */
+  async function undoLastComparison() {
+    if (disableChoice || undoStack.length === 0) return;
+    disableChoice = true;
+
+    const entry = undoStack.pop();
+    updateUndoButton();
+
+    try {
+      await Promise.all(entry.items.map(restoreItemSnapshot));
+    } catch (e) {
+      console.error("[HotOrNot] Failed to undo comparison:", e);
+    }
+
+    const run = entry.runState;
+    currentMode = run.mode;
+    gauntletChampion = run.gauntletChampion;
+    gauntletWins = run.gauntletWins;
+    gauntletChampionRank = run.gauntletChampionRank;
+    gauntletDefeated = run.gauntletDefeated;
+    gauntletFalling = run.gauntletFalling;
+    gauntletFallingItem = run.gauntletFallingItem;
+    quickPlaceRun = run.quickPlaceRun;
+    bracketRun = run.bracketRun;
+    roundRobinRun = run.roundRobinRun;
+    tierRun = run.tierRun;
+
+    console.log(`[HotOrNot] Undid comparison between ${entry.items.map(i => i.id).join(" and ")}`);
+
+    // The pair may have come from a victory/placement screen or the gauntlet picker
+    hidePerformerSelection();
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    const actionsEl = document.querySelector(".hon-actions");
+    if (comparisonArea) comparisonArea.style.display = "";
+    if (actionsEl) actionsEl.style.display = "";
+
+    disableChoice = false;
+    if (run.mode === "multi" && run.multiSet) {
+      renderMultiSet(run.multiSet.items, run.multiSet.ranks);
+    } else if (run.items[0] && run.items[1]) {
+      renderPair(run.items, run.ranks);
+    } else {
+      loadNewPair();
+    }
+  }
+
+  /**
+   * Sync the Undo button with the number of comparisons that can be undone
+   */
+  function updateUndoButton() {
+    const undoBtn = document.getElementById("hon-undo-btn");
+    if (!undoBtn) return;
+    undoBtn.disabled = undoStack.length === 0;
+    undoBtn.textContent = undoStack.length > 0 ? `↶ Undo (${undoStack.length})` : "↶ Undo";
+  }
+
+  // ============================================
+  // SAVED RUNS
+  // ============================================
+  // Gauntlet and Champion runs live in module state, so closing the modal or
+  // reloading the page used to lose them. Every pair shown during a run saves
+  // the run to localStorage, keyed by battle type, mode, performer dimension
+  // and the page filter (a run only makes sense against the same ranking).
+  // Starting the mode again offers to resume it; a finished, skipped or
+  // declined run is removed.
+
+  const SAVED_RUN_PREFIX = "hotornot-run";
+
+  // Modes whose runs are saved
+  const SAVED_RUN_MODES = ["gauntlet", "champion"];
+
+  /**
+   * localStorage key for a mode's saved run in the current battle type, dimension and filter
+   * @param {string} mode - "gauntlet" or "champion"
+   * @returns {string} Storage key
+   */
+  function getSavedRunKey(mode) {
+    const filterArg = RANKED_LIST_FILTERS[battleType];
+    const filter = filterArg ? JSON.stringify(filterArg.getFilter() || {}) : "";
+    const dimension = battleType === "performers" ? activeDimension || "" : "";
+    return `${SAVED_RUN_PREFIX}:${battleType}:${mode}:${dimension}:${filter}`;
+  }
+
+  /**
+   * Save the current Gauntlet/Champion run, or remove it once there is no run
+   */
+  function saveCurrentRun() {
+    if (!SAVED_RUN_MODES.includes(currentMode)) return;
+    if (!gauntletChampion) {
+      clearSavedRun(currentMode);
+      return;
+    }
+    try {
+      localStorage.setItem(getSavedRunKey(currentMode), JSON.stringify({
+        savedAt: new Date().toISOString(),
+        champion: gauntletChampion,
+        wins: gauntletWins,
+        championRank: gauntletChampionRank,
+        defeated: gauntletDefeated,
+        falling: gauntletFalling,
+        fallingItem: gauntletFallingItem
+      }));
+    } catch (e) {
+      console.warn("[HotOrNot] Could not save the current run:", e);
+    }
+  }
+
+  /**
+   * Load a mode's saved run
+   * @param {string} mode - "gauntlet" or "champion"
+   * @returns {Object|null} Saved run, or null if there is none (or it can't be read)
+   */
+  function loadSavedRun(mode) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(getSavedRunKey(mode)) || "null");
+      return saved && saved.champion ? saved : null;
+    } catch (e) {
+      console.warn("[HotOrNot] Could not read the saved run:", e);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a mode's saved run
+   * @param {string} mode - "gauntlet" or "champion"
+   */
+  function clearSavedRun(mode) {
+    try {
+      localStorage.removeItem(getSavedRunKey(mode));
+    } catch (e) {
+      console.warn("[HotOrNot] Could not remove the saved run:", e);
+    }
+  }
+
+  /**
+   * First mode with a saved run, so reopening the modal can go straight to it
+   * @returns {string|null} Mode name
+   */
+  function findSavedRunMode() {
+    return SAVED_RUN_MODES.find(mode => loadSavedRun(mode)) || null;
+  }
+
+  /**
+   * Offer to resume the current mode's saved run
+   * @param {Object} saved - Saved run from loadSavedRun
+   */
+  function showResumePrompt(saved) {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+    const mode = currentMode;
+    const { title, imagePath } = getItemDisplayInfo(saved.champion);
+    const modeLabel = mode === "gauntlet" ? "Gauntlet" : "Champion";
+    const savedAt = new Date(saved.savedAt);
+    const status = saved.falling && saved.fallingItem
+      ? `${escapeHtml(getItemDisplayInfo(saved.fallingItem).title)} was falling to find their floor`
+      : `🔥 ${saved.wins} win${saved.wins === 1 ? "" : "s"}`;
+
+    hidePerformerSelection();
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+
+    comparisonArea.innerHTML = `
+      <div class="hon-victory-screen hon-resume-screen">
+        <div class="hon-victory-crown">⏸️</div>
+        <h2 class="hon-victory-title">Unfinished ${modeLabel} Run</h2>
+        <div class="hon-victory-scene">
+          ${imagePath
+            ? `<img class="hon-victory-image" src="${imagePath}" alt="${escapeHtml(title)}" />`
+            : `<div class="hon-victory-image hon-no-image">No Image</div>`}
+        </div>
+        <h3 class="hon-victory-name">${escapeHtml(title)}</h3>
+        <p class="hon-victory-stats">${status}${isNaN(savedAt.getTime()) ? "" : `<br>Saved ${savedAt.toLocaleString()}`}</p>
+        <div class="hon-resume-actions">
+          <button id="hon-resume-run" class="btn btn-primary">▶ Resume Run</button>
+          <button id="hon-discard-run" class="btn btn-secondary">Start Fresh</button>
+        </div>
+      </div>
+    `;
+
+    comparisonArea.querySelector("#hon-resume-run").addEventListener("click", async () => {
+      // Ratings may have changed since the run was saved
+      const [champion, fallingItem] = await Promise.all([
+        fetchItemById(saved.champion.id),
+        saved.fallingItem ? fetchItemById(saved.fallingItem.id) : null
+      ]);
+      if (!champion || (saved.fallingItem && !fallingItem)) {
+        console.warn("[HotOrNot] Saved run refers to an item that no longer exists, starting fresh");
+        clearSavedRun(mode);
+        loadNewPair();
+        return;
+      }
+      gauntletChampion = champion;
+      gauntletWins = saved.wins;
+      gauntletChampionRank = saved.championRank;
+      gauntletDefeated = saved.defeated;
+      gauntletFalling = saved.falling;
+      gauntletFallingItem = fallingItem;
+      console.log(`[HotOrNot] Resumed ${mode} run with ${gauntletChampion.id} (${gauntletWins} wins)`);
+      if (actionsEl) actionsEl.style.display = "";
+      loadNewPair();
+    });
+    comparisonArea.querySelector("#hon-discard-run").addEventListener("click", () => {
+      clearSavedRun(mode);
+      if (actionsEl) actionsEl.style.display = "";
+      loadNewPair();
+    });
+  }
+
+  // UI COMPONENTS
+  // ============================================
+
+  function createPerformerCard(performer, side, rank = null, streak = null) {
+    // Performer name
+    const name = performer.name || `Performer #${performer.id}`;
+    
+    // Performer image - use their profile image
+    const imagePath = performer.image_path || null;
+    
+    // Performer metadata
+    const birthdate = performer.birthdate || null;
+    const ethnicity = performer.ethnicity || null;
+    const country = performer.country || null;
+    const stashRating = performer.rating100 ? `${performer.rating100}/100` : "Unrated";
+    
+    // Handle numeric ranks and string ranks
+    let rankDisplay = '';
+    if (rank !== null && rank !== undefined) {
+      if (typeof rank === 'number') {
+        rankDisplay = `<span class="hon-performer-rank hon-scene-rank">#${rank}</span>`;
+      } else {
+        rankDisplay = `<span class="hon-performer-rank hon-scene-rank">${rank}</span>`;
+      }
+    }
+    
+    // Streak badge for gauntlet champion
+    let streakDisplay = '';
+    if (streak !== null && streak > 0) {
+      streakDisplay = `<div class="hon-streak-badge">🔥 ${streak} win${streak > 1 ? 's' : ''}</div>`;
+    }
+
+    return `
+      <div class="hon-performer-card hon-scene-card" data-performer-id="${performer.id}" data-side="${side}" data-rating="${performer.rating100 || 50}">
+        <div class="hon-performer-image-container hon-scene-image-container" data-performer-url="/performers/${performer.id}">
+          ${imagePath 
+            ? `<img class="hon-performer-image hon-scene-image" src="${imagePath}" alt="${name}" loading="lazy" />`
+            : `<div class="hon-performer-image hon-scene-image hon-no-image">No Image</div>`
+          }
+          ${streakDisplay}
+          <div class="hon-click-hint">Click to open performer</div>
+        </div>
+        
+        <div class="hon-performer-body hon-scene-body" data-winner="${performer.id}">
+          <div class="hon-performer-info hon-scene-info">
+            <div class="hon-performer-title-row hon-scene-title-row">
+              <h3 class="hon-performer-title hon-scene-title">${name}</h3>
+              ${rankDisplay}
+            </div>
+            
+            <div class="hon-performer-meta hon-scene-meta">
+              ${birthdate ? `<div class="hon-meta-item"><strong>Birthdate:</strong> ${birthdate}</div>` : ''}
+              ${ethnicity ? `<div class="hon-meta-item"><strong>Ethnicity:</strong> ${ethnicity}</div>` : ''}
+              ${country ? `<div class="hon-meta-item"><strong>Country:</strong> ${country}</div>` : ''}
+              <div class="hon-meta-item"><strong>Rating:</strong> ${stashRating}</div>
+            </div>
+          </div>
+          
+          <div class="hon-choose-btn">
+            ✓ Choose This Performer
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  function createImageCard(image, side, rank = null, streak = null) {
+    // Image paths
+    const imagePath = image.paths && image.paths.image ? image.paths.image : null;
+    const thumbnailPath = image.paths && image.paths.thumbnail ? image.paths.thumbnail : null;
+    
+    // Handle numeric ranks and string ranks
+    let rankDisplay = '';
+    if (rank !== null && rank !== undefined) {
+      if (typeof rank === 'number') {
+        rankDisplay = `<span class="hon-image-rank hon-scene-rank">#${rank}</span>`;
+      } else {
+        rankDisplay = `<span class="hon-image-rank hon-scene-rank">${rank}</span>`;
+      }
+    }
+    
+    // Streak badge for gauntlet champion
+    let streakDisplay = '';
+    if (streak !== null && streak > 0) {
+      streakDisplay = `<div class="hon-streak-badge">🔥 ${streak} win${streak > 1 ? 's' : ''}</div>`;
+    }
+
+    return `
+      <div class="hon-image-card hon-scene-card" data-image-id="${image.id}" data-side="${side}" data-rating="${image.rating100 || 50}">
+        <div class="hon-image-image-container hon-scene-image-container" data-image-url="/images/${image.id}">
+          ${thumbnailPath 
+            ? `<img class="hon-image-image hon-scene-image" src="${thumbnailPath}" alt="Image #${image.id}" loading="lazy" />`
+            : `<div class="hon-image-image hon-scene-image hon-no-image">No Image</div>`
+          }
+          ${streakDisplay}
+          ${rankDisplay ? `<div class="hon-image-rank-overlay">${rankDisplay}</div>` : ''}
+          <div class="hon-click-hint">Click to open image</div>
+        </div>
+        
+        <div class="hon-image-body hon-scene-body" data-winner="${image.id}">
+          <div class="hon-choose-btn">
+            ✓ Choose This Image
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format a duration in seconds as m:ss or h:mm:ss
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Formatted duration
+   */
+  function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
+
+  /**
+   * Rank and champion streak badges for the scene, gallery, studio and tag cards
+   * @param {number|string|null} rank - Numeric rank (shown as #n) or a label such as "Unranked"
+   * @param {number|null} streak - Gauntlet/Champion win streak
+   * @returns {Object} { rankDisplay, streakDisplay } - HTML, empty when there is nothing to show
+   */
+  function createCardBadges(rank, streak) {
+    // Handle numeric ranks and string ranks
+    let rankDisplay = '';
+    if (rank !== null && rank !== undefined) {
+      rankDisplay = `<span class="hon-scene-rank">${typeof rank === 'number' ? `#${rank}` : rank}</span>`;
+    }
+
+    // Streak badge for gauntlet champion
+    let streakDisplay = '';
+    if (streak !== null && streak > 0) {
+      streakDisplay = `<div class="hon-streak-badge">🔥 ${streak} win${streak > 1 ? 's' : ''}</div>`;
+    }
+
+    return { rankDisplay, streakDisplay };
+  }
+
+  function createSceneCard(scene, side, rank = null, streak = null) {
+    const title = escapeHtml(getSceneTitle(scene));
+    const screenshotPath = scene.paths && scene.paths.screenshot ? scene.paths.screenshot : null;
+    const previewPath = scene.paths && scene.paths.preview ? scene.paths.preview : null;
+    const file = scene.files && scene.files[0];
+    const duration = file && file.duration ? formatDuration(file.duration) : null;
+    
+    // Scene metadata
+    const studio = scene.studio ? escapeHtml(scene.studio.name) : null;
+    const performers = (scene.performers || []).map(p => escapeHtml(p.name));
+    const stashRating = scene.rating100 ? `${scene.rating100}/100` : "Unrated";
+    
+    const { rankDisplay, streakDisplay } = createCardBadges(rank, streak);
+
+    return `
+      <div class="hon-scene-card" data-scene-id="${scene.id}" data-side="${side}" data-rating="${scene.rating100 || 50}">
+        <div class="hon-scene-image-container" data-scene-url="/scenes/${scene.id}">
+          ${screenshotPath 
+            ? `<img class="hon-scene-image" src="${screenshotPath}" alt="${title}" loading="lazy" />`
+            : `<div class="hon-scene-image hon-no-image">No Image</div>`
+          }
+          ${previewPath ? `<video class="hon-hover-preview" src="${previewPath}" loop playsinline preload="none"></video>` : ''}
+          ${duration ? `<div class="hon-scene-duration">${duration}</div>` : ''}
+          ${streakDisplay}
+          <div class="hon-click-hint">Click to open scene</div>
+        </div>
+        
+        <div class="hon-scene-body" data-winner="${scene.id}">
+          <div class="hon-scene-info">
+            <div class="hon-scene-title-row">
+              <h3 class="hon-scene-title" title="${title}">${title}</h3>
+              ${rankDisplay}
+            </div>
+            
+            <div class="hon-scene-meta">
+              ${studio ? `<div class="hon-meta-item"><strong>Studio:</strong> ${studio}</div>` : ''}
+              ${scene.date ? `<div class="hon-meta-item"><strong>Date:</strong> ${escapeHtml(scene.date)}</div>` : ''}
+              <div class="hon-meta-item"><strong>Rating:</strong> ${stashRating}</div>
+            </div>
+            
+            <div class="hon-tags-row">
+              <strong>Performers:</strong>
+              ${performers.length > 0
+                ? performers.map(name => `<span class="hon-tag">${name}</span>`).join('')
+                : '<span class="hon-none">None</span>'
+              }
+            </div>
+          </div>
+          
+          <div class="hon-choose-btn">
+            ✓ Choose This Scene
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  function createGalleryCard(gallery, side, rank = null, streak = null) {
+    const title = escapeHtml(getGalleryTitle(gallery));
+    const coverPath = gallery.paths && gallery.paths.cover ? gallery.paths.cover : null;
+    const previewImages = gallery.preview_images || [];
+    
+    // Gallery metadata
+    const studio = gallery.studio ? escapeHtml(gallery.studio.name) : null;
+    const performers = (gallery.performers || []).map(p => escapeHtml(p.name));
+    const stashRating = gallery.rating100 ? `${gallery.rating100}/100` : "Unrated";
+    
+    const { rankDisplay, streakDisplay } = createCardBadges(rank, streak);
+
+    return `
+      <div class="hon-gallery-card hon-scene-card" data-gallery-id="${gallery.id}" data-side="${side}" data-rating="${gallery.rating100 || 50}">
+        <div class="hon-scene-image-container" data-gallery-url="/galleries/${gallery.id}">
+          ${coverPath 
+            ? `<img class="hon-scene-image" src="${coverPath}" alt="${title}" loading="lazy" />`
+            : `<div class="hon-scene-image hon-no-image">No Cover</div>`
+          }
+          ${gallery.image_count ? `<div class="hon-scene-duration">${gallery.image_count} image${gallery.image_count !== 1 ? 's' : ''}</div>` : ''}
+          ${streakDisplay}
+          <div class="hon-click-hint">Click to open gallery</div>
+        </div>
+        ${previewImages.length > 0 ? `
+        <div class="hon-gallery-strip">
+          ${previewImages.map(path => `<img class="hon-gallery-strip-image" src="${path}" alt="" loading="lazy" />`).join('')}
+        </div>
+        ` : ''}
+        
+        <div class="hon-scene-body" data-winner="${gallery.id}">
+          <div class="hon-scene-info">
+            <div class="hon-scene-title-row">
+              <h3 class="hon-scene-title" title="${title}">${title}</h3>
+              ${rankDisplay}
+            </div>
+            
+            <div class="hon-scene-meta">
+              ${studio ? `<div class="hon-meta-item"><strong>Studio:</strong> ${studio}</div>` : ''}
+              ${gallery.date ? `<div class="hon-meta-item"><strong>Date:</strong> ${escapeHtml(gallery.date)}</div>` : ''}
+              <div class="hon-meta-item"><strong>Rating:</strong> ${stashRating}</div>
+            </div>
+            
+            <div class="hon-tags-row">
+              <strong>Performers:</strong>
+              ${performers.length > 0
+                ? performers.map(name => `<span class="hon-tag">${name}</span>`).join('')
+                : '<span class="hon-none">None</span>'
+              }
+            </div>
+          </div>
+          
+          <div class="hon-choose-btn">
+            ✓ Choose This Gallery
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  function createStudioCard(studio, side, rank = null, streak = null) {
+    const name = escapeHtml(studio.name || `Studio #${studio.id}`);
+    const logoPath = studio.image_path || null;
+    const topScenes = studio.top_scenes || [];
+    const stashRating = studio.rating100 ? `${studio.rating100}/100` : "Unrated";
+    
+    const { rankDisplay, streakDisplay } = createCardBadges(rank, streak);
+
+    const topScenesHTML = topScenes.length > 0
+      ? topScenes.map(scene => `
+          <div class="hon-studio-scene">
+            ${scene.paths && scene.paths.screenshot
+              ? `<img class="hon-studio-scene-image" src="${scene.paths.screenshot}" alt="" loading="lazy" />`
+              : `<div class="hon-studio-scene-image hon-no-image"></div>`
+            }
+            <span class="hon-studio-scene-title">${escapeHtml(getSceneTitle(scene))}</span>
+            <span class="hon-studio-scene-rating">${scene.rating100 ? `${scene.rating100}/100` : '—'}</span>
+          </div>
+        `).join('')
+      : '<span class="hon-none">No scenes</span>';
+
+    return `
+      <div class="hon-studio-card hon-scene-card" data-studio-id="${studio.id}" data-side="${side}" data-rating="${studio.rating100 || 50}">
+        <div class="hon-scene-image-container hon-logo-container" data-studio-url="/studios/${studio.id}">
+          ${logoPath 
+            ? `<img class="hon-scene-image hon-logo-image" src="${logoPath}" alt="${name}" loading="lazy" />`
+            : `<div class="hon-scene-image hon-no-image">No Logo</div>`
+          }
+          ${streakDisplay}
+          <div class="hon-click-hint">Click to open studio</div>
+        </div>
+        
+        <div class="hon-scene-body" data-winner="${studio.id}">
+          <div class="hon-scene-info">
+            <div class="hon-scene-title-row">
+              <h3 class="hon-scene-title" title="${name}">${name}</h3>
+              ${rankDisplay}
+            </div>
+            
+            <div class="hon-scene-meta">
+              <div class="hon-meta-item"><strong>Scenes:</strong> ${studio.scene_count || 0}</div>
+              <div class="hon-meta-item"><strong>Rating:</strong> ${stashRating}</div>
+            </div>
+            
+            <div class="hon-studio-scenes">
+              <strong>Top scenes:</strong>
+              ${topScenesHTML}
+            </div>
+          </div>
+          
+          <div class="hon-choose-btn">
+            ✓ Choose This Studio
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  function createTagCard(tag, side, rank = null, streak = null) {
+    const name = escapeHtml(tag.name || `Tag #${tag.id}`);
+    const imagePath = tag.image_path || null;
+    const hotornotRating = tag.rating100 ? `${tag.rating100}/100` : "Unrated";
+    
+    const { rankDisplay, streakDisplay } = createCardBadges(rank, streak);
+
+    return `
+      <div class="hon-tag-card hon-scene-card" data-tag-id="${tag.id}" data-side="${side}" data-rating="${tag.rating100 || 50}">
+        <div class="hon-scene-image-container hon-logo-container" data-tag-url="/tags/${tag.id}">
+          ${imagePath 
+            ? `<img class="hon-scene-image hon-logo-image" src="${imagePath}" alt="${name}" loading="lazy" />`
+            : `<div class="hon-scene-image hon-no-image">No Image</div>`
+          }
+          ${streakDisplay}
+          <div class="hon-click-hint">Click to open tag</div>
+        </div>
+        
+        <div class="hon-scene-body" data-winner="${tag.id}">
+          <div class="hon-scene-info">
+            <div class="hon-scene-title-row">
+              <h3 class="hon-scene-title" title="${name}">${name}</h3>
+              ${rankDisplay}
+            </div>
+            
+            <div class="hon-scene-meta">
+              <div class="hon-meta-item"><strong>Scenes:</strong> ${tag.scene_count || 0}</div>
+              <div class="hon-meta-item"><strong>Images:</strong> ${tag.image_count || 0}</div>
+              <div class="hon-meta-item"><strong>Galleries:</strong> ${tag.gallery_count || 0}</div>
+              <div class="hon-meta-item"><strong>Performers:</strong> ${tag.performer_count || 0}</div>
+              <div class="hon-meta-item"><strong>Rating:</strong> ${hotornotRating}</div>
+            </div>
+          </div>
+          
+          <div class="hon-choose-btn">
+            ✓ Choose This Tag
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // ============================================
+  // PERFORMER SELECTION FOR GAUNTLET
+  // ============================================
+
+  async function fetchPerformersForSelection(count = 5) {
+    const performerFilter = getPerformerFilter();
+    const totalPerformers = await fetchPerformerCount(performerFilter);
+    
+    if (totalPerformers < count) {
+      count = totalPerformers;
+    }
+
+    const performerQuery = `
+      query FindRandomPerformers($performer_filter: PerformerFilterType, $filter: FindFilterType) {
+        findPerformers(performer_filter: $performer_filter, filter: $filter) {
+          performers {
+            ${PERFORMER_FRAGMENT}
+          }
+        }
+      }
+    `;
+
+    const result = await graphqlQuery(performerQuery, {
+      performer_filter: performerFilter,
+      filter: {
+        per_page: Math.min(100, totalPerformers),
+        sort: "random"
+      }
+    });
+
+    const allPerformers = (result.findPerformers.performers || []).map(performer => normalizeDimension(performer));
     const shuffled = allPerformers.sort(() => Math.random() - 0.5);
     return shuffled.slice(0, count);
   }
 
-  function createPerformerSelectionCard(performer) {
-    const name = performer.name || `Performer #${performer.id}`;
-    const imagePath = performer.image_path || null;
-    const rating = performer.rating100 ? `${performer.rating100}/100` : "Unrated";
-    
-    return `
-      <div class="hon-selection-card" data-performer-id="${performer.id}">
-        <div class="hon-selection-image-container">
-          ${imagePath 
-            ? `<img class="hon-selection-image" src="${imagePath}" alt="${name}" loading="lazy" />`
-            : `<div class="hon-selection-image hon-no-image">No Image</div>`
-          }
-        </div>
-        <div class="hon-selection-info">
-          <h4 class="hon-selection-name">${name}</h4>
-          <div class="hon-selection-rating">${rating}</div>
+  function createSelectionCard(item) {
+    const { title, imagePath } = getItemDisplayInfo(item);
+    const name = escapeHtml(title);
+    const rating = item.rating100 ? `${item.rating100}/100` : "Unrated";
+    
+    return `
+      <div class="hon-selection-card" data-item-id="${item.id}">
+        <div class="hon-selection-image-container">
+          ${imagePath 
+            ? `<img class="hon-selection-image" src="${imagePath}" alt="${name}" loading="lazy" />`
+            : `<div class="hon-selection-image hon-no-image">No Image</div>`
+          }
+        </div>
+        <div class="hon-selection-info">
+          <h4 class="hon-selection-name">${name}</h4>
+          <div class="hon-selection-rating">${rating}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  async function loadPerformerSelection() {
+    const selectionContainer = document.getElementById("hon-performer-selection");
+    const performerList = document.getElementById("hon-performer-list");
+    
+    if (!selectionContainer || !performerList) return;
+
+    const itemType = BATTLE_TYPE_LABELS[battleType].plural;
+
+    try {
+      const performers = await fetchItemsForSelection(5);
+      
+      if (performers.length === 0) {
+        performerList.innerHTML = `<div class="hon-error">No ${itemType} available for selection.</div>`;
+        return;
+      }
+
+      performerList.innerHTML = performers.map(p => createSelectionCard(p)).join('');
+      
+      // Attach click handlers
+      performerList.querySelectorAll('.hon-selection-card').forEach((card) => {
+        card.addEventListener('click', () => {
+          const itemId = card.dataset.itemId;
+          const selectedPerformer = performers.find(p => p.id.toString() === itemId);
+          if (selectedPerformer && currentMode === "quickplace") {
+            startQuickPlace(selectedPerformer);
+          } else if (selectedPerformer) {
+            startGauntletWithPerformer(selectedPerformer);
+          }
+        });
+      });
+    } catch (error) {
+      console.error("[HotOrNot] Error loading selection:", error);
+      performerList.innerHTML = `<div class="hon-error">Error loading ${itemType}: ${error.message}</div>`;
+    }
+  }
+
+  function startGauntletWithPerformer(performer) {
+    // Set the selected performer as the gauntlet champion
+    gauntletChampion = performer;
+    gauntletWins = 0;
+    gauntletDefeated = [];
+    gauntletFalling = false;
+    gauntletFallingItem = null;
+    
+    // Hide the selection UI
+    const selectionContainer = document.getElementById("hon-performer-selection");
+    if (selectionContainer) {
+      selectionContainer.style.display = "none";
+    }
+    
+    // Show the comparison area and actions
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    const actionsEl = document.querySelector(".hon-actions");
+    if (comparisonArea) comparisonArea.style.display = "";
+    if (actionsEl) actionsEl.style.display = "";
+    
+    // Load the first matchup
+    loadNewPair();
+  }
+
+  function showPerformerSelection() {
+    const selectionContainer = document.getElementById("hon-performer-selection");
+    const selectionTitle = document.querySelector(".hon-selection-title");
+    if (selectionTitle) {
+      const itemTypeSingular = BATTLE_TYPE_LABELS[battleType].singular;
+      selectionTitle.textContent = currentMode === "quickplace"
+        ? `Select a ${itemTypeSingular} to quick place:`
+        : `Select a ${itemTypeSingular} to run the gauntlet:`;
+    }
+    if (selectionContainer) {
+      selectionContainer.style.display = "block";
+      loadPerformerSelection();
+    }
+    
+    // Hide the comparison area until a performer is selected
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    const actionsEl = document.querySelector(".hon-actions");
+    if (comparisonArea) comparisonArea.style.display = "none";
+    if (actionsEl) actionsEl.style.display = "none";
+  }
+
+  function hidePerformerSelection() {
+    const selectionContainer = document.getElementById("hon-performer-selection");
+    if (selectionContainer) {
+      selectionContainer.style.display = "none";
+    }
+    
+    // Show the comparison area
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    const actionsEl = document.querySelector(".hon-actions");
+    if (comparisonArea) comparisonArea.style.display = "";
+    if (actionsEl) actionsEl.style.display = "";
+  }
+
+  // ============================================
+  // QUICK PLACE
+  // ============================================
+  // Binary-insertion placement: the newcomer meets the middle item of the
+  // range of the ranked list it could still land in. A win keeps the upper half, a loss the lower half, so an item is
+  // placed in about log2(n) matches instead of walking the ladder. Opponents
+  // keep their rating (they're benchmarks, like Gauntlet defenders); the
+  // newcomer's rating follows the middle of its remaining range. Once placed,
+  // one optional verification match against each neighbour can confirm the
+  // spot or nudge it by one. Where Stash can sort by rating100 the list is
+  // never loaded: its length is a count query and each item the search
+  // touches is a one-item page (see fetchQuickPlaceProbe). Tags and
+  // performer dimensions are ranked client-side from one full load.
+
+  // Criterion matching the items a newcomer is placed among
+  const RATED_CRITERION = { value: 0, modifier: "GREATER_THAN" };
+
+  /**
+   * Load every rated item of the current battle type (within the current
+   * filter) as { id, score }, highest first. Used where the rating lives in
+   * custom fields Stash can't sort on.
+   * @returns {Array} Ranked scores
+   */
+  async function fetchRankedScores() {
+    const { query, key } = ITEM_FIND_QUERIES[battleType];
+    const filterArg = RANKED_LIST_FILTERS[battleType];
+    // Tags and performer dimensions keep their rating, and skill mode its score, in custom fields
+    const needsCustomFields = battleType === "tags" || usesDimensionFields() || usesSkillScore();
+    const result = await graphqlQuery(`
+      query FindRankedScores(${filterArg ? `$${filterArg.arg}: ${filterArg.type}, ` : ""}$filter: FindFilterType) {
+        ${query}(${filterArg ? `${filterArg.arg}: $${filterArg.arg}, ` : ""}filter: $filter) {
+          ${key} {
+            id
+            ${battleType === "tags" ? "" : "rating100"}
+            ${needsCustomFields ? "custom_fields" : ""}
+          }
+        }
+      }
+    `, {
+      ...(filterArg ? { [filterArg.arg]: filterArg.getFilter() } : {}),
+      filter: { per_page: -1 }
+    });
+
+    return (result[query][key] || [])
+      .map(normalizeItemRating)
+      .filter(item => item.rating100 || (item.custom_fields && !isNaN(parseFloat(item.custom_fields[SKILL_FIELD]))))
+      .map(item => ({ id: item.id, score: getItemScore(item) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Entry at an index of the ranked list (the newcomer left out), fetched
+   * as a one-item page of the rating-sorted filter and kept for the run
+   * @param {Object} run - Quick place run
+   * @param {number} index - 0-based index
+   * @returns {Object|null} { id, score }, or null past the end of the list
+   */
+  async function fetchQuickPlaceProbe(run, index) {
+    if (index < 0 || index >= run.count) return null;
+    if (!(index in run.probes)) {
+      // Pages at or below the newcomer's own rank are shifted by one to step over it
+      const selfRank = run.item.rating100 ? await fetchItemRank(run.item) : Infinity;
+      const page = index + 1 < selfRank ? index + 1 : index + 2;
+      const findPage = async (pageNumber) => (await findRankedItems(
+        { per_page: 1, page: pageNumber, sort: "rating", direction: "DESC" },
+        RATED_CRITERION
+      )).items[0];
+      let entry = await findPage(page);
+      if (entry && entry.id === run.item.id) {
+        // Stash sorted the newcomer after an item it ties with; the tie has the same score
+        entry = await findPage(page - 1);
+      }
+      run.probes[index] = entry ? { id: entry.id, score: getItemScore(entry) } : null;
+    }
+    return run.probes[index];
+  }
+
+  /**
+   * Probe the entries either side of an insertion position, so
+   * getQuickPlaceScore can interpolate between them
+   * @param {Object} run - Quick place run
+   * @param {number} position - Insertion position (0 = top)
+   */
+  async function fetchQuickPlaceNeighbours(run, position) {
+    await fetchQuickPlaceProbe(run, position - 1);
+    await fetchQuickPlaceProbe(run, position);
+  }
+
+  /**
+   * Score for an item inserted at a position of the ranked list
+   * (between entries position - 1 and position, which must be probed first)
+   * @param {Object} run - Quick place run
+   * @param {number} position - Insertion position (0 = top)
+   * @returns {number} Score
+   */
+  function getQuickPlaceScore(run, position) {
+    const above = run.probes[position - 1];
+    const below = run.probes[position];
+    let score;
+    if (above && below) {
+      score = (above.score + below.score) / 2;
+    } else if (below) {
+      score = below.score + 1;
+    } else if (above) {
+      score = above.score - 1;
+    } else {
+      score = getItemScore(run.item);
+    }
+    // rating100 is a whole number; the hidden skill score doesn't have to be
+    return clampScore(usesSkillScore() ? score : Math.round(score));
+  }
+
+  /**
+   * Where the newcomer currently stands: the final spot once placed,
+   * else the middle of the remaining range
+   * @param {Object} run - Quick place run
+   * @returns {number} Insertion position
+   */
+  function getQuickPlaceEstimate(run) {
+    return run.position !== null ? run.position : Math.floor((run.low + run.high) / 2);
+  }
+
+  /**
+   * Confidence in the placement so far
+   * @param {Object} run - Quick place run
+   * @returns {Object} { percent, label, level } - level is "high", "medium" or "low"
+   */
+  function getQuickPlaceConfidence(run) {
+    const n = run.count;
+    const remaining = run.position !== null ? 0 : run.high - run.low;
+    // Share of the search already done, in bits: log2(n + 1) matches pin down n + 1 spots
+    const percent = Math.round(100 * (1 - Math.log2(remaining + 1) / Math.log2(n + 2)));
+
+    if (run.position === null) {
+      return { percent, label: `Narrowing down (${remaining + 1} spots left)`, level: "low" };
+    }
+    if (run.contradictions > 0) {
+      return { percent: Math.max(50, percent - 25 * run.contradictions), label: "Moved after verification - worth another check", level: "low" };
+    }
+    if (run.confirmations > 0 && run.verifyQueue.length === 0) {
+      return { percent, label: "Confirmed by its neighbours", level: "high" };
+    }
+    return { percent: Math.min(percent, 85), label: "Placed by binary search (unverified)", level: "medium" };
+  }
+
+  /**
+   * Start a quick place run for an item
+   * @param {Object} item - Item to place
+   */
+  async function startQuickPlace(item) {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    hidePerformerSelection();
+    if (comparisonArea) {
+      comparisonArea.innerHTML = '<div class="hon-loading">Loading ranking...</div>';
+    }
+
+    let count;
+    const probes = {};
+    if (battleType !== "tags" && !usesDimensionFields()) {
+      count = await fetchItemCount(RATED_CRITERION) - (item.rating100 ? 1 : 0);
+    } else {
+      const ranked = (await fetchRankedScores()).filter(entry => entry.id !== item.id);
+      ranked.forEach((entry, index) => { probes[index] = entry; });
+      count = ranked.length;
+    }
+    if (count === 0) {
+      if (comparisonArea) {
+        comparisonArea.innerHTML = `<div class="hon-error">No other rated ${BATTLE_TYPE_LABELS[battleType].plural} to place against yet - rate a few in Swiss first.</div>`;
+      }
+      return;
+    }
+
+    quickPlaceRun = {
+      item,
+      count,
+      probes,
+      low: 0,
+      high: count,
+      position: null,
+      matches: 0,
+      opponentIndex: null,
+      verifying: false,
+      verifyQueue: [],
+      confirmations: 0,
+      contradictions: 0
+    };
+    totalItemsCount = count + 1;
+    console.log(`[HotOrNot] Quick place: ${count} ranked opponents, ~${Math.ceil(Math.log2(count + 1))} matches`);
+    loadNewPair();
+  }
+
+  /**
+   * Load display data (gallery previews, studio scenes) for cards
+   * @param {Array} items - Items to show
+   * @returns {Array} The same items, ready for the card renderer
+   */
+  async function prepareItemsForCards(items) {
+    if (battleType === "galleries") return await attachGalleryPreviews(items);
+    if (battleType === "studios") return await attachStudioTopScenes(items);
+    return items;
+  }
+
+  /**
+   * Next quick place match, or { isPlacement: true } when there is nothing left to play
+   * @returns {Object} { items, ranks, isPlacement }
+   */
+  async function fetchQuickPlacePair() {
+    const run = quickPlaceRun;
+
+    let opponentIndex = null;
+    if (run.position === null && run.low < run.high) {
+      opponentIndex = Math.floor((run.low + run.high) / 2);
+    } else if (run.verifying && run.verifyQueue.length > 0) {
+      opponentIndex = run.verifyQueue[0];
+    }
+
+    if (opponentIndex === null) {
+      if (run.position === null) {
+        run.position = run.low;
+      }
+      await fetchQuickPlaceNeighbours(run, run.position);
+      return { items: [run.item], ranks: [run.position + 1], isPlacement: true };
+    }
+
+    const freshItem = await fetchItemById(run.item.id);
+    run.item = freshItem || run.item;
+    const probe = await fetchQuickPlaceProbe(run, opponentIndex);
+    const opponent = probe ? await fetchItemById(probe.id) : null;
+    if (!opponent) {
+      // Opponent was deleted since the run started - count it as beaten, or drop the verification
+      console.warn(`[HotOrNot] Quick place opponent #${opponentIndex + 1} not found, skipping`);
+      if (run.position === null) {
+        run.opponentIndex = opponentIndex;
+        applyQuickPlaceResult(run, true);
+      } else {
+        run.verifyQueue = run.verifyQueue.slice(1);
+      }
+      return await fetchQuickPlacePair();
+    }
+
+    run.opponentIndex = opponentIndex;
+    const items = await prepareItemsForCards([run.item, opponent]);
+    // Opponent rank counts the newcomer only once it is placed above them
+    const opponentRank = opponentIndex + 1 + (run.position !== null && run.position <= opponentIndex ? 1 : 0);
+    return { items, ranks: [run.position !== null ? run.position + 1 : null, opponentRank] };
+  }
+
+  /**
+   * Narrow the search (or settle a verification match) after a result
+   * @param {Object} run - Quick place run (updated in place)
+   * @param {boolean} newcomerWon - Whether the newcomer won
+   */
+  function applyQuickPlaceResult(run, newcomerWon) {
+    const index = run.opponentIndex;
+
+    if (run.position === null) {
+      if (newcomerWon) {
+        run.high = index;
+      } else {
+        run.low = index + 1;
+      }
+      if (run.low >= run.high) {
+        run.position = run.low;
+      }
+      return;
+    }
+
+    // Verification: the neighbour above should win, the one below should lose
+    run.verifyQueue = run.verifyQueue.slice(1);
+    const isAbove = index < run.position;
+    if (isAbove === newcomerWon) {
+      // Beat the neighbour above (or lost to the one below): move one spot past them
+      run.contradictions++;
+      run.position = isAbove ? index : index + 1;
+      run.verifyQueue = [];
+    } else {
+      run.confirmations++;
+    }
+  }
+
+  /**
+   * Handle a choice in a quick place match
+   * @param {string} winnerId - Winner ID
+   * @param {HTMLElement} winnerCard - Winner card element
+   * @param {HTMLElement} loserCard - Loser card element
+   */
+  async function handleQuickPlaceChoice(winnerId, winnerCard, loserCard) {
+    const run = quickPlaceRun;
+    const newcomerWon = winnerId === run.item.id;
+    const opponentItem = currentPair.left.id === run.item.id ? currentPair.right : currentPair.left;
+
+    let freshNewcomer = run.item;
+    let freshOpponent = opponentItem;
+    if (tracksItemStats()) {
+      const [fetchedNewcomer, fetchedOpponent] = await Promise.all([
+        fetchItemById(run.item.id),
+        fetchItemById(opponentItem.id)
+      ]);
+      freshNewcomer = fetchedNewcomer || run.item;
+      freshOpponent = fetchedOpponent || opponentItem;
+    }
+
+    const newcomerBefore = getItemScore(freshNewcomer);
+    const opponentScore = getItemScore(freshOpponent);
+    run.matches++;
+    applyQuickPlaceResult(run, newcomerWon);
+    const estimate = getQuickPlaceEstimate(run);
+    await fetchQuickPlaceNeighbours(run, estimate);
+    const newcomerAfter = getQuickPlaceScore(run, estimate);
+
+    await recordMatch({
+      winner: newcomerWon ? freshNewcomer : freshOpponent,
+      loser: newcomerWon ? freshOpponent : freshNewcomer,
+      winnerBefore: newcomerWon ? newcomerBefore : opponentScore,
+      winnerAfter: newcomerWon ? newcomerAfter : opponentScore,
+      loserBefore: newcomerWon ? opponentScore : newcomerBefore,
+      loserAfter: newcomerWon ? opponentScore : newcomerAfter
+    });
+
+    // Full stats for the newcomer, participation only for the benchmark opponent
+    updateItemRating(battleType, run.item.id, newcomerAfter, freshNewcomer, newcomerWon);
+    updateItemRating(battleType, opponentItem.id, opponentScore, freshOpponent, null);
+    setItemScore(run.item, newcomerAfter);
+
+    winnerCard.classList.add("hon-winner");
+    if (loserCard) loserCard.classList.add("hon-loser");
+    const newcomerCard = newcomerWon ? winnerCard : loserCard;
+    if (newcomerCard) {
+      showScoreAnimation(newcomerCard, newcomerBefore, newcomerAfter, newcomerWon);
+    }
+
+    setTimeout(() => {
+      loadNewPair();
+    }, 1500);
+  }
+
+  /**
+   * Banner shown above quick place matches: progress and confidence
+   * @returns {string} HTML
+   */
+  function createQuickPlaceBanner() {
+    const run = quickPlaceRun;
+    const confidence = getQuickPlaceConfidence(run);
+    // The rank range gives the standing away, so blind mode hides it until the choice (see .hon-blind)
+    let progress;
+    if (run.position === null) {
+      const matchesLeft = Math.ceil(Math.log2(run.high - run.low + 1));
+      progress = `Match ${run.matches + 1} <span class="hon-quickplace-rank">· somewhere between #${run.low + 1} and #${run.high + 1}</span> · ~${matchesLeft} to go`;
+    } else {
+      progress = `Verification match <span class="hon-quickplace-rank">· placed at #${run.position + 1}</span>`;
+    }
+    return `
+      <div class="hon-quickplace-banner">
+        <div class="hon-quickplace-progress">${progress}</div>
+        ${createConfidenceMeter(confidence)}
+      </div>
+    `;
+  }
+
+  /**
+   * Confidence meter HTML
+   * @param {Object} confidence - Result of getQuickPlaceConfidence
+   * @returns {string} HTML
+   */
+  function createConfidenceMeter(confidence) {
+    return `
+      <div class="hon-confidence hon-confidence-${confidence.level}" title="${escapeHtml(confidence.label)}">
+        <span class="hon-confidence-label">Confidence</span>
+        <div class="hon-confidence-bar"><div class="hon-confidence-fill" style="width: ${confidence.percent}%"></div></div>
+        <span class="hon-confidence-value">${confidence.percent}%</span>
+        <span class="hon-confidence-note">${escapeHtml(confidence.label)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the placement result, with the optional verification matches
+   */
+  function showQuickPlaceResult() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+
+    const run = quickPlaceRun;
+    const { title, imagePath } = getItemDisplayInfo(run.item);
+    const score = getQuickPlaceScore(run, run.position);
+    const verifyTargets = [run.position - 1, run.position].filter(index => index >= 0 && index < run.count);
+    const canVerify = !run.verifying && verifyTargets.length > 0;
+
+    comparisonArea.innerHTML = `
+      <div class="hon-victory-screen">
+        <div class="hon-victory-crown">⚡</div>
+        <h2 class="hon-victory-title">PLACED!</h2>
+        <div class="hon-victory-scene">
+          ${imagePath
+            ? `<img class="hon-victory-image" src="${imagePath}" alt="${escapeHtml(title)}" />`
+            : `<div class="hon-victory-image hon-no-image">No Image</div>`
+          }
+        </div>
+        <h3 class="hon-victory-name">${escapeHtml(title)}</h3>
+        <p class="hon-victory-stats">
+          Rank <strong>#${run.position + 1}</strong> of ${run.count + 1} in ${run.matches} matches<br>
+          Rating: <strong>${scoreToRating100(score)}/100</strong>
+        </p>
+        ${createConfidenceMeter(getQuickPlaceConfidence(run))}
+        <div class="hon-quickplace-actions">
+          ${canVerify ? `<button id="hon-quickplace-verify" class="btn btn-secondary">✓ Verify (${verifyTargets.length} ${verifyTargets.length === 1 ? "match" : "matches"})</button>` : ""}
+          <button id="hon-new-gauntlet" class="btn btn-primary">Place Another</button>
+        </div>
+      </div>
+    `;
+
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+    // Nothing left to choose on this screen, so let Undo through
+    disableChoice = false;
+
+    const verifyBtn = comparisonArea.querySelector("#hon-quickplace-verify");
+    if (verifyBtn) {
+      verifyBtn.addEventListener("click", () => {
+        quickPlaceRun = { ...run, verifying: true, verifyQueue: verifyTargets };
+        if (actionsEl) actionsEl.style.display = "";
+        loadNewPair();
+      });
+    }
+
+    const newBtn = comparisonArea.querySelector("#hon-new-gauntlet");
+    if (newBtn) {
+      newBtn.addEventListener("click", () => {
+        quickPlaceRun = null;
+        if (actionsEl) actionsEl.style.display = "";
+        loadNewPair();
+      });
+    }
+  }
+
+  // ============================================
+  // TOURNAMENT BRACKET
+  // ============================================
+  // A bracket is a flat list of matches. Each slot names where its entrant
+  // comes from - a seed, or the winner/loser of an earlier match - so single
+  // and double elimination share the same resolve/play/render code. Matches
+  // are played in list order as soon as both entrants are known, and every
+  // result goes through handleComparison like any other match.
+
+  const BRACKET_SIZES = [8, 16, 32, 64];
+
+  /**
+   * Load items from the current filter, either the top rated or a random draw
+   * @param {number} count - Number of items (0 only counts, -1 loads all)
+   * @param {boolean} byRating - Highest rated first instead of random
+   * @param {string} search - Optional name search within the filter
+   * @returns {Object} { items, count } - count is the size of the filter
+   */
+  async function fetchFilteredItems(count, byRating, search = "") {
+    const { query, key, fragment } = ITEM_FIND_QUERIES[battleType];
+    const filterArg = RANKED_LIST_FILTERS[battleType];
+
+    // Stash can't sort tags by their custom-field rating
+    if (battleType === "tags" && byRating && count !== 0) {
+      const needle = search.toLowerCase();
+      const tags = (await fetchRankedTags()).filter(tag => !needle || (tag.name || "").toLowerCase().includes(needle));
+      return { items: count > 0 ? tags.slice(0, count) : tags, count: tags.length };
+    }
+
+    // Nor performers by a dimension's custom-field rating: load the whole filter and rank it here
+    const rankLocally = byRating && count !== 0 && usesDimensionFields();
+
+    const result = await graphqlQuery(`
+      query FindFilteredItems(${filterArg ? `$${filterArg.arg}: ${filterArg.type}, ` : ""}$filter: FindFilterType) {
+        ${query}(${filterArg ? `${filterArg.arg}: $${filterArg.arg}, ` : ""}filter: $filter) {
+          count
+          ${key} {
+            ${fragment}
+          }
+        }
+      }
+    `, {
+      ...(filterArg ? { [filterArg.arg]: filterArg.getFilter() } : {}),
+      filter: {
+        ...(byRating ? { per_page: rankLocally ? -1 : count, sort: "rating", direction: "DESC" } : { per_page: count, sort: "random" }),
+        ...(search ? { q: search } : {})
+      }
+    });
+
+    let items = (result[query][key] || []).map(normalizeItemRating);
+    if (rankLocally) {
+      items = rankPerformers(items);
+      if (count > 0) items = items.slice(0, count);
+    }
+    return { items, count: result[query].count };
+  }
+
+  /**
+   * Standard bracket seed order, so the top seeds can only meet late
+   * (8 entrants: 1v8, 4v5, 2v7, 3v6)
+   * @param {number} size - Bracket size (power of two)
+   * @returns {Array} Seed numbers in bracket order
+   */
+  function getBracketSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const total = order.length * 2 + 1;
+      order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+  }
+
+  /**
+   * Build the match list for a bracket
+   * @param {number} size - Number of entrants (power of two)
+   * @param {boolean} doubleElimination - Whether first losses drop to a losers' bracket
+   * @returns {Array} Matches: { id, bracket: "W"|"L"|"GF", round, slots: [source, source], winner, loser }
+   */
+  function buildBracketMatches(size, doubleElimination) {
+    const matches = [];
+    const addRound = (bracket, round, sourcePairs) => sourcePairs.map(slots => {
+      const match = { id: `${bracket}${round}-${matches.length}`, bracket, round, slots, winner: null, loser: null };
+      matches.push(match);
+      return match;
+    });
+    const pairUp = sources => {
+      const pairs = [];
+      for (let i = 0; i < sources.length; i += 2) pairs.push([sources[i], sources[i + 1]]);
+      return pairs;
+    };
+    const winnersOf = round => round.map(match => ({ winnerOf: match.id }));
+    const losersOf = round => round.map(match => ({ loserOf: match.id }));
+
+    const roundCount = Math.log2(size);
+    const winnerRounds = [addRound("W", 1, pairUp(getBracketSeedOrder(size).map(seed => ({ seed }))))];
+    let loserRound = doubleElimination ? addRound("L", 1, pairUp(losersOf(winnerRounds[0]))) : null;
+    let loserRoundNumber = 1;
+
+    for (let round = 2; round <= roundCount; round++) {
+      const winnerRound = addRound("W", round, pairUp(winnersOf(winnerRounds[round - 2])));
+      winnerRounds.push(winnerRound);
+      if (!doubleElimination) continue;
+
+      // Losers dropping from the winners' bracket meet the losers' bracket survivors,
+      // in reverse order so early rematches are less likely
+      const dropped = losersOf(winnerRound).reverse();
+      const survivors = winnersOf(loserRound);
+      loserRound = addRound("L", ++loserRoundNumber, survivors.map((source, i) => [source, dropped[i]]));
+      if (round < roundCount) {
+        loserRound = addRound("L", ++loserRoundNumber, pairUp(winnersOf(loserRound)));
+      }
+    }
+
+    if (doubleElimination) {
+      const winnersFinal = winnerRounds[roundCount - 1][0];
+      const [grandFinal] = addRound("GF", 1, [[{ winnerOf: winnersFinal.id }, { winnerOf: loserRound[0].id }]]);
+      // The reset is only played if the losers' bracket player wins the first grand final
+      addRound("GF", 2, [[{ winnerOf: grandFinal.id }, { loserOf: grandFinal.id }]]);
+    }
+    return matches;
+  }
+
+  /**
+   * Resolve a match slot to an entrant ID (null while still undecided)
+   * @param {Object} run - Bracket run
+   * @param {Object} source - { seed } | { winnerOf } | { loserOf }
+   * @returns {string|null} Entrant ID
+   */
+  function resolveBracketSlot(run, source) {
+    if (source.seed) {
+      return run.seeds[source.seed - 1];
+    }
+    const match = run.matches.find(m => m.id === (source.winnerOf || source.loserOf));
+    return source.winnerOf ? match.winner : match.loser;
+  }
+
+  /**
+   * Whether a match still has to be played. The grand final reset is
+   * skipped when the winners' bracket player took the first grand final.
+   * @param {Object} run - Bracket run
+   * @param {Object} match - Match
+   * @returns {boolean}
+   */
+  function isBracketMatchNeeded(run, match) {
+    if (match.bracket === "GF" && match.round === 2) {
+      const firstFinal = run.matches.find(m => m.bracket === "GF" && m.round === 1);
+      return Boolean(firstFinal.winner) && firstFinal.winner === resolveBracketSlot(run, firstFinal.slots[1]);
+    }
+    return true;
+  }
+
+  /**
+   * Next match to play, or null when the bracket is finished
+   * @param {Object} run - Bracket run
+   * @returns {Object|null} Match
+   */
+  function getNextBracketMatch(run) {
+    return run.matches.find(match => !match.winner &&
+      isBracketMatchNeeded(run, match) &&
+      match.slots.every(source => resolveBracketSlot(run, source))) || null;
+  }
+
+  /**
+   * Bracket winner once every needed match is played
+   * @param {Object} run - Bracket run
+   * @returns {string|null} Entrant ID
+   */
+  function getBracketChampion(run) {
+    const decided = run.matches.filter(match => match.winner && isBracketMatchNeeded(run, match));
+    return getNextBracketMatch(run) === null && decided.length > 0 ? decided[decided.length - 1].winner : null;
+  }
+
+  /**
+   * Start a bracket from the current filter
+   * @param {Object} options - { size, doubleElimination, byRating }
+   */
+  async function startBracket({ size, doubleElimination, byRating }) {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (comparisonArea) {
+      comparisonArea.innerHTML = '<div class="hon-loading">Drawing the bracket...</div>';
+    }
+
+    const { items } = await fetchFilteredItems(size, byRating);
+    if (items.length < size) {
+      if (comparisonArea) {
+        comparisonArea.innerHTML = `<div class="hon-error">Only ${items.length} ${BATTLE_TYPE_LABELS[battleType].plural} match the current filter - pick a smaller bracket.</div>`;
+      }
+      return;
+    }
+
+    // Random draws come back shuffled; seed them in that order
+    const seeded = byRating ? [...items].sort((a, b) => getItemScore(b) - getItemScore(a)) : items;
+    bracketRun = {
+      size,
+      doubleElimination,
+      byRating,
+      entrants: Object.fromEntries(seeded.map(item => [item.id, item])),
+      seeds: seeded.map(item => item.id),
+      matches: buildBracketMatches(size, doubleElimination),
+      currentMatchId: null
+    };
+    console.log(`[HotOrNot] Bracket: ${size} entrants, ${doubleElimination ? "double" : "single"} elimination, seeded ${byRating ? "by rating" : "at random"}`);
+
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "";
+    loadNewPair();
+  }
+
+  /**
+   * Show the bracket setup: size, format and seeding
+   */
+  async function showBracketSetup() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+    const labels = BATTLE_TYPE_LABELS[battleType];
+
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+    comparisonArea.innerHTML = '<div class="hon-loading">Loading...</div>';
+
+    const { count } = await fetchFilteredItems(0, false);
+    const sizes = BRACKET_SIZES.filter(size => size <= count);
+    if (sizes.length === 0) {
+      comparisonArea.innerHTML = `<div class="hon-error">A bracket needs at least ${BRACKET_SIZES[0]} ${labels.plural} in the current filter.</div>`;
+      return;
+    }
+
+    const option = (group, value, label, active) =>
+      `<button class="btn btn-secondary hon-bracket-option ${active ? "active" : ""}" data-group="${group}" data-value="${value}">${label}</button>`;
+
+    comparisonArea.innerHTML = `
+      <div class="hon-bracket-setup">
+        <h3 class="hon-bracket-setup-title">🏟️ New Tournament</h3>
+        <p class="hon-bracket-setup-hint">${count} ${labels.plural} in the current filter</p>
+        <div class="hon-bracket-setup-row">
+          <span class="hon-bracket-setup-label">Entrants</span>
+          ${BRACKET_SIZES.map(size => sizes.includes(size)
+            ? option("size", size, size, size === sizes[sizes.length > 1 ? 1 : 0])
+            : `<button class="btn btn-secondary hon-bracket-option" disabled>${size}</button>`).join("")}
+        </div>
+        <div class="hon-bracket-setup-row">
+          <span class="hon-bracket-setup-label">Format</span>
+          ${option("format", "single", "Single elimination", true)}
+          ${option("format", "double", "Double elimination", false)}
+        </div>
+        <div class="hon-bracket-setup-row">
+          <span class="hon-bracket-setup-label">Seeding</span>
+          ${option("seeding", "rating", "By rating", true)}
+          ${option("seeding", "random", "Random", false)}
+        </div>
+        <button id="hon-bracket-start" class="btn btn-primary">Start Tournament</button>
+      </div>
+    `;
+
+    comparisonArea.querySelectorAll(".hon-bracket-option[data-group]").forEach(btn => {
+      btn.addEventListener("click", () => {
+        comparisonArea.querySelectorAll(`.hon-bracket-option[data-group="${btn.dataset.group}"]`)
+          .forEach(other => other.classList.toggle("active", other === btn));
+      });
+    });
+
+    comparisonArea.querySelector("#hon-bracket-start").addEventListener("click", () => {
+      const selected = group => comparisonArea.querySelector(`.hon-bracket-option.active[data-group="${group}"]`).dataset.value;
+      startBracket({
+        size: parseInt(selected("size"), 10),
+        doubleElimination: selected("format") === "double",
+        byRating: selected("seeding") === "rating"
+      });
+    });
+  }
+
+  /**
+   * Next bracket match, or { isVictory: true, items: [champion] } when the bracket is decided
+   * @returns {Object} { items, ranks, isVictory }
+   */
+  async function fetchBracketPair() {
+    const run = bracketRun;
+    const match = getNextBracketMatch(run);
+    if (!match) {
+      run.currentMatchId = null;
+      return { items: [run.entrants[getBracketChampion(run)]], ranks: [null, null], isVictory: true };
+    }
+
+    run.currentMatchId = match.id;
+    const ids = match.slots.map(source => resolveBracketSlot(run, source));
+    const items = await prepareItemsForCards(ids.map(id => run.entrants[id]));
+    return { items, ranks: [null, null] };
+  }
+
+  /**
+   * Record a bracket result after the ratings were updated
+   * @param {string} winnerId - Winner ID
+   * @param {string} loserId - Loser ID
+   */
+  function recordBracketResult(winnerId, loserId) {
+    const match = bracketRun.matches.find(m => m.id === bracketRun.currentMatchId);
+    if (!match) return;
+    match.winner = winnerId;
+    match.loser = loserId;
+  }
+
+  /**
+   * Count a bracket entrant's wins and losses
+   * @param {Object} run - Bracket run
+   * @param {string} itemId - Entrant ID
+   * @returns {Object} { wins, losses }
+   */
+  function getBracketRecord(run, itemId) {
+    return run.matches.reduce((record, match) => {
+      if (match.winner === itemId) record.wins++;
+      if (match.loser === itemId) record.losses++;
+      return record;
+    }, { wins: 0, losses: 0 });
+  }
+
+  /**
+   * Render the bracket: one column per round, winners' bracket, losers' bracket and grand final
+   * @param {Object} run - Bracket run
+   * @returns {string} HTML
+   */
+  function createBracketView(run) {
+    const seedOf = id => run.seeds.indexOf(id) + 1;
+    const renderSlot = (match, source) => {
+      const id = resolveBracketSlot(run, source);
+      if (!id) {
+        return `<div class="hon-bracket-slot hon-bracket-slot-empty">TBD</div>`;
+      }
+      const { title } = getItemDisplayInfo(run.entrants[id]);
+      const state = match.winner === id ? "hon-bracket-slot-won" : match.loser === id ? "hon-bracket-slot-lost" : "";
+      return `
+        <div class="hon-bracket-slot ${state}" title="${escapeHtml(title)}">
+          <span class="hon-bracket-seed">${seedOf(id)}</span>
+          <span class="hon-bracket-name">${escapeHtml(title)}</span>
+        </div>
+      `;
+    };
+    const renderMatch = match => `
+      <div class="hon-bracket-match ${match.id === run.currentMatchId ? "hon-bracket-match-current" : ""}">
+        ${match.slots.map(source => renderSlot(match, source)).join("")}
+      </div>
+    `;
+    const renderSection = (bracket, title, roundName) => {
+      const rounds = [...new Set(run.matches.filter(m => m.bracket === bracket).map(m => m.round))];
+      const columns = rounds
+        .map(round => run.matches.filter(m => m.bracket === bracket && m.round === round && isBracketMatchNeeded(run, m)))
+        .filter(matches => matches.length > 0)
+        .map((matches, idx) => `
+          <div class="hon-bracket-round">
+            <div class="hon-bracket-round-title">${roundName(rounds[idx], rounds.length)}</div>
+            ${matches.map(renderMatch).join("")}
+          </div>
+        `).join("");
+      return `
+        <div class="hon-bracket-section">
+          ${title ? `<div class="hon-bracket-section-title">${title}</div>` : ""}
+          <div class="hon-bracket-rounds">${columns}</div>
+        </div>
+      `;
+    };
+    const winnerRoundName = (round, total) => {
+      const remaining = total - round;
+      if (remaining === 0) return run.doubleElimination ? "Winners' final" : "Final";
+      if (remaining === 1) return "Semi-finals";
+      if (remaining === 2) return "Quarter-finals";
+      return `Round ${round}`;
+    };
+
+    return `
+      <div class="hon-bracket">
+        ${renderSection("W", run.doubleElimination ? "Winners' bracket" : "", winnerRoundName)}
+        ${run.doubleElimination ? renderSection("L", "Losers' bracket", round => `Round ${round}`) : ""}
+        ${run.doubleElimination ? renderSection("GF", "Grand final", round => (round === 1 ? "Final" : "Reset")) : ""}
+      </div>
+    `;
+  }
+
+  /**
+   * Crown the bracket winner
+   * @param {Object} champion - Winning item
+   */
+  function showBracketVictory(champion) {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+    const run = bracketRun;
+    const record = getBracketRecord(run, champion.id);
+
+    // createVictoryScreen reports the field size and win streak
+    totalItemsCount = run.size;
+    gauntletWins = record.wins;
+    comparisonArea.innerHTML = `
+      ${createVictoryScreen(champion, "Start New Tournament")}
+      ${createBracketView(run)}
+    `;
+
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+    // Nothing left to choose on this screen, so let Undo through
+    disableChoice = false;
+
+    const newBtn = comparisonArea.querySelector("#hon-new-gauntlet");
+    if (newBtn) {
+      newBtn.addEventListener("click", () => {
+        bracketRun = null;
+        gauntletWins = 0;
+        loadNewPair();
+      });
+    }
+  }
+
+  // ============================================
+  // ROUND ROBIN
+  // ============================================
+  // Everyone in a small shortlist meets everyone else exactly once. The
+  // schedule uses the circle method, so each round is a set of disjoint
+  // matches (one entrant sits out per round in odd fields). Every result is
+  // a normal rated match, Skip counts as a draw, and once the schedule is
+  // done the final standings can be written back as ratings.
+
+  const ROUND_ROBIN_MIN = 5;
+  const ROUND_ROBIN_MAX = 12;
+
+  // Candidates listed in the manual picker
+  const ROUND_ROBIN_PICKER_COUNT = 40;
+
+  /**
+   * Build the round robin schedule (circle method)
+   * @param {Array} ids - Entrant IDs
+   * @returns {Array} Matches: { id, round, ids: [left, right], winner, loser, draw }
+   */
+  function buildRoundRobinMatches(ids) {
+    const slots = ids.length % 2 === 0 ? [...ids] : [...ids, null];
+    const matches = [];
+    for (let round = 1; round < slots.length; round++) {
+      for (let i = 0; i < slots.length / 2; i++) {
+        const home = slots[i];
+        const away = slots[slots.length - 1 - i];
+        if (!home || !away) continue; // Bye
+        // Alternate sides so nobody is always on the left
+        matches.push({
+          id: `R${round}-${matches.length}`,
+          round,
+          ids: round % 2 === 0 ? [away, home] : [home, away],
+          winner: null,
+          loser: null,
+          draw: false
+        });
+      }
+      // The first slot stays put, the rest rotate one place
+      slots.splice(1, 0, slots.pop());
+    }
+    return matches;
+  }
+
+  /**
+   * Whether a round robin match has a result
+   * @param {Object} match - Match
+   * @returns {boolean}
+   */
+  function isRoundRobinMatchPlayed(match) {
+    return Boolean(match.winner) || match.draw;
+  }
+
+  /**
+   * Current standings: a win is worth 1 point and a draw half a point. Ties
+   * on points are split by Sonneborn-Berger (the points of every opponent
+   * beaten, plus half for every opponent drawn), then by current rating.
+   * @param {Object} run - Round robin run
+   * @returns {Array} Rows: { id, wins, losses, draws, played, points, tiebreak }, leader first
+   */
+  function getRoundRobinStandings(run) {
+    const rows = new Map(run.ids.map(id => [id, { id, wins: 0, losses: 0, draws: 0, played: 0, points: 0, tiebreak: 0 }]));
+    const played = run.matches.filter(isRoundRobinMatchPlayed);
+
+    for (const match of played) {
+      match.ids.forEach(id => rows.get(id).played++);
+      if (match.draw) {
+        match.ids.forEach(id => {
+          rows.get(id).draws++;
+          rows.get(id).points += 0.5;
+        });
+      } else {
+        rows.get(match.winner).wins++;
+        rows.get(match.winner).points++;
+        rows.get(match.loser).losses++;
+      }
+    }
+
+    for (const match of played) {
+      if (match.draw) {
+        const [a, b] = match.ids.map(id => rows.get(id));
+        a.tiebreak += b.points / 2;
+        b.tiebreak += a.points / 2;
+      } else {
+        rows.get(match.winner).tiebreak += rows.get(match.loser).points;
+      }
+    }
+
+    return [...rows.values()].sort((a, b) =>
+      b.points - a.points ||
+      b.tiebreak - a.tiebreak ||
+      getItemScore(run.entrants[b.id]) - getItemScore(run.entrants[a.id]));
+  }
+
+  /**
+   * Ratings that put the entrants in standings order. The entrants' own
+   * ratings are handed out again from the top down, so the shortlist keeps
+   * its place in the wider ranking; entrants level on points and tiebreak
+   * share the average of their slots.
+   * @param {Object} run - Round robin run
+   * @returns {Array} Rows: { item, place, oldRating, newRating }, in standings order
+   */
+  function computeRoundRobinRatings(run) {
+    const standings = getRoundRobinStandings(run);
+    const scores = standings.map(row => getItemScore(run.entrants[row.id])).sort((a, b) => b - a);
+    const isLevel = (a, b) => a.points === b.points && a.tiebreak === b.tiebreak;
+
+    const rows = [];
+    let start = 0;
+    while (start < standings.length) {
+      let end = start + 1;
+      while (end < standings.length && isLevel(standings[start], standings[end])) end++;
+      const shared = scores.slice(start, end).reduce((sum, score) => sum + score, 0) / (end - start);
+      for (let i = start; i < end; i++) {
+        const item = run.entrants[standings[i].id];
+        rows.push({ item, place: start + 1, oldRating: getItemScore(item), newRating: Math.round(shared) });
+      }
+      start = end;
+    }
+
+    // Equal old ratings would leave a finishing order unchanged - keep each place below the one above
+    rows.forEach((row, idx) => {
+      const above = rows[idx - 1];
+      if (above && above.place !== row.place && row.newRating >= above.newRating) {
+        row.newRating = clampScore(above.newRating - 1);
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Start a round robin
+   * @param {Array} items - The shortlisted items
+   */
+  function startRoundRobin(items) {
+    // Random sides and order, so the schedule doesn't follow the filter's sort
+    const shuffled = [...items].sort(() => Math.random() - 0.5);
+    const ids = shuffled.map(item => item.id);
+    roundRobinRun = {
+      ids,
+      entrants: Object.fromEntries(shuffled.map(item => [item.id, item])),
+      matches: buildRoundRobinMatches(ids),
+      currentMatchId: null,
+      applied: false
+    };
+    console.log(`[HotOrNot] Round robin: ${ids.length} entrants, ${roundRobinRun.matches.length} matches`);
+
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "";
+    loadNewPair();
+  }
+
+  /**
+   * Show the round robin setup: a shortlist from the current filter, or picked by hand
+   */
+  async function showRoundRobinSetup() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+    const labels = BATTLE_TYPE_LABELS[battleType];
+
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+    comparisonArea.innerHTML = '<div class="hon-loading">Loading...</div>';
+
+    const { count } = await fetchFilteredItems(0, false);
+    if (count < ROUND_ROBIN_MIN) {
+      comparisonArea.innerHTML = `<div class="hon-error">A round robin needs at least ${ROUND_ROBIN_MIN} ${labels.plural} in the current filter.</div>`;
+      return;
+    }
+
+    const option = (group, value, label, active) =>
+      `<button class="btn btn-secondary hon-bracket-option ${active ? "active" : ""}" data-group="${group}" data-value="${value}">${label}</button>`;
+    const sizes = [];
+    for (let size = ROUND_ROBIN_MIN; size <= ROUND_ROBIN_MAX; size++) sizes.push(size);
+    const defaultSize = Math.min(8, count);
+
+    comparisonArea.innerHTML = `
+      <div class="hon-bracket-setup">
+        <h3 class="hon-bracket-setup-title">🔄 New Round Robin</h3>
+        <p class="hon-bracket-setup-hint">${count} ${labels.plural} in the current filter · everyone meets everyone once</p>
+        <div class="hon-bracket-setup-row">
+          <span class="hon-bracket-setup-label">Shortlist</span>
+          ${option("source", "filter", "From current filter", true)}
+          ${option("source", "manual", "Pick manually", false)}
+        </div>
+        <div class="hon-roundrobin-panel" data-source="filter">
+          <div class="hon-bracket-setup-row">
+            <span class="hon-bracket-setup-label">Entrants</span>
+            ${sizes.map(size => size <= count
+              ? option("size", size, size, size === defaultSize)
+              : `<button class="btn btn-secondary hon-bracket-option" disabled>${size}</button>`).join("")}
+          </div>
+          <div class="hon-bracket-setup-row">
+            <span class="hon-bracket-setup-label">Pick</span>
+            ${option("pick", "rating", "Top rated", true)}
+            ${option("pick", "random", "Random", false)}
+          </div>
+        </div>
+        <div class="hon-roundrobin-panel" data-source="manual" style="display: none;">
+          <input type="text" class="hon-roundrobin-search" placeholder="Search ${labels.plural}..." />
+          <div class="hon-roundrobin-selected"></div>
+          <div class="hon-performer-list hon-roundrobin-candidates"></div>
+        </div>
+        <div class="hon-error hon-roundrobin-error" style="display: none;"></div>
+        <button id="hon-roundrobin-start" class="btn btn-primary">Start Round Robin</button>
+      </div>
+    `;
+
+    const startBtn = comparisonArea.querySelector("#hon-roundrobin-start");
+    const errorEl = comparisonArea.querySelector(".hon-roundrobin-error");
+    const selectedEl = comparisonArea.querySelector(".hon-roundrobin-selected");
+    const candidatesEl = comparisonArea.querySelector(".hon-roundrobin-candidates");
+    const selectedGroup = group => comparisonArea.querySelector(`.hon-bracket-option.active[data-group="${group}"]`).dataset.value;
+    const picked = new Map();
+    let candidates = [];
+
+    const syncStartButton = () => {
+      const manual = selectedGroup("source") === "manual";
+      startBtn.disabled = manual && (picked.size < ROUND_ROBIN_MIN || picked.size > ROUND_ROBIN_MAX);
+    };
+
+    const renderPicked = () => {
+      selectedEl.innerHTML = `
+        <span class="hon-roundrobin-count">${picked.size}/${ROUND_ROBIN_MAX} selected${picked.size < ROUND_ROBIN_MIN ? ` - pick at least ${ROUND_ROBIN_MIN}` : ""}</span>
+        ${[...picked.values()].map(item => `
+          <button class="btn btn-secondary btn-sm hon-roundrobin-chip" data-item-id="${item.id}" title="Remove">${escapeHtml(getItemDisplayInfo(item).title)} ✕</button>
+        `).join("")}
+      `;
+      selectedEl.querySelectorAll(".hon-roundrobin-chip").forEach(chip => {
+        chip.addEventListener("click", () => {
+          picked.delete(chip.dataset.itemId);
+          renderPicked();
+        });
+      });
+      candidatesEl.querySelectorAll(".hon-selection-card").forEach(card => {
+        card.classList.toggle("hon-selection-card-selected", picked.has(card.dataset.itemId));
+      });
+      syncStartButton();
+    };
+
+    const loadCandidates = async (search = "") => {
+      candidatesEl.innerHTML = '<div class="hon-loading">Loading...</div>';
+      try {
+        ({ items: candidates } = await fetchFilteredItems(ROUND_ROBIN_PICKER_COUNT, true, search));
+      } catch (error) {
+        console.error("[HotOrNot] Error loading round robin candidates:", error);
+        candidatesEl.innerHTML = `<div class="hon-error">Error loading ${labels.plural}: ${error.message}</div>`;
+        return;
+      }
+      candidatesEl.innerHTML = candidates.length > 0
+        ? candidates.map(item => createSelectionCard(item)).join("")
+        : `<div class="hon-error">No ${labels.plural} found.</div>`;
+      candidatesEl.querySelectorAll(".hon-selection-card").forEach(card => {
+        card.addEventListener("click", () => {
+          const itemId = card.dataset.itemId;
+          if (picked.has(itemId)) {
+            picked.delete(itemId);
+          } else if (picked.size < ROUND_ROBIN_MAX) {
+            picked.set(itemId, candidates.find(item => item.id === itemId));
+          }
+          renderPicked();
+        });
+      });
+      renderPicked();
+    };
+
+    comparisonArea.querySelectorAll(".hon-bracket-option[data-group]").forEach(btn => {
+      btn.addEventListener("click", () => {
+        comparisonArea.querySelectorAll(`.hon-bracket-option[data-group="${btn.dataset.group}"]`)
+          .forEach(other => other.classList.toggle("active", other === btn));
+        if (btn.dataset.group !== "source") return;
+        comparisonArea.querySelectorAll(".hon-roundrobin-panel").forEach(panel => {
+          panel.style.display = panel.dataset.source === btn.dataset.value ? "" : "none";
+        });
+        if (btn.dataset.value === "manual" && candidates.length === 0) {
+          loadCandidates();
+        }
+        syncStartButton();
+      });
+    });
+
+    let searchTimer = null;
+    comparisonArea.querySelector(".hon-roundrobin-search").addEventListener("input", (e) => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => loadCandidates(e.target.value.trim()), 300);
+    });
+
+    startBtn.addEventListener("click", async () => {
+      if (selectedGroup("source") === "manual") {
+        startRoundRobin([...picked.values()]);
+        return;
+      }
+      startBtn.disabled = true;
+      errorEl.style.display = "none";
+      const size = parseInt(selectedGroup("size"), 10);
+      let items;
+      try {
+        ({ items } = await fetchFilteredItems(size, selectedGroup("pick") === "rating"));
+      } catch (error) {
+        console.error("[HotOrNot] Error starting round robin:", error);
+        errorEl.textContent = `Error loading ${labels.plural}: ${error.message}`;
+        errorEl.style.display = "";
+        startBtn.disabled = false;
+        return;
+      }
+      startRoundRobin(items);
+    });
+  }
+
+  /**
+   * Next round robin match, or { isComplete: true } once every match has a result
+   * @returns {Object} { items, ranks, isComplete }
+   */
+  async function fetchRoundRobinPair() {
+    const run = roundRobinRun;
+    const match = run.matches.find(m => !isRoundRobinMatchPlayed(m));
+    if (!match) {
+      run.currentMatchId = null;
+      return { items: [], ranks: [null, null], isComplete: true };
+    }
+
+    run.currentMatchId = match.id;
+    const items = await prepareItemsForCards(match.ids.map(id => run.entrants[id]));
+    return { items, ranks: [null, null] };
+  }
+
+  /**
+   * Record a round robin result after the ratings were updated
+   * @param {string|null} winnerId - Winner ID (null for a draw)
+   * @param {string|null} loserId - Loser ID (null for a draw)
+   */
+  function recordRoundRobinResult(winnerId, loserId) {
+    const match = roundRobinRun.matches.find(m => m.id === roundRobinRun.currentMatchId);
+    if (!match) return;
+    match.winner = winnerId;
+    match.loser = loserId;
+    match.draw = !winnerId;
+  }
+
+  /**
+   * Score the current round robin match as a draw (Skip)
+   */
+  async function handleRoundRobinDraw() {
+    // Nothing scheduled once the final standings are showing
+    if (!roundRobinRun.currentMatchId) return;
+    const [left, right] = [currentPair.left, currentPair.right];
+    const result = await handleSkip(left, right);
+    if (!result) return;
+    recordRoundRobinResult(null, null);
+    setItemScore(roundRobinRun.entrants[left.id], result.leftRating);
+    setItemScore(roundRobinRun.entrants[right.id], result.rightRating);
+  }
+
+  /**
+   * Render the standings table
+   * @param {Object} run - Round robin run
+   * @param {Array} ratingRows - Optional rows from computeRoundRobinRatings, adds a rating column
+   * @returns {string} HTML
+   */
+  function createRoundRobinStandings(run, ratingRows = null) {
+    const current = run.matches.find(m => m.id === run.currentMatchId);
+    const playedCount = run.matches.filter(isRoundRobinMatchPlayed).length;
+    const rounds = run.matches.length > 0 ? run.matches[run.matches.length - 1].round : 0;
+    const formatPoints = points => (Number.isInteger(points) ? String(points) : points.toFixed(1));
+    const ratingFor = id => ratingRows && ratingRows.find(row => row.item.id === id);
+
+    const rows = getRoundRobinStandings(run).map((row, idx) => {
+      const { title } = getItemDisplayInfo(run.entrants[row.id]);
+      const playing = current && current.ids.includes(row.id);
+      const rating = ratingFor(row.id);
+      return `
+        <tr class="${playing ? "hon-roundrobin-playing" : ""}">
+          <td class="hon-stats-rank">${rating ? rating.place : idx + 1}</td>
+          <td class="hon-roundrobin-name">${escapeHtml(title)}</td>
+          <td>${row.wins}</td>
+          <td>${row.losses}</td>
+          <td>${row.draws}</td>
+          <td><strong>${formatPoints(row.points)}</strong></td>
+          ${rating ? `<td>${scoreToRating100(rating.oldRating)} → <strong>${scoreToRating100(rating.newRating)}</strong></td>` : ""}
+        </tr>
+      `;
+    }).join("");
+
+    return `
+      <div class="hon-roundrobin-standings">
+        <div class="hon-roundrobin-progress">
+          ${current ? `Round ${current.round} of ${rounds} · ` : ""}${playedCount}/${run.matches.length} matches played
+        </div>
+        <div class="hon-stats-table-container">
+          <table class="hon-stats-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Name</th>
+                <th>W</th>
+                <th>L</th>
+                <th>D</th>
+                <th>Pts</th>
+                ${ratingRows ? "<th>Rating</th>" : ""}
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the final standings, with the option to apply them as ratings
+   */
+  function showRoundRobinResult() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+
+    const run = roundRobinRun;
+    const ratingRows = computeRoundRobinRatings(run);
+    const leader = getRoundRobinStandings(run)[0];
+    const { title, imagePath } = getItemDisplayInfo(run.entrants[leader.id]);
+
+    comparisonArea.innerHTML = `
+      <div class="hon-victory-screen">
+        <div class="hon-victory-crown">🔄</div>
+        <h2 class="hon-victory-title">ROUND ROBIN COMPLETE</h2>
+        <div class="hon-victory-scene">
+          ${imagePath
+            ? `<img class="hon-victory-image" src="${imagePath}" alt="${escapeHtml(title)}" />`
+            : `<div class="hon-victory-image hon-no-image">No Image</div>`
+          }
+        </div>
+        <h3 class="hon-victory-name">${escapeHtml(title)}</h3>
+        <p class="hon-victory-stats">
+          Tops the table with <strong>${leader.wins}</strong> wins, ${leader.losses} losses and ${leader.draws} draws
+        </p>
+        <div class="hon-quickplace-actions">
+          ${run.applied
+            ? `<span class="hon-roundrobin-status">✓ Applied as ratings</span>`
+            : `<button id="hon-roundrobin-apply" class="btn btn-secondary">✓ Apply Order as Ratings</button>`}
+          <button id="hon-new-gauntlet" class="btn btn-primary">Start New Round Robin</button>
+        </div>
+      </div>
+      ${createRoundRobinStandings(run, run.applied ? null : ratingRows)}
+    `;
+
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+    // Nothing left to choose on this screen, so let Undo through
+    disableChoice = false;
+
+    const applyBtn = comparisonArea.querySelector("#hon-roundrobin-apply");
+    if (applyBtn) {
+      applyBtn.addEventListener("click", async () => {
+        applyBtn.disabled = true;
+        const failed = await applyRefitRatings(ratingRows, saved => {
+          applyBtn.textContent = `Saving ${saved}/${ratingRows.length}...`;
+        });
+        if (failed > 0) {
+          applyBtn.textContent = `${failed} failed to save (see console)`;
+          return;
+        }
+        ratingRows.forEach(row => setItemScore(run.entrants[row.item.id], row.newRating));
+        run.applied = true;
+        // Ratings under the undo snapshots have changed
+        clearUndoStack();
+        showRoundRobinResult();
+      });
+    }
+
+    const newBtn = comparisonArea.querySelector("#hon-new-gauntlet");
+    if (newBtn) {
+      newBtn.addEventListener("click", () => {
+        roundRobinRun = null;
+        loadNewPair();
+      });
+    }
+  }
+
+  // ============================================
+  // BEST OF N
+  // ============================================
+  // Shows 3-6 cards at once. Picking a favourite means it beat every other
+  // card; ranking them all means every card beat every card below it. The
+  // implied pairwise results are rated one after another in memory (later
+  // results see earlier rating changes, like a run of Swiss matches), then
+  // each item is written back once: rating, stats, match history and engine
+  // fields. The whole set is a single Undo step.
+
+  const MULTI_COUNTS = [3, 4, 5, 6];
+
+  /**
+   * Load the pool a set is drawn from, highest rated first: one random page
+   * of the rating-sorted filter, like a Swiss window (see fetchSwissPairByRank).
+   * Tags and performer dimensions are ranked client-side from the whole filter.
+   * @returns {Object} { items, offset } - offset is the number of items ranked above the pool
+   */
+  async function fetchMultiPool() {
+    if (battleType === "tags" || usesDimensionFields()) {
+      const { items } = await fetchFilteredItems(-1, true);
+      return { items, offset: 0 };
+    }
+
+    const total = await fetchItemCount();
+    let page = 1 + Math.floor(Math.random() * Math.max(1, Math.ceil(total / SWISS_WINDOW_SIZE)));
+    const fetchPage = async (pageNumber) => (await findRankedItems({
+      per_page: SWISS_WINDOW_SIZE, page: pageNumber, sort: "rating", direction: "DESC"
+    })).items;
+
+    let items = await fetchPage(page);
+    // A short last page can't fill a set on its own; join it to the page above
+    if (page > 1 && items.length < multiOptions.count) {
+      page--;
+      items = [...await fetchPage(page), ...items];
+    }
+    return { items, offset: (page - 1) * SWISS_WINDOW_SIZE };
+  }
+
+  /**
+   * Pick a set of similarly ranked items: a recency-weighted anchor plus
+   * others drawn from its nearest rank neighbours, skipping recent opponents
+   * @param {Array} rankedItems - Items sorted by rating descending
+   * @param {number} count - Set size
+   * @returns {Array} { item, index } entries in random order
+   */
+  function selectMultiSet(rankedItems, count) {
+    const entries = rankedItems.map((item, index) => ({ item, index, weight: getRecencyWeight(item) }));
+    const anchor = weightedRandomSelect(entries, entries.map(entry => entry.weight))
+      || entries[Math.floor(Math.random() * entries.length)];
+
+    const others = entries.filter(entry => entry.item.id !== anchor.item.id);
+    let eligible = excludeRecentOpponents(anchor.item, others, entry => entry.item);
+    if (eligible.length < count - 1) {
+      eligible = others;
+    }
+
+    const nearest = [...eligible]
+      .sort((a, b) => Math.abs(a.index - anchor.index) - Math.abs(b.index - anchor.index))
+      .slice(0, Math.max(count - 1, PAIR_NEIGHBOUR_RANKS));
+    const picked = nearest.sort(() => Math.random() - 0.5).slice(0, count - 1);
+    return [anchor, ...picked].sort(() => Math.random() - 0.5);
+  }
+
+  /**
+   * Next Best of N set
+   * @returns {Object} { items, ranks } - no items when the filter is too small for a set
+   */
+  async function fetchMultiSet() {
+    const { items: pool, offset } = await fetchMultiPool();
+    if (pool.length < MULTI_COUNTS[0]) {
+      return { items: [], ranks: [] };
+    }
+
+    const entries = selectMultiSet(pool, Math.min(multiOptions.count, pool.length));
+    const items = await prepareItemsForCards(entries.map(entry => entry.item));
+    return { items, ranks: entries.map(entry => offset + entry.index + 1) };
+  }
+
+  /**
+   * Pairwise results implied by an ordering
+   * @param {number} count - Number of items, best first
+   * @param {boolean} rankAll - Whole order (every item beat everything below it) instead of a favourite only
+   * @returns {Array} [winnerIndex, loserIndex] pairs
+   */
+  function getImpliedResults(count, rankAll) {
+    const results = [];
+    for (let winner = 0; winner < (rankAll ? count - 1 : 1); winner++) {
+      for (let loser = winner + 1; loser < count; loser++) {
+        results.push([winner, loser]);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Rate an ordering and save every item once
+   * @param {Array} orderedItems - Items, best first
+   * @param {boolean} rankAll - Whether the whole order counts (see getImpliedResults)
+   * @returns {Array} { id, before, after } per item, in the given order
+   */
+  async function applyMultiResults(orderedItems, rankAll) {
+    const trackStats = tracksItemStats();
+    const fresh = trackStats
+      ? await Promise.all(orderedItems.map(item => fetchItemById(item.id)))
+      : [];
+    const freshItems = orderedItems.map((item, idx) => fresh[idx] || item);
+
+    // Snapshot before anything changes - the whole set is one Undo step
+    pushUndoEntry(freshItems);
+
+    const sides = freshItems.map(item => {
+      const stats = parsePerformerEloData(item);
+      const score = getItemScore(item);
+      return {
+        item: { ...item, custom_fields: { ...(item.custom_fields || {}) } },
+        before: score,
+        rating: score,
+        matchCount: trackStats ? stats.total_matches : null,
+        sceneCount: battleType === "performers" ? (item.scene_count || null) : null,
+        stats,
+        history: parseMatchHistory(item),
+        h2h: parseHeadToHead(item),
+        engineFields: {}
+      };
+    });
+
+    const engine = getRatingEngine();
+    const timestamp = new Date().toISOString();
+    for (const [winnerIdx, loserIdx] of getImpliedResults(sides.length, rankAll)) {
+      const winner = sides[winnerIdx];
+      const loser = sides[loserIdx];
+      const result = engine.rateWin({
+        mode: currentMode,
+        winner: { ...winner, moves: true },
+        loser: { ...loser, moves: true },
+        dethroned: false
+      });
+      const winnerAfter = clampScore(winner.rating + result.winnerChange);
+      const loserAfter = clampScore(loser.rating + result.loserChange);
+
+      const winnerEntry = createMatchEntry(timestamp, winner.item, loser.item, winner.rating, winnerAfter, loser.rating, loserAfter, "win");
+      const loserEntry = createMatchEntry(timestamp, loser.item, winner.item, loser.rating, loserAfter, winner.rating, winnerAfter, "loss");
+      winner.history.push(winnerEntry);
+      loser.history.push(loserEntry);
+      tallyHeadToHead(winner.h2h, winnerEntry);
+      tallyHeadToHead(loser.h2h, loserEntry);
+      winner.stats = updatePerformerStats(winner.stats, true);
+      loser.stats = updatePerformerStats(loser.stats, false);
+
+      // Later results in the set see this one, including the engine state
+      winner.rating = winnerAfter;
+      loser.rating = loserAfter;
+      if (winner.matchCount !== null) winner.matchCount++;
+      if (loser.matchCount !== null) loser.matchCount++;
+      for (const [side, fields] of [[winner, result.winnerFields], [loser, result.loserFields]]) {
+        if (!fields) continue;
+        Object.assign(side.engineFields, fields);
+        Object.assign(side.item.custom_fields, fields);
+      }
+    }
+
+    await Promise.all(sides.map(async side => {
+      try {
+        await updateItemRating(battleType, side.item.id, side.rating);
+        await updateItemCustomFields(side.item.id, {
+          ...(trackStats ? { hotornot_stats: JSON.stringify(side.stats) } : {}),
+          [MATCH_HISTORY_FIELD]: JSON.stringify(side.history.slice(-MATCH_HISTORY_LIMIT)),
+          [HEAD_TO_HEAD_FIELD]: JSON.stringify(side.h2h),
+          [RECENT_OPPONENTS_FIELD]: formatRecentOpponents(side.history),
+          ...side.engineFields
+        });
+      } catch (e) {
+        console.error(`[HotOrNot] Failed to save Best of N result for ${side.item.id}:`, e);
+      }
+    }));
+
+    console.log(`[HotOrNot] Best of ${sides.length}: ${getImpliedResults(sides.length, rankAll).length} pairwise results from ${rankAll ? "a full ranking" : "a favourite"}`);
+    return sides.map(side => ({ id: side.item.id, before: side.before, after: side.rating }));
+  }
+
+  /**
+   * Card count and pick style controls shown above the cards
+   * @returns {string} HTML
+   */
+  function createMultiControls() {
+    const option = (group, value, label, active) =>
+      `<button class="btn btn-secondary btn-sm hon-bracket-option ${active ? "active" : ""}" data-group="${group}" data-value="${value}">${label}</button>`;
+    return `
+      <div class="hon-multi-controls">
+        <span class="hon-bracket-setup-label">Cards</span>
+        ${MULTI_COUNTS.map(count => option("count", count, count, count === multiOptions.count)).join("")}
+        <span class="hon-bracket-setup-label">Choose</span>
+        ${option("style", "favourite", "Favourite", !multiOptions.rankAll)}
+        ${option("style", "rank", "Rank all", multiOptions.rankAll)}
+      </div>
+    `;
+  }
+
+  /**
+   * Show a Best of N set and wire up picking, ranking and dragging
+   * @param {Array} items - Items in the set
+   * @param {Array} ranks - Their ranks (null when unknown)
+   */
+  function renderMultiSet(items, ranks) {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+
+    multiSet = { items, ranks };
+    // No left/right pair here, so the arrow keys stay idle
+    currentPair.left = null;
+    currentPair.right = null;
+
+    const createCard = getCardRenderer();
+    const rankAll = multiOptions.rankAll;
+    comparisonArea.innerHTML = `
+      ${createMultiControls()}
+      <div class="hon-multi-container ${rankAll ? "hon-multi-ranking" : ""}">
+        ${items.map((item, idx) => createCard(item, String(idx + 1), ranks[idx], null)).join("")}
+      </div>
+      <div class="hon-multi-hint">
+        ${rankAll
+          ? `Click the cards (or press 1-${items.length}) from best to worst, or drag them into order, then <button id="hon-multi-submit" class="btn btn-primary btn-sm">✓ Submit Order</button>`
+          : `Click your favourite, or press 1-${items.length}`}
+      </div>
+    `;
+    applyBlindMode();
+
+    const container = comparisonArea.querySelector(".hon-multi-container");
+    const cards = [...container.querySelectorAll(".hon-scene-card")];
+    const itemForCard = card => items[parseInt(card.dataset.side, 10) - 1];
+    cards.forEach(card => {
+      card.insertAdjacentHTML("afterbegin", `<div class="hon-multi-key">${card.dataset.side}</div>`);
+    });
+
+    // Ranking: cards are kept in order, best first. Clicking places a card
+    // in the next open spot; dragging moves it anywhere.
+    let placed = 0;
+    const updatePlaces = () => {
+      container.querySelectorAll(".hon-scene-card").forEach((card, idx) => {
+        let badge = card.querySelector(".hon-multi-place");
+        if (!badge) {
+          card.insertAdjacentHTML("afterbegin", '<div class="hon-multi-place"></div>');
+          badge = card.querySelector(".hon-multi-place");
+        }
+        badge.textContent = `#${idx + 1}`;
+      });
+    };
+    const submitOrder = () => {
+      const ordered = [...container.querySelectorAll(".hon-scene-card")].map(itemForCard);
+      handleMultiChoice(ordered, true);
+    };
+
+    cards.forEach(card => {
+      card.querySelector(".hon-scene-body").addEventListener("click", () => {
+        if (disableChoice) return;
+        if (!rankAll) {
+          const favourite = itemForCard(card);
+          handleMultiChoice([favourite, ...items.filter(item => item.id !== favourite.id)], false);
+          return;
+        }
+        if (card.classList.contains("hon-multi-placed")) return;
+        container.insertBefore(card, container.children[placed]);
+        card.classList.add("hon-multi-placed");
+        placed++;
+        updatePlaces();
+        // The last card's place follows from the others
+        if (placed === cards.length - 1) {
+          submitOrder();
+        }
+      });
+    });
+
+    if (rankAll) {
+      updatePlaces();
+      let dragged = null;
+      cards.forEach(card => {
+        card.draggable = true;
+        card.addEventListener("dragstart", () => {
+          dragged = card;
+          card.classList.add("hon-multi-dragging");
+        });
+        card.addEventListener("dragend", () => {
+          card.classList.remove("hon-multi-dragging");
+          dragged = null;
+        });
+        card.addEventListener("dragover", (e) => e.preventDefault());
+        card.addEventListener("drop", (e) => {
+          e.preventDefault();
+          if (!dragged || dragged === card) return;
+          const siblings = [...container.children];
+          const after = siblings.indexOf(dragged) < siblings.indexOf(card);
+          container.insertBefore(dragged, after ? card.nextSibling : card);
+          updatePlaces();
+        });
+      });
+      comparisonArea.querySelector("#hon-multi-submit").addEventListener("click", () => {
+        if (!disableChoice) submitOrder();
+      });
+    }
+
+    comparisonArea.querySelectorAll(".hon-multi-controls .hon-bracket-option").forEach(btn => {
+      btn.addEventListener("click", () => {
+        if (disableChoice) return;
+        if (btn.dataset.group === "count") {
+          multiOptions.count = parseInt(btn.dataset.value, 10);
+          loadNewPair();
+        } else {
+          multiOptions.rankAll = btn.dataset.value === "rank";
+          renderMultiSet(items, ranks);
+        }
+      });
+    });
+
+    // Open the item on thumbnail click, as in renderPair
+    comparisonArea.querySelectorAll(".hon-scene-image-container").forEach((imageContainer) => {
+      const itemUrl = imageContainer.dataset.performerUrl || imageContainer.dataset.imageUrl ||
+        imageContainer.dataset.sceneUrl || imageContainer.dataset.galleryUrl ||
+        imageContainer.dataset.studioUrl || imageContainer.dataset.tagUrl;
+      imageContainer.addEventListener("click", () => {
+        if (itemUrl && !isBlindHidden()) {
+          window.open(itemUrl, "_blank");
+        }
+      });
+    });
+
+    const skipBtn = document.querySelector("#hon-skip-btn");
+    if (skipBtn) {
+      skipBtn.disabled = false;
+      skipBtn.style.opacity = "1";
+      skipBtn.style.cursor = "pointer";
+      skipBtn.textContent = "Skip (Get New Set)";
+    }
+  }
+
+  /**
+   * Handle a Best of N choice: rate the implied results and show the changes
+   * @param {Array} orderedItems - Items, best first (only the first counts unless rankAll)
+   * @param {boolean} rankAll - Whether the whole order counts
+   */
+  async function handleMultiChoice(orderedItems, rankAll) {
+    if (disableChoice) return;
+    disableChoice = true;
+    pendingRunState = captureRunState();
+    revealBlindCards();
+    // The rating animations show mapped ratings
+    await ensureSkillPopulation();
+
+    const changes = await applyMultiResults(orderedItems, rankAll);
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    changes.forEach((change, idx) => {
+      const side = multiSet.items.findIndex(item => item.id === change.id) + 1;
+      const card = comparisonArea && comparisonArea.querySelector(`.hon-multi-container .hon-scene-card[data-side="${side}"]`);
+      if (!card) return;
+      const won = rankAll ? change.after >= change.before : idx === 0;
+      card.classList.add(won ? "hon-winner" : "hon-loser");
+      showScoreAnimation(card, change.before, change.after, won);
+    });
+
+    setTimeout(() => {
+      loadNewPair();
+    }, 1500);
+  }
+
+  // ============================================
+  // TIER LIST
+  // ============================================
+  // Seeds ratings for a new library faster than head-to-head from 50. Items
+  // from the current filter are dropped into tiers (tierList setting), one at
+  // a time or on a drag-and-drop board. Applying the tiers spreads each
+  // tier's items over its rating100 band in board order. Refinement then
+  // plays normal rated matches between rating neighbours, alternating pairs
+  // inside a tier with pairs across a tier boundary, so misplaced items can
+  // move between tiers.
+
+  const TIER_POOL_SIZES = [25, 50, 100];
+
+  // Random sample searched for unrated items where the rating lives in a custom
+  // field Stash can't filter on (tags and performer dimensions)
+  const TIER_UNRATED_SAMPLE = 500;
+
+  // Classic tier list colours, best tier first
+  const TIER_COLORS = ["#ff7f7f", "#ffbf7f", "#ffdf7f", "#ffff7f", "#bfff7f", "#7fff7f", "#7fffff", "#7fbfff", "#bf7fff"];
+
+  // Suggested refinement matches per tiered item
+  const TIER_REFINE_MATCHES_PER_ITEM = 2;
+
+  /**
+   * Tiers from the plugin settings
+   * @returns {Array} { name, min, max }, best first
+   */
+  function getTiers() {
+    return (pluginSettings && pluginSettings.tierList.length > 0)
+      ? pluginSettings.tierList
+      : normalizeTierList(DEFAULT_SETTINGS.tierList);
+  }
+
+  /**
+   * Tier whose band holds a rating100 value
+   * @param {Array} tiers - Tiers, best first
+   * @param {number} rating100 - Rating
+   * @returns {number} Tier index (ratings below the lowest band count as the lowest tier)
+   */
+  function getTierIndex(tiers, rating100) {
+    const index = tiers.findIndex(tier => rating100 >= tier.min);
+    return index === -1 ? tiers.length - 1 : index;
+  }
+
+  /**
+   * Load the items to tier
+   * @param {number} count - Number of items
+   * @param {boolean} unratedOnly - Only items without a rating
+   * @returns {Array} Items
+   */
+  async function fetchTierPool(count, unratedOnly) {
+    if (!unratedOnly) {
+      return (await fetchFilteredItems(count, false)).items;
+    }
+    if (battleType !== "tags" && !usesDimensionFields()) {
+      return (await findRankedItems({ per_page: count, sort: "random" }, { value: 0, modifier: "IS_NULL" })).items;
+    }
+    const { items } = await fetchFilteredItems(TIER_UNRATED_SAMPLE, false);
+    return items.filter(item => !item.rating100).slice(0, count);
+  }
+
+  /**
+   * Start placing items into tiers
+   * @param {Object} options - { count, unratedOnly, view: "single"|"grid" }
+   */
+  async function startTierList({ count, unratedOnly, view }) {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (comparisonArea) {
+      comparisonArea.innerHTML = '<div class="hon-loading">Loading...</div>';
+    }
+
+    let items;
+    try {
+      items = await fetchTierPool(count, unratedOnly);
+    } catch (error) {
+      console.error("[HotOrNot] Error starting tier list:", error);
+      if (comparisonArea) {
+        comparisonArea.innerHTML = `
+          <div class="hon-error">
+            Error loading ${BATTLE_TYPE_LABELS[battleType].plural}: ${error.message}<br>
+            <button id="hon-tier-back" class="btn btn-secondary">Back</button>
+          </div>
+        `;
+        comparisonArea.querySelector("#hon-tier-back").addEventListener("click", showTierSetup);
+      }
+      return;
+    }
+    if (items.length === 0) {
+      if (comparisonArea) {
+        comparisonArea.innerHTML = `<div class="hon-error">No ${unratedOnly ? "unrated " : ""}${BATTLE_TYPE_LABELS[battleType].plural} found in the current filter.</div>`;
+      }
+      return;
+    }
+
+    const tiers = getTiers();
+    tierRun = {
+      tiers,
+      view,
+      phase: view === "single" ? "place" : "board",
+      items: Object.fromEntries(items.map(item => [item.id, item])),
+      queue: items.map(item => item.id),
+      rows: tiers.map(() => []),
+      unplaced: view === "single" ? [] : items.map(item => item.id),
+      placedOrder: [],
+      selectedId: null,
+      refinePairs: [],
+      refineCount: 0,
+      refineTarget: 0
+    };
+    console.log(`[HotOrNot] Tier list: ${items.length} ${BATTLE_TYPE_LABELS[battleType].plural}, ${tiers.map(tier => tier.name).join("/")}`);
+    loadNewPair();
+  }
+
+  /**
+   * Show the tier list setup: which items, how many and how to place them
+   */
+  function showTierSetup() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+    const labels = BATTLE_TYPE_LABELS[battleType];
+
+    const actionsEl = document.querySelector(".hon-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+
+    const option = (group, value, label, active) =>
+      `<button class="btn btn-secondary hon-bracket-option ${active ? "active" : ""}" data-group="${group}" data-value="${value}">${label}</button>`;
+    const tierSummary = getTiers().map(tier => `<strong>${escapeHtml(tier.name)}</strong> ${tier.min}-${tier.max}`).join(" · ");
+
+    comparisonArea.innerHTML = `
+      <div class="hon-bracket-setup">
+        <h3 class="hon-bracket-setup-title">🗂️ New Tier List</h3>
+        <p class="hon-bracket-setup-hint">${tierSummary}</p>
+        <div class="hon-bracket-setup-row">
+          <span class="hon-bracket-setup-label">${capitalize(labels.plural)}</span>
+          ${option("source", "unrated", "Unrated only", true)}
+          ${option("source", "all", "Any", false)}
+        </div>
+        <div class="hon-bracket-setup-row">
+          <span class="hon-bracket-setup-label">How many</span>
+          ${TIER_POOL_SIZES.map((size, idx) => option("count", size, size, idx === 0)).join("")}
+        </div>
+        <div class="hon-bracket-setup-row">
+          <span class="hon-bracket-setup-label">View</span>
+          ${option("view", "single", "One at a time", true)}
+          ${option("view", "grid", "Grid", false)}
+        </div>
+        <button id="hon-tier-start" class="btn btn-primary">Start Tier List</button>
+      </div>
+    `;
+
+    comparisonArea.querySelectorAll(".hon-bracket-option[data-group]").forEach(btn => {
+      btn.addEventListener("click", () => {
+        comparisonArea.querySelectorAll(`.hon-bracket-option[data-group="${btn.dataset.group}"]`)
+          .forEach(other => other.classList.toggle("active", other === btn));
+      });
+    });
+
+    comparisonArea.querySelector("#hon-tier-start").addEventListener("click", () => {
+      const selected = group => comparisonArea.querySelector(`.hon-bracket-option.active[data-group="${group}"]`).dataset.value;
+      startTierList({
+        count: parseInt(selected("count"), 10),
+        unratedOnly: selected("source") === "unrated",
+        view: selected("view")
+      });
+    });
+  }
+
+  /**
+   * Move an item into a tier (or back to the unplaced row)
+   * @param {Object} run - Tier run (updated in place)
+   * @param {string} itemId - Item ID
+   * @param {number} tierIndex - Tier index, -1 for unplaced
+   * @param {string|null} beforeId - Insert before this item, or at the end
+   */
+  function moveTierItem(run, itemId, tierIndex, beforeId = null) {
+    run.rows = run.rows.map(row => row.filter(id => id !== itemId));
+    run.unplaced = run.unplaced.filter(id => id !== itemId);
+    const target = tierIndex === -1 ? run.unplaced : run.rows[tierIndex];
+    const at = beforeId ? target.indexOf(beforeId) : -1;
+    target.splice(at === -1 ? target.length : at, 0, itemId);
+  }
+
+  /**
+   * Place the current one-at-a-time item, or skip it
+   * @param {number} tierIndex - Tier index, -1 to skip
+   */
+  function placeTierItem(tierIndex) {
+    const run = tierRun;
+    const itemId = run.queue.shift();
+    if (!itemId) return;
+    moveTierItem(run, itemId, tierIndex);
+    run.placedOrder.push(itemId);
+    if (run.queue.length === 0) {
+      run.phase = "board";
+    }
+    loadNewPair();
+  }
+
+  /**
+   * Undo the last one-at-a-time placement
+   */
+  function stepBackTierItem() {
+    const run = tierRun;
+    const itemId = run.placedOrder.pop();
+    if (!itemId) return;
+    run.rows = run.rows.map(row => row.filter(id => id !== itemId));
+    run.unplaced = run.unplaced.filter(id => id !== itemId);
+    run.queue.unshift(itemId);
+    run.phase = "place";
+    loadNewPair();
+  }
+
+  /**
+   * Tier keys while placing: a tier's number or single-letter name places the
+   * item (or the selected board item), Backspace steps back one placement
+   * @param {KeyboardEvent} e - Key event
+   * @returns {boolean} Whether the key was handled
+   */
+  function handleTierKey(e) {
+    const run = tierRun;
+    const activeElement = document.activeElement;
+    if (activeElement && (activeElement.tagName === "INPUT" || activeElement.tagName === "TEXTAREA")) {
+      return false;
+    }
+
+    if (run.phase === "place" && e.key === "Backspace") {
+      e.preventDefault();
+      stepBackTierItem();
+      return true;
+    }
+
+    const key = e.key.toUpperCase();
+    let tierIndex = run.tiers.findIndex(tier => tier.name.length === 1 && tier.name.toUpperCase() === key);
+    if (tierIndex === -1 && /^[1-9]$/.test(e.key) && parseInt(e.key, 10) <= run.tiers.length) {
+      tierIndex = parseInt(e.key, 10) - 1;
+    }
+    if (tierIndex === -1) {
+      return false;
+    }
+
+    e.preventDefault();
+    if (run.phase === "place") {
+      placeTierItem(tierIndex);
+    } else if (run.phase === "board" && run.selectedId) {
+      moveTierItem(run, run.selectedId, tierIndex);
+      run.selectedId = null;
+      showTierBoard();
+    }
+    return true;
+  }
+
+  /**
+   * Tier board HTML: one row per tier plus the unplaced row
+   * @param {Object} run - Tier run
+   * @param {boolean} editable - Whether items can be dragged and selected
+   * @param {Array} rows - Item IDs per tier (defaults to the run's placements)
+   * @returns {string} HTML
+   */
+  function createTierBoard(run, editable, rows = run.rows) {
+    const thumb = id => {
+      const { title, imagePath } = getItemDisplayInfo(run.items[id]);
+      return `
+        <div class="hon-tier-thumb ${run.selectedId === id ? "hon-tier-thumb-selected" : ""}" data-item-id="${id}" title="${escapeHtml(title)}" ${editable ? 'draggable="true"' : ""}>
+          ${imagePath
+            ? `<img src="${imagePath}" alt="${escapeHtml(title)}" loading="lazy" />`
+            : `<span class="hon-tier-thumb-name">${escapeHtml(title)}</span>`}
+        </div>
+      `;
+    };
+    const row = (tierIndex, label, range, color, ids) => `
+      <div class="hon-tier-row">
+        <div class="hon-tier-label" style="${color ? `background: ${color};` : ""}">
+          ${escapeHtml(label)}
+          ${range ? `<small>${range}</small>` : ""}
+        </div>
+        <div class="hon-tier-items" data-tier="${tierIndex}">${ids.map(thumb).join("")}</div>
+      </div>
+    `;
+
+    return `
+      <div class="hon-tier-board">
+        ${run.tiers.map((tier, idx) => row(idx, tier.name, `${tier.min}-${tier.max}`, TIER_COLORS[idx % TIER_COLORS.length], rows[idx])).join("")}
+        ${editable && run.unplaced.length > 0 ? row(-1, "Unplaced", "", null, run.unplaced) : ""}
+      </div>
+    `;
+  }
+
+  /**
+   * Show the current one-at-a-time item with the tier buttons
+   */
+  async function showTierPlacement() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+    const run = tierRun;
+    const [item] = await prepareItemsForCards([run.items[run.queue[0]]]);
+    const total = Object.keys(run.items).length;
+    const keyFor = (tier, idx) => (tier.name.length === 1 ? tier.name.toUpperCase() : idx + 1);
+
+    comparisonArea.innerHTML = `
+      <div class="hon-tier-single">
+        <div class="hon-tier-progress">${total - run.queue.length + 1} of ${total}</div>
+        <div class="hon-tier-card">${getCardRenderer()(item, "tier", null, null)}</div>
+        <div class="hon-tier-buttons">
+          ${run.tiers.map((tier, idx) => `
+            <button class="btn hon-tier-btn" data-tier="${idx}" style="background: ${TIER_COLORS[idx % TIER_COLORS.length]};" title="Key: ${keyFor(tier, idx)}">
+              ${escapeHtml(tier.name)}
+            </button>
+          `).join("")}
+          <button class="btn btn-secondary hon-tier-btn" data-tier="-1">Skip</button>
+          <button id="hon-tier-back" class="btn btn-secondary" ${run.placedOrder.length === 0 ? "disabled" : ""}>↶ Back</button>
+        </div>
+        <div class="hon-tier-hint">Press a tier's letter or number · Backspace goes back</div>
+      </div>
+      ${createTierBoard(run, false)}
+    `;
+
+    comparisonArea.querySelectorAll(".hon-tier-btn").forEach(btn => {
+      btn.addEventListener("click", () => placeTierItem(parseInt(btn.dataset.tier, 10)));
+    });
+    comparisonArea.querySelector("#hon-tier-back").addEventListener("click", stepBackTierItem);
+  }
+
+  /**
+   * Show the editable tier board with the apply button
+   */
+  function showTierBoard() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+    const run = tierRun;
+    const placedCount = run.rows.reduce((sum, row) => sum + row.length, 0);
+
+    comparisonArea.innerHTML = `
+      <div class="hon-tier-single">
+        <div class="hon-tier-progress">
+          Drag ${BATTLE_TYPE_LABELS[battleType].plural} between tiers (left = higher within a tier), or click one and press a tier's letter or number
         </div>
       </div>
+      ${createTierBoard(run, true)}
+      <div class="hon-quickplace-actions">
+        <button id="hon-tier-apply" class="btn btn-primary" ${placedCount === 0 ? "disabled" : ""}>✓ Apply Tiers (${placedCount})</button>
+        <button id="hon-tier-restart" class="btn btn-secondary">Start Over</button>
+      </div>
     `;
-  }
 
-  async function loadPerformerSelection() {
-    const selectionContainer = document.getElementById("hon-performer-selection");
-    const performerList = document.getElementById("hon-performer-list");
-    
-    if (!selectionContainer || !performerList) return;
+    let draggedId = null;
+    comparisonArea.querySelectorAll(".hon-tier-thumb").forEach(thumb => {
+      thumb.addEventListener("click", () => {
+        run.selectedId = run.selectedId === thumb.dataset.itemId ? null : thumb.dataset.itemId;
+        showTierBoard();
+      });
+      thumb.addEventListener("dragstart", () => {
+        draggedId = thumb.dataset.itemId;
+      });
+      // Drops on a thumb insert before it; the row handler must not see the same drop
+      thumb.addEventListener("drop", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!draggedId || draggedId === thumb.dataset.itemId) return;
+        moveTierItem(run, draggedId, parseInt(thumb.parentElement.dataset.tier, 10), thumb.dataset.itemId);
+        showTierBoard();
+      });
+    });
+    comparisonArea.querySelectorAll(".hon-tier-items").forEach(rowEl => {
+      rowEl.addEventListener("dragover", (e) => e.preventDefault());
+      rowEl.addEventListener("drop", (e) => {
+        e.preventDefault();
+        if (!draggedId) return;
+        moveTierItem(run, draggedId, parseInt(rowEl.dataset.tier, 10));
+        showTierBoard();
+      });
+      // With an item selected, clicking a row moves it there
+      rowEl.addEventListener("click", (e) => {
+        if (!run.selectedId || e.target.closest(".hon-tier-thumb")) return;
+        moveTierItem(run, run.selectedId, parseInt(rowEl.dataset.tier, 10));
+        run.selectedId = null;
+        showTierBoard();
+      });
+    });
 
-    try {
-      const performers = await fetchPerformersForSelection(5);
-      
-      if (performers.length === 0) {
-        performerList.innerHTML = '<div class="hon-error">No performers available for selection.</div>';
+    comparisonArea.querySelector("#hon-tier-apply").addEventListener("click", async (e) => {
+      const applyBtn = e.currentTarget;
+      applyBtn.disabled = true;
+      // Tier bands are rating100 ranges; skill mode maps them back to skill scores
+      await ensureSkillPopulation();
+      const rows = computeTierRatings(run);
+      const failed = await applyRefitRatings(rows, saved => {
+        applyBtn.textContent = `Saving ${saved}/${rows.length}...`;
+      });
+      if (failed > 0) {
+        applyBtn.textContent = `${failed} failed to save (see console)`;
         return;
       }
+      rows.forEach(row => {
+        setItemScore(row.item, row.newRating);
+        row.item.rating100 = row.rating100;
+      });
+      // Ratings under the undo snapshots have changed
+      clearUndoStack();
+      run.phase = "applied";
+      showTierApplied();
+    });
+    comparisonArea.querySelector("#hon-tier-restart").addEventListener("click", () => {
+      tierRun = null;
+      loadNewPair();
+    });
+  }
 
-      performerList.innerHTML = performers.map(p => createPerformerSelectionCard(p)).join('');
-      
-      // Attach click handlers
-      performerList.querySelectorAll('.hon-selection-card').forEach((card) => {
-        card.addEventListener('click', () => {
-          const performerId = card.dataset.performerId;
-          const selectedPerformer = performers.find(p => p.id.toString() === performerId);
-          if (selectedPerformer) {
-            startGauntletWithPerformer(selectedPerformer);
-          }
-        });
+  /**
+   * Seed ratings from the board: each tier's items are spread evenly over
+   * its band, first item at the top. The band rating is stored as rating100;
+   * in skill mode the skill is seeded with the score that maps onto it.
+   * @param {Object} run - Tier run
+   * @returns {Array} Rows: { item, oldRating, newRating, rating100 }
+   */
+  function computeTierRatings(run) {
+    const distribution = getSkillDistribution();
+    return run.rows.flatMap((ids, tierIndex) => {
+      const { min, max } = run.tiers[tierIndex];
+      return ids.map((id, idx) => {
+        const item = run.items[id];
+        const target = ids.length === 1
+          ? Math.round((min + max) / 2)
+          : Math.round(max - (idx * (max - min)) / (ids.length - 1));
+        return { item, oldRating: getItemScore(item), newRating: rating100ToScore(target, distribution), rating100: target };
       });
-    } catch (error) {
-      console.error("[HotOrNot] Error loading performer selection:", error);
-      performerList.innerHTML = `<div class="hon-error">Error loading performers: ${error.message}</div>`;
-    }
+    });
   }
 
-  function startGauntletWithPerformer(performer) {
-    // Set the selected performer as the gauntlet champion
-    gauntletChampion = performer;
-    gauntletWins = 0;
-    gauntletDefeated = [];
-    gauntletFalling = false;
-    gauntletFallingItem = null;
-    
-    // Hide the selection UI
-    const selectionContainer = document.getElementById("hon-performer-selection");
-    if (selectionContainer) {
-      selectionContainer.style.display = "none";
-    }
-    
-    // Show the comparison area and actions
-    const comparisonArea = document.getElementById("hon-comparison-area");
-    const actionsEl = document.querySelector(".hon-actions");
-    if (comparisonArea) comparisonArea.style.display = "";
-    if (actionsEl) actionsEl.style.display = "";
-    
-    // Load the first matchup
-    loadNewPair();
+  /**
+   * Tier rows from the items' current ratings (after refinement)
+   * @param {Object} run - Tier run
+   * @returns {Array} Item IDs per tier, highest rated first
+   */
+  function getTierRowsByRating(run) {
+    const rows = run.tiers.map(() => []);
+    run.rows.flat()
+      .map(id => run.items[id])
+      .sort((a, b) => getItemScore(b) - getItemScore(a))
+      .forEach(item => rows[getTierIndex(run.tiers, item.rating100 || 0)].push(item.id));
+    return rows;
   }
 
-  function showPerformerSelection() {
-    const selectionContainer = document.getElementById("hon-performer-selection");
-    if (selectionContainer) {
-      selectionContainer.style.display = "block";
-      loadPerformerSelection();
-    }
-    
-    // Hide the comparison area until a performer is selected
+  /**
+   * Show the seeded tiers with the option to refine them with matches
+   */
+  function showTierApplied() {
     const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
+    const run = tierRun;
+    const placed = run.rows.flat();
+    const currentRows = getTierRowsByRating(run);
+    const moved = placed.filter(id => !currentRows[run.rows.findIndex(row => row.includes(id))].includes(id)).length;
+
+    comparisonArea.innerHTML = `
+      <div class="hon-tier-single">
+        <h3 class="hon-bracket-setup-title">🗂️ ${run.refineCount > 0 ? "Refined" : "Tiers applied"}</h3>
+        <div class="hon-tier-progress">
+          ${run.refineCount > 0
+            ? `${run.refineCount} refinement matches · ${moved} of ${placed.length} ${BATTLE_TYPE_LABELS[battleType].plural} changed tier`
+            : `${placed.length} ${BATTLE_TYPE_LABELS[battleType].plural} seeded. Refine with matches inside each tier and across tier boundaries:`}
+        </div>
+      </div>
+      ${createTierBoard(run, false, currentRows)}
+      <div class="hon-quickplace-actions">
+        <button id="hon-tier-refine" class="btn btn-primary" ${placed.length < 2 ? "disabled" : ""}>⚖️ ${run.refineCount > 0 ? "Keep Refining" : "Refine with Matches"}</button>
+        <button id="hon-tier-restart" class="btn btn-secondary">New Tier List</button>
+      </div>
+    `;
+
     const actionsEl = document.querySelector(".hon-actions");
-    if (comparisonArea) comparisonArea.style.display = "none";
     if (actionsEl) actionsEl.style.display = "none";
+    // Nothing left to choose on this screen, so let Undo through
+    disableChoice = false;
+
+    comparisonArea.querySelector("#hon-tier-refine").addEventListener("click", () => {
+      run.phase = "refine";
+      run.refineTarget = run.refineCount + placed.length * TIER_REFINE_MATCHES_PER_ITEM;
+      if (actionsEl) actionsEl.style.display = "";
+      loadNewPair();
+    });
+    comparisonArea.querySelector("#hon-tier-restart").addEventListener("click", () => {
+      tierRun = null;
+      loadNewPair();
+    });
   }
 
-  function hidePerformerSelection() {
-    const selectionContainer = document.getElementById("hon-performer-selection");
-    if (selectionContainer) {
-      selectionContainer.style.display = "none";
+  /**
+   * Next refinement pair: rating neighbours (up to two places apart) in the
+   * same tier on even matches, across a tier boundary on odd ones. Pairs
+   * already played in this refinement come last.
+   * @param {Object} run - Tier run
+   * @returns {Array} Two items
+   */
+  function selectTierRefinementPair(run) {
+    const ranked = run.rows.flat().map(id => run.items[id]).sort((a, b) => getItemScore(b) - getItemScore(a));
+    const tierOf = item => getTierIndex(run.tiers, item.rating100 || 0);
+    const pairKey = (a, b) => [a.id, b.id].sort().join("-");
+
+    const within = [];
+    const across = [];
+    for (let i = 0; i < ranked.length; i++) {
+      for (let j = i + 1; j <= Math.min(ranked.length - 1, i + 2); j++) {
+        (tierOf(ranked[i]) === tierOf(ranked[j]) ? within : across).push([ranked[i], ranked[j]]);
+      }
     }
-    
-    // Show the comparison area
-    const comparisonArea = document.getElementById("hon-comparison-area");
-    const actionsEl = document.querySelector(".hon-actions");
-    if (comparisonArea) comparisonArea.style.display = "";
-    if (actionsEl) actionsEl.style.display = "";
+
+    const played = new Set(run.refinePairs);
+    const fresh = pairs => pairs.filter(([a, b]) => !played.has(pairKey(a, b)));
+    const preferred = run.refineCount % 2 === 0 ? [within, across] : [across, within];
+    const candidates = [...preferred.map(fresh), ...preferred].find(pairs => pairs.length > 0) || [];
+    const pair = candidates[Math.floor(Math.random() * candidates.length)] || ranked.slice(0, 2);
+    return Math.random() < 0.5 ? pair : [pair[1], pair[0]];
   }
 
-  // ============================================
-  // IMAGE SELECTION (REMOVED)
-  // ============================================
-  // NOTE: Image selection for gauntlet mode has been removed.
-  // Images now use Swiss mode exclusively for optimal performance.
-  // Gauntlet and Champion modes are only available for performers.
+  /**
+   * Next refinement match, or { isComplete: true } once the suggested number is played
+   * @returns {Object} { items, ranks, isComplete }
+   */
+  async function fetchTierRefinementPair() {
+    const run = tierRun;
+    if (run.refineCount >= run.refineTarget) {
+      return { items: [], ranks: [null, null], isComplete: true };
+    }
+    const items = await prepareItemsForCards(selectTierRefinementPair(run));
+    return { items, ranks: [null, null] };
+  }
+
+  /**
+   * Record a refinement result after the ratings were updated
+   * @param {string} winnerId - Winner ID
+   * @param {string} loserId - Loser ID
+   */
+  function recordTierRefinement(winnerId, loserId) {
+    tierRun.refinePairs.push([winnerId, loserId].sort().join("-"));
+    tierRun.refineCount++;
+  }
+
+  /**
+   * Banner shown above refinement matches
+   * @returns {string} HTML
+   */
+  function createTierRefineBanner() {
+    const run = tierRun;
+    const [left, right] = [currentPair.left, currentPair.right];
+    const tierName = item => (item ? run.tiers[getTierIndex(run.tiers, item.rating100 || 0)].name : "?");
+    const boundary = left && right && tierName(left) !== tierName(right);
+    // The tiers would give the blind ratings away
+    let matchup = "";
+    if (!usesBlindMode()) {
+      matchup = boundary
+        ? `· across the ${escapeHtml(tierName(left))}/${escapeHtml(tierName(right))} boundary`
+        : `· inside tier ${escapeHtml(tierName(left))}`;
+    }
+    return `
+      <div class="hon-quickplace-banner">
+        <div class="hon-quickplace-progress">
+          Refinement ${run.refineCount + 1} of ${run.refineTarget} ${matchup}
+          <button id="hon-tier-finish" class="btn btn-secondary btn-sm">✓ Finish</button>
+        </div>
+      </div>
+    `;
+  }
 
   // ============================================
   // PERFORMER STATS MODAL
@@ -2528,65 +8298,400 @@ async function fetchPerformerCount(performerFilter = {}) {
   }
 
   /**
-   * Fetch all performers with stats and ratings
+   * Fetch all performers with stats and ratings
+   * @param {string} dimension - Rating dimension (defaults to the active one)
+   */
+  async function fetchAllPerformerStats(dimension = activeDimension) {
+    const performerFilter = getPerformerFilter();
+    const performersQuery = `
+      query FindAllPerformers($performer_filter: PerformerFilterType, $filter: FindFilterType) {
+        findPerformers(performer_filter: $performer_filter, filter: $filter) {
+          performers {
+            ${PERFORMER_FRAGMENT}
+          }
+        }
+      }
+    `;
+
+    const result = await graphqlQuery(performersQuery, {
+      performer_filter: performerFilter,
+      filter: {
+        per_page: -1,
+        sort: "rating",
+        direction: "DESC"
+      }
+    });
+
+    return rankPerformers(result.findPerformers.performers || [], dimension);
+  }
+
+  // Leaderboard rows per rank group. Image leaderboards load one group
+  // (page) at a time, so large libraries never load every image at once.
+  const LEADERBOARD_PAGE_SIZE = 250;
+
+  // Images per request when every image is needed (refit, export and the rating distribution)
+  const IMAGE_STATS_BATCH_SIZE = 1000;
+
+  // Results shown per head-to-head search
+  const H2H_SEARCH_LIMIT = 10;
+
+  /**
+   * Fetch one page of images matching the active image filter, highest rated first
+   * @param {number} page - Page number (1-based)
+   * @param {number} perPage - Images per page
+   * @returns {Object} { items, count } - count is the size of the whole filter
+   */
+  async function fetchImageStatsPage(page, perPage = LEADERBOARD_PAGE_SIZE) {
+    const imagesQuery = `
+      query FindImageStatsPage($image_filter: ImageFilterType, $filter: FindFilterType) {
+        findImages(image_filter: $image_filter, filter: $filter) {
+          count
+          images {
+            ${IMAGE_FRAGMENT}
+          }
+        }
+      }
+    `;
+
+    const result = await graphqlQuery(imagesQuery, {
+      image_filter: getPageFilter(),
+      filter: {
+        per_page: perPage,
+        page,
+        sort: "rating",
+        direction: "DESC"
+      }
+    });
+
+    return { items: result.findImages.images || [], count: result.findImages.count };
+  }
+
+  /**
+   * Fetch all images matching the active image filter with stats and ratings,
+   * IMAGE_STATS_BATCH_SIZE at a time
+   */
+  async function fetchAllImageStats() {
+    const images = [];
+    for (let page = 1; ; page++) {
+      const { items, count } = await fetchImageStatsPage(page, IMAGE_STATS_BATCH_SIZE);
+      images.push(...items);
+      if (items.length < IMAGE_STATS_BATCH_SIZE || images.length >= count) {
+        return images;
+      }
+    }
+  }
+
+  /**
+   * Fetch just the rating of every image matching the active image filter,
+   * for the distribution graph and average. IDs and ratings only, paged
+   * IMAGE_STATS_BATCH_SIZE at a time like fetchAllImageStats.
+   * @returns {Array} rating100 values (null when unrated)
+   */
+  async function fetchImageRatings() {
+    const ratings = [];
+    for (let page = 1; ; page++) {
+      const result = await graphqlQuery(`
+        query FindImageRatings($image_filter: ImageFilterType, $filter: FindFilterType) {
+          findImages(image_filter: $image_filter, filter: $filter) {
+            count
+            images {
+              id
+              rating100
+            }
+          }
+        }
+      `, {
+        image_filter: getPageFilter(),
+        filter: { per_page: IMAGE_STATS_BATCH_SIZE, page, sort: "id", direction: "ASC" }
+      });
+
+      const images = result.findImages.images || [];
+      ratings.push(...images.map(image => image.rating100));
+      if (images.length < IMAGE_STATS_BATCH_SIZE || ratings.length >= result.findImages.count) {
+        return ratings;
+      }
+    }
+  }
+
+  /**
+   * Fetch all items of the current battle type with stats and ratings
+   * @param {string} dimension - Performer rating dimension (defaults to the active one)
+   */
+  async function fetchAllItemStats(dimension = activeDimension) {
+    if (battleType === "images") {
+      return await fetchAllImageStats();
+    }
+    return await fetchAllPerformerStats(dimension);
+  }
+
+  /**
+   * Fetch what the stats modal shows. Performers are all loaded; images only
+   * load the first leaderboard page plus every rating (for the distribution).
+   * @param {string} dimension - Performer rating dimension (defaults to the active one)
+   * @returns {Object} { items, count, ratings, paged } - items sorted by rating (highest first)
+   */
+  async function fetchStatsBoard(dimension = activeDimension) {
+    if (battleType === "images") {
+      const [{ items, count }, ratings] = await Promise.all([fetchImageStatsPage(1), fetchImageRatings()]);
+      return { items, count, ratings, paged: true };
+    }
+    const items = await fetchAllPerformerStats(dimension);
+    return { items, count: items.length, ratings: items.map(item => item.rating100), paged: false };
+  }
+
+  /**
+   * Search the current filter for the head-to-head pickers
+   * @param {string} search - Search text (an ID also finds that item)
+   * @param {string} dimension - Performer rating dimension shown
+   * @returns {Array} Matching items, highest rated first
+   */
+  async function searchStatsItems(search, dimension) {
+    const { query, key, fragment } = ITEM_FIND_QUERIES[battleType];
+    const filterArg = RANKED_LIST_FILTERS[battleType];
+    const [result, byId] = await Promise.all([
+      graphqlQuery(`
+        query SearchStatsItems($${filterArg.arg}: ${filterArg.type}, $filter: FindFilterType) {
+          ${query}(${filterArg.arg}: $${filterArg.arg}, filter: $filter) {
+            ${key} {
+              ${fragment}
+            }
+          }
+        }
+      `, {
+        [filterArg.arg]: filterArg.getFilter(),
+        filter: { per_page: H2H_SEARCH_LIMIT, q: search, sort: "rating", direction: "DESC" }
+      }),
+      // Images are titled by ID, so an ID is the easiest way to find one
+      /^\d+$/.test(search) ? fetchItemById(search) : null
+    ]);
+
+    const items = result[query][key] || [];
+    if (byId && !items.some(item => item.id === byId.id)) {
+      items.unshift(byId);
+    }
+    return battleType === "performers" ? rankPerformers(items, dimension) : items;
+  }
+
+  /**
+   * Capitalize the first letter of a label
+   * @param {string} text - Label text
+   * @returns {string} Capitalized label
+   */
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Create the head-to-head picker panel for the stats modal
+   * @param {Object} labels - BATTLE_TYPE_LABELS entry for the current battle type
+   * @returns {string} Panel HTML
+   */
+  function createHeadToHeadPanel(labels) {
+    const picker = (side, label) => `
+      <div class="hon-h2h-picker">
+        <input type="search" class="hon-h2h-search" data-h2h="${side}" placeholder="Search ${labels.plural}..." aria-label="${label} ${labels.singular}" autocomplete="off">
+        <div class="hon-h2h-matches" data-h2h="${side}"></div>
+      </div>
+    `;
+
+    return `
+      <div class="hon-h2h">
+        <div class="hon-h2h-pickers">
+          ${picker("a", "First")}
+          <span class="hon-h2h-vs">vs</span>
+          ${picker("b", "Second")}
+        </div>
+        <div class="hon-h2h-result">
+          <div class="hon-stats-empty">Pick two ${labels.plural} to see their lifetime record</div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render head-to-head search results
+   * @param {Array} items - Matching items
+   * @returns {string} Result buttons HTML
+   */
+  function createHeadToHeadMatches(items) {
+    if (items.length === 0) {
+      return '<div class="hon-stats-neutral">No matches</div>';
+    }
+    return items.map(item => {
+      const { title, imagePath } = getItemDisplayInfo(item);
+      return `
+        <button type="button" class="hon-h2h-match" data-id="${escapeHtml(item.id)}">
+          ${imagePath ? `<img src="${escapeHtml(imagePath)}" alt="" loading="lazy">` : ''}
+          <span>${escapeHtml(title)}</span>
+        </button>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render the lifetime record and recent meetings between two items
+   * @param {Object} itemA - First item (with custom_fields)
+   * @param {Object} itemB - Second item
+   * @returns {string} Result HTML
+   */
+  function createHeadToHeadResult(itemA, itemB) {
+    const nameA = escapeHtml(getItemDisplayInfo(itemA).title);
+    const nameB = escapeHtml(getItemDisplayInfo(itemB).title);
+    const { wins, losses, draws, matches } = getHeadToHead(itemA, itemB);
+
+    if (wins + losses + draws === 0) {
+      return `<div class="hon-stats-empty">${nameA} and ${nameB} haven't met yet</div>`;
+    }
+
+    const formatChange = (before, after) => {
+      const change = after - before;
+      const changeText = change > 0 ? `+${change}` : `${change}`;
+      const changeClass = change > 0 ? 'hon-stats-positive' : change < 0 ? 'hon-stats-negative' : 'hon-stats-neutral';
+      return `${before} → ${after} <span class="${changeClass}">(${changeText})</span>`;
+    };
+
+    const rows = matches.map(entry => {
+      const date = new Date(entry.timestamp);
+      const dateText = isNaN(date.getTime()) ? '' : date.toLocaleString();
+      const winnerName = entry.outcome === 'win' ? nameA : entry.outcome === 'loss' ? nameB : 'Draw';
+      return `
+        <tr>
+          <td>${escapeHtml(dateText)}</td>
+          <td>${escapeHtml(entry.mode || '')}</td>
+          <td>${winnerName}</td>
+          <td>${formatChange(entry.rating_before, entry.rating_after)}</td>
+          <td>${formatChange(entry.opponent_rating_before, entry.opponent_rating_after)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="hon-h2h-record">
+        <span class="hon-h2h-name">${nameA}</span>
+        <span class="hon-h2h-score">
+          <span class="hon-stats-positive">${wins}</span>
+          –
+          <span class="hon-stats-negative">${losses}</span>
+        </span>
+        <span class="hon-h2h-name">${nameB}</span>
+      </div>
+      <div class="hon-h2h-draws hon-stats-neutral">${draws} draw${draws === 1 ? '' : 's'}</div>
+      ${rows ? `
+        <table class="hon-stats-table" role="table" aria-label="Recent head-to-head matches">
+          <thead>
+            <tr>
+              <th scope="col">Date</th>
+              <th scope="col">Mode</th>
+              <th scope="col">Winner</th>
+              <th scope="col">${nameA}</th>
+              <th scope="col">${nameB}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows}
+          </tbody>
+        </table>
+      ` : '<div class="hon-stats-empty">Older meetings have rolled out of the match log</div>'}
+    `;
+  }
+
+  /**
+   * Parse the stats shown in a leaderboard row
+   * @param {Object} p - Performer or image
+   * @param {number} rank - Leaderboard rank
+   * @returns {Object} Row data
    */
-  async function fetchAllPerformerStats() {
-    const performerFilter = getPerformerFilter();
-    const performersQuery = `
-      query FindAllPerformers($performer_filter: PerformerFilterType, $filter: FindFilterType) {
-        findPerformers(performer_filter: $performer_filter, filter: $filter) {
-          performers {
-            ${PERFORMER_FRAGMENT}
-          }
-        }
-      }
-    `;
-
-    const result = await graphqlQuery(performersQuery, {
-      performer_filter: performerFilter,
-      filter: {
-        per_page: -1,
-        sort: "rating",
-        direction: "DESC"
-      }
-    });
+  function getLeaderboardEntry(p, rank) {
+    const stats = parsePerformerEloData(p);
+    const { title } = getItemDisplayInfo(p);
+    return {
+      rank,
+      name: title,
+      id: p.id,
+      rating: ((p.rating100 || 50) / 10).toFixed(1),
+      skill: p.custom_fields && !isNaN(parseFloat(p.custom_fields[SKILL_FIELD]))
+        ? parseFloat(p.custom_fields[SKILL_FIELD]).toFixed(1)
+        : null,
+      sparkline: createRatingSparkline(p),
+      ...stats
+    };
+  }
 
-    return result.findPerformers.performers || [];
+  /**
+   * Create leaderboard table rows
+   * @param {Array} entries - Rows from getLeaderboardEntry
+   * @returns {string} Table rows HTML
+   */
+  function createLeaderboardRows(entries) {
+    const labels = BATTLE_TYPE_LABELS[battleType] || BATTLE_TYPE_LABELS.performers;
+    const showSkill = usesSkillScore();
+    return entries.map(p => {
+      const winRate = p.total_matches > 0 ? ((p.wins / p.total_matches) * 100).toFixed(1) : 'N/A';
+      const streakDisplay = p.current_streak > 0 
+        ? `<span class="hon-stats-positive">+${p.current_streak}</span>` 
+        : p.current_streak < 0 
+          ? `<span class="hon-stats-negative">${p.current_streak}</span>`
+          : '0';
+      
+      // Escape performer name to prevent XSS
+      const safeName = escapeHtml(p.name);
+      
+      return `
+        <tr>
+          <td class="hon-stats-rank">#${p.rank}</td>
+          <td class="hon-stats-name">
+            <a href="/${labels.plural}/${escapeHtml(p.id)}" target="_blank">${safeName}</a>
+          </td>
+          <td class="hon-stats-rating">${p.rating}</td>
+          <td class="hon-stats-trend">${p.sparkline}</td>
+          ${showSkill ? `<td class="hon-stats-skill">${p.skill ?? '—'}</td>` : ''}
+          <td>${p.total_matches}</td>
+          <td class="hon-stats-positive">${p.wins}</td>
+          <td class="hon-stats-negative">${p.losses}</td>
+          <td class="hon-stats-neutral">${p.draws || 0}</td>
+          <td>${winRate}${winRate !== 'N/A' ? '%' : ''}</td>
+          <td>${streakDisplay}</td>
+          <td class="hon-stats-positive">${p.best_streak}</td>
+          <td class="hon-stats-negative">${p.worst_streak}</td>
+        </tr>
+      `;
+    }).join('');
   }
 
   /**
    * Create stats breakdown modal content
+   * @param {Object} board - Result of fetchStatsBoard. When paged, only the
+   *   first rank group is loaded and match totals and pair coverage (which need
+   *   every item's stats) are left out.
    */
-  function createStatsModalContent(performers) {
+  function createStatsModalContent(board) {
+    const { items: performers, count, ratings, paged } = board;
+    const labels = BATTLE_TYPE_LABELS[battleType] || BATTLE_TYPE_LABELS.performers;
+    const singular = capitalize(labels.singular);
+    const plural = capitalize(labels.plural);
+
     if (!performers || performers.length === 0) {
-      return '<div class="hon-stats-empty">No performer stats available</div>';
+      return `<div class="hon-stats-empty">No ${labels.singular} stats available</div>`;
     }
 
-    // Parse stats for each performer
-    const performersWithStats = performers.map((p, idx) => {
-      const stats = parsePerformerEloData(p);
-      return {
-        rank: idx + 1,
-        name: p.name || `Performer #${p.id}`,
-        id: p.id,
-        rating: ((p.rating100 || 50) / 10).toFixed(1),
-        ...stats
-      };
-    });
+    // Parse stats for each performer or image
+    const performersWithStats = performers.map((p, idx) => getLeaderboardEntry(p, idx + 1));
+    // The hidden skill score is only shown when ratings are mapped from it
+    const showSkill = usesSkillScore();
 
     // Calculate totals and averages
     const totalMatches = performersWithStats.reduce((sum, p) => sum + p.total_matches, 0);
     const performerCount = performers.length;
     const avgMatches = performerCount > 0 ? (totalMatches / performerCount).toFixed(1) : '0.0';
-    const avgRating = performerCount > 0 
-      ? ((performers.reduce((sum, p) => sum + (p.rating100 || 50), 0) / performerCount) / 10).toFixed(1) 
+    const avgRating = ratings.length > 0 
+      ? ((ratings.reduce((sum, rating) => sum + (rating || 50), 0) / ratings.length) / 10).toFixed(1) 
       : '5.0';
 
     // Calculate rating distribution for bar graph (100 individual rating values: 0.0, 0.1, 0.2, ..., 9.9)
     // Create 100 buckets for granular distribution
     const ratingBuckets = Array(100).fill(0);
-    performersWithStats.forEach(p => {
-      const ratingValue = parseFloat(p.rating); // Rating is 0.0-10.0
+    ratings.forEach(rating => {
+      const ratingValue = parseFloat(((rating || 50) / 10).toFixed(1)); // Rating is 0.0-10.0
       // Map rating to bucket index (0-99)
       // Rating 10.0 goes into bucket 99 (displayed as 9.9)
       const bucketIndex = Math.min(99, Math.floor(ratingValue * 10));
@@ -2657,57 +8762,31 @@ async function fetchPerformerCount(performerFilter = {}) {
     
     const barGraphHTML = barGraphGroups.join('');
 
-    // Group performers by 250 (1-250, 251-500, etc.)
+    // Group performers by LEADERBOARD_PAGE_SIZE (1-250, 251-500, etc.)
     const groupedPerformers = [];
-    for (let i = 0; i < performersWithStats.length; i += 250) {
-      const group = performersWithStats.slice(i, i + 250);
+    for (let i = 0; i < count; i += LEADERBOARD_PAGE_SIZE) {
+      const group = performersWithStats.slice(i, i + LEADERBOARD_PAGE_SIZE);
       const startRank = i + 1;
-      const endRank = Math.min(i + 250, performersWithStats.length);
+      const endRank = Math.min(i + LEADERBOARD_PAGE_SIZE, count);
       groupedPerformers.push({ startRank, endRank, performers: group });
     }
 
     // Create grouped table sections with expand/collapse
     const groupedTableHTML = groupedPerformers.map((group, groupIndex) => {
-      const groupRows = group.performers.map(p => {
-        const winRate = p.total_matches > 0 ? ((p.wins / p.total_matches) * 100).toFixed(1) : 'N/A';
-        const streakDisplay = p.current_streak > 0 
-          ? `<span class="hon-stats-positive">+${p.current_streak}</span>` 
-          : p.current_streak < 0 
-            ? `<span class="hon-stats-negative">${p.current_streak}</span>`
-            : '0';
-        
-        // Escape performer name to prevent XSS
-        const safeName = escapeHtml(p.name);
-        
-        return `
-          <tr>
-            <td class="hon-stats-rank">#${p.rank}</td>
-            <td class="hon-stats-name">
-              <a href="/performers/${escapeHtml(p.id)}" target="_blank">${safeName}</a>
-            </td>
-            <td class="hon-stats-rating">${p.rating}</td>
-            <td>${p.total_matches}</td>
-            <td class="hon-stats-positive">${p.wins}</td>
-            <td class="hon-stats-negative">${p.losses}</td>
-            <td class="hon-stats-neutral">${p.draws || 0}</td>
-            <td>${winRate}${winRate !== 'N/A' ? '%' : ''}</td>
-            <td>${streakDisplay}</td>
-            <td class="hon-stats-positive">${p.best_streak}</td>
-            <td class="hon-stats-negative">${p.worst_streak}</td>
-          </tr>
-        `;
-      }).join('');
+      // Paged groups beyond the first are filled in when opened
+      const loaded = group.performers.length > 0;
+      const groupRows = createLeaderboardRows(group.performers);
 
       return `
         <div class="hon-rank-group">
           <div class="hon-rank-group-header" data-group="${groupIndex}" role="button" aria-expanded="false" aria-controls="rank-group-${groupIndex}" aria-label="Toggle ranks ${group.startRank} to ${group.endRank} group">
             <span class="hon-group-toggle">▶</span>
             <span class="hon-rank-group-title">Ranks ${group.startRank}-${group.endRank}</span>
-            <span class="hon-rank-group-count">(${group.performers.length} performers)</span>
+            <span class="hon-rank-group-count">(${group.endRank - group.startRank + 1} ${labels.plural})</span>
           </div>
           <div class="hon-rank-group-content collapsed" data-group="${groupIndex}" id="rank-group-${groupIndex}">
             <table class="hon-stats-table" role="table" aria-label="Ranks ${group.startRank}-${group.endRank} statistics">
-              <tbody>
+              <tbody ${loaded ? '' : `data-page="${groupIndex + 1}"`}>
                 ${groupRows}
               </tbody>
             </table>
@@ -2718,30 +8797,37 @@ async function fetchPerformerCount(performerFilter = {}) {
 
     return `
       <div class="hon-stats-modal-content">
-        <h2 class="hon-stats-title">📊 Performer Statistics</h2>
+        <h2 class="hon-stats-title">📊 ${singular} Statistics</h2>
         
         <div class="hon-stats-summary">
           <div class="hon-stats-summary-item">
-            <span class="hon-stats-summary-label">Total Performers:</span>
-            <span class="hon-stats-summary-value">${performers.length}</span>
+            <span class="hon-stats-summary-label">Total ${plural}:</span>
+            <span class="hon-stats-summary-value">${count}</span>
           </div>
+          ${paged ? '' : `
           <div class="hon-stats-summary-item">
             <span class="hon-stats-summary-label">Total Matches:</span>
             <span class="hon-stats-summary-value">${totalMatches}</span>
           </div>
           <div class="hon-stats-summary-item">
-            <span class="hon-stats-summary-label">Average Matches/Performer:</span>
+            <span class="hon-stats-summary-label">Average Matches/${singular}:</span>
             <span class="hon-stats-summary-value">${avgMatches}</span>
-          </div>
+          </div>`}
           <div class="hon-stats-summary-item">
             <span class="hon-stats-summary-label">Average Rating:</span>
             <span class="hon-stats-summary-value">${avgRating}/10</span>
           </div>
+          ${paged ? '' : `
+          <div class="hon-stats-summary-item" title="Share of neighbouring pairs (within ${PAIR_NEIGHBOUR_RANKS} ranks) compared at least once">
+            <span class="hon-stats-summary-label">Pair Coverage:</span>
+            <span class="hon-stats-summary-value">${formatPairCoverage(computePairCoverage(performers))}</span>
+          </div>`}
         </div>
 
         <div class="hon-stats-tabs">
           <button class="hon-stats-tab active" data-tab="graph">📊 Distribution</button>
           <button class="hon-stats-tab" data-tab="leaderboard">📋 Leaderboard</button>
+          <button class="hon-stats-tab" data-tab="h2h">⚔️ Head-to-Head</button>
         </div>
 
         <div class="hon-stats-tab-content">
@@ -2755,13 +8841,19 @@ async function fetchPerformerCount(performerFilter = {}) {
           </div>
 
           <div class="hon-stats-tab-panel" data-panel="leaderboard">
+            <div class="hon-export-actions">
+              <button class="btn btn-secondary" data-export="csv" title="Download the full leaderboard for the current filter">⬇️ Export CSV</button>
+              <button class="btn btn-secondary" data-export="json" title="Download the full leaderboard for the current filter">⬇️ Export JSON</button>
+            </div>
             <div class="hon-stats-table-container">
-              <table class="hon-stats-table hon-stats-table-header" role="table" aria-label="Performer statistics breakdown">
+              <table class="hon-stats-table hon-stats-table-header" role="table" aria-label="${singular} statistics breakdown">
                 <thead>
                   <tr>
                     <th scope="col" aria-label="Rank position">Rank</th>
-                    <th scope="col" aria-label="Performer name">Performer</th>
+                    <th scope="col" aria-label="${singular} name">${singular}</th>
                     <th scope="col" aria-label="Current rating">Rating</th>
+                    <th scope="col" aria-label="Rating over the last ${SPARKLINE_MATCHES} matches">Trend</th>
+                    ${showSkill ? `<th scope="col" aria-label="Hidden skill score">Skill</th>` : ''}
                     <th scope="col" aria-label="Total matches played">Matches</th>
                     <th scope="col" aria-label="Total wins">Wins</th>
                     <th scope="col" aria-label="Total losses">Losses</th>
@@ -2778,125 +8870,655 @@ async function fetchPerformerCount(performerFilter = {}) {
               </div>
             </div>
           </div>
+
+          <div class="hon-stats-tab-panel" data-panel="h2h">
+            ${createHeadToHeadPanel(labels)}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Open stats modal
+   */
+  /**
+   * Open the leaderboard and stats for the current battle type
+   * @param {string} dimension - Performer rating dimension to show (defaults to the active one)
+   */
+  async function openStatsModal(dimension = activeDimension) {
+    const existingStatsModal = document.getElementById("hon-stats-modal");
+    if (existingStatsModal) {
+      existingStatsModal.remove();
+    }
+
+    const statsModal = document.createElement("div");
+    statsModal.id = "hon-stats-modal";
+    statsModal.className = "hon-stats-modal";
+    statsModal.innerHTML = `
+      <div class="hon-modal-backdrop"></div>
+      <div class="hon-stats-modal-dialog">
+        <button class="hon-modal-close">✕</button>
+        <div class="hon-stats-loading">Loading stats...</div>
+      </div>
+    `;
+
+    document.body.appendChild(statsModal);
+
+    // Close handlers
+    statsModal.querySelector(".hon-modal-backdrop").addEventListener("click", () => {
+      statsModal.remove();
+    });
+    statsModal.querySelector(".hon-modal-close").addEventListener("click", () => {
+      statsModal.remove();
+    });
+
+    // Fetch and display stats
+    try {
+      const board = await fetchStatsBoard(dimension);
+      const content = createStatsModalContent(board);
+      const dialog = statsModal.querySelector(".hon-stats-modal-dialog");
+      dialog.innerHTML = `
+        <button class="hon-modal-close">✕</button>
+        ${createDimensionToggle(dimension, "stats-dimension")}
+        ${content}
+      `;
+
+      // Each dimension has its own leaderboard
+      dialog.querySelectorAll(".hon-dimension-btn[data-stats-dimension]").forEach(button => {
+        button.addEventListener("click", () => {
+          if (button.dataset.statsDimension !== dimension) {
+            openStatsModal(button.dataset.statsDimension);
+          }
+        });
+      });
+
+      // Re-attach close handler after updating content
+      dialog.querySelector(".hon-modal-close").addEventListener("click", () => {
+        statsModal.remove();
+      });
+
+      // Attach tab switching handlers
+      const tabButtons = dialog.querySelectorAll(".hon-stats-tab");
+      const tabPanels = dialog.querySelectorAll(".hon-stats-tab-panel");
+      
+      tabButtons.forEach(button => {
+        button.addEventListener("click", () => {
+          const tabName = button.dataset.tab;
+          
+          // Update active tab button
+          tabButtons.forEach(btn => btn.classList.remove("active"));
+          button.classList.add("active");
+          
+          // Update active tab panel
+          tabPanels.forEach(panel => {
+            if (panel.dataset.panel === tabName) {
+              panel.classList.add("active");
+            } else {
+              panel.classList.remove("active");
+            }
+          });
+        });
+      });
+
+      // Helper function to attach expand/collapse handlers to collapsible groups
+      const attachCollapseHandlers = (headerSelector, contentSelector) => {
+        const headers = dialog.querySelectorAll(headerSelector);
+        headers.forEach(header => {
+          header.addEventListener("click", () => {
+            const groupIndex = header.dataset.group;
+            const content = dialog.querySelector(`${contentSelector}[data-group="${groupIndex}"]`);
+            const toggle = header.querySelector(".hon-group-toggle");
+            
+            if (content && content.classList.contains("collapsed")) {
+              content.classList.remove("collapsed");
+              header.setAttribute("aria-expanded", "true");
+              toggle.textContent = "▼";
+            } else if (content) {
+              content.classList.add("collapsed");
+              header.setAttribute("aria-expanded", "false");
+              toggle.textContent = "▶";
+            }
+          });
+        });
+      };
+
+      // Attach expand/collapse handlers for rank groups and bar graph groups
+      attachCollapseHandlers(".hon-rank-group-header", ".hon-rank-group-content");
+      attachCollapseHandlers(".hon-bar-group-header", ".hon-bar-group-content");
+
+      // Paged leaderboards load a rank group the first time it is opened
+      dialog.querySelectorAll(".hon-rank-group-header").forEach(header => {
+        header.addEventListener("click", async () => {
+          const tbody = dialog.querySelector(`.hon-rank-group-content[data-group="${header.dataset.group}"] tbody[data-page]`);
+          if (!tbody) return;
+          const page = parseInt(tbody.dataset.page, 10);
+          tbody.removeAttribute("data-page");
+          tbody.innerHTML = '<tr><td class="hon-stats-neutral">Loading...</td></tr>';
+          try {
+            const { items } = await fetchImageStatsPage(page);
+            const firstRank = (page - 1) * LEADERBOARD_PAGE_SIZE + 1;
+            tbody.innerHTML = createLeaderboardRows(items.map((item, idx) => getLeaderboardEntry(item, firstRank + idx)));
+          } catch (e) {
+            console.error(`[HotOrNot] Failed to load leaderboard page ${page}:`, e);
+            tbody.dataset.page = String(page);
+            tbody.innerHTML = '<tr><td class="hon-stats-negative">Failed to load - close and reopen the group to retry</td></tr>';
+          }
+        });
+      });
+
+      // Leaderboard export (paged leaderboards fetch every item first)
+      dialog.querySelectorAll("[data-export]").forEach(button => {
+        button.addEventListener("click", async () => {
+          const label = button.textContent;
+          button.disabled = true;
+          button.textContent = "Preparing...";
+          try {
+            const items = board.paged ? await fetchAllItemStats(dimension) : board.items;
+            exportLeaderboard(items, dimension, button.dataset.export);
+          } catch (e) {
+            console.error("[HotOrNot] Failed to export leaderboard:", e);
+          } finally {
+            button.disabled = false;
+            button.textContent = label;
+          }
+        });
+      });
+
+      // Head-to-head: search each side, show the record once two different items are picked
+      const picked = {};
+      const h2hResult = dialog.querySelector(".hon-h2h-result");
+      dialog.querySelectorAll(".hon-h2h-search").forEach(input => {
+        const side = input.dataset.h2h;
+        const matchesEl = dialog.querySelector(`.hon-h2h-matches[data-h2h="${side}"]`);
+        let found = [];
+        let searchTimer = null;
+        input.addEventListener("input", () => {
+          clearTimeout(searchTimer);
+          const search = input.value.trim();
+          if (!search) {
+            matchesEl.innerHTML = "";
+            return;
+          }
+          searchTimer = setTimeout(async () => {
+            try {
+              found = await searchStatsItems(search, dimension);
+              // Ignore results for text that has since changed
+              if (input.value.trim() === search) {
+                matchesEl.innerHTML = createHeadToHeadMatches(found);
+              }
+            } catch (e) {
+              console.error("[HotOrNot] Head-to-head search failed:", e);
+            }
+          }, 250);
+        });
+        matchesEl.addEventListener("click", (e) => {
+          const button = e.target.closest(".hon-h2h-match");
+          if (!button) return;
+          picked[side] = found.find(item => item.id === button.dataset.id);
+          input.value = getItemDisplayInfo(picked[side]).title;
+          matchesEl.innerHTML = "";
+          if (picked.a && picked.b && picked.a.id !== picked.b.id) {
+            h2hResult.innerHTML = createHeadToHeadResult(picked.a, picked.b);
+          }
+        });
+      });
+    } catch (error) {
+      console.error("[HotOrNot] Error loading stats:", error);
+      const dialog = statsModal.querySelector(".hon-stats-modal-dialog");
+      dialog.innerHTML = `
+        <button class="hon-modal-close">✕</button>
+        <div class="hon-stats-error">Failed to load ${BATTLE_TYPE_LABELS[battleType].singular} statistics. Please try again later.</div>
+      `;
+      
+      dialog.querySelector(".hon-modal-close").addEventListener("click", () => {
+        statsModal.remove();
+      });
+    }
+  }
+
+  // ============================================
+  // LEADERBOARD EXPORT
+  // ============================================
+  // The stats modal's leaderboard can be downloaded as CSV or JSON for
+  // spreadsheets: every item in the current filter with its rank, rating,
+  // every hotornot_stats field and a description of the filter it was
+  // ranked in. The export is built from the items the modal already fetched.
+
+  /**
+   * Describe the filter the stats modal ranked items in
+   * @param {string} dimension - Performer rating dimension shown
+   * @returns {string} e.g. "Default filter: excludes male performers and performers without an image"
+   */
+  function describeStatsFilter(dimension) {
+    const urlFilter = cachedUrlFilter || {};
+    let description;
+    if (Object.keys(urlFilter).length > 0) {
+      description = `Page filter: ${JSON.stringify(urlFilter)}`;
+    } else if (battleType === "performers") {
+      const { includeMales, includeMissingImages } = getSettings();
+      const excluded = [
+        !includeMales && "male performers",
+        !includeMissingImages && "performers without an image"
+      ].filter(Boolean);
+      description = excluded.length > 0 ? `Default filter: excludes ${excluded.join(" and ")}` : "All performers";
+    } else {
+      description = `All ${BATTLE_TYPE_LABELS[battleType].plural}`;
+    }
+    return hasDimensions() ? `${description} (dimension: ${dimension})` : description;
+  }
+
+  /**
+   * Build the leaderboard export rows
+   * @param {Array} items - Items sorted by rating (highest first), as shown in the stats modal
+   * @param {string} dimension - Performer rating dimension shown
+   * @returns {Object} { exported_at, battle_type, dimension, filter, columns, rows }
+   */
+  function buildLeaderboardExport(items, dimension) {
+    const statsFields = Object.keys(parsePerformerEloData(null));
+    const columns = [
+      "rank", "id", "name", "rating100",
+      ...(usesSkillScore() ? ["skill"] : []),
+      ...statsFields,
+      ...(battleType === "performers" ? ["scene_count"] : [])
+    ];
+
+    const rows = items.map((item, index) => {
+      const stats = parsePerformerEloData(item);
+      const skill = parseFloat(item.custom_fields && item.custom_fields[SKILL_FIELD]);
+      const row = {
+        rank: index + 1,
+        id: item.id,
+        name: getItemDisplayInfo(item).title,
+        rating100: item.rating100 ?? null,
+        skill: isNaN(skill) ? null : skill,
+        ...stats,
+        scene_count: item.scene_count ?? null
+      };
+      return Object.fromEntries(columns.map(column => [column, row[column]]));
+    });
+
+    return {
+      exported_at: new Date().toISOString(),
+      battle_type: battleType,
+      dimension: hasDimensions() ? dimension : null,
+      filter: describeStatsFilter(dimension),
+      columns,
+      rows
+    };
+  }
+
+  /**
+   * Quote a CSV cell when it contains a separator, quote or line break.
+   * Text starting with = + - @ (or a tab or carriage return) gets a leading '
+   * so spreadsheets don't run names as formulas; numbers are left as they are.
+   * @param {*} value - Cell value (null/undefined become empty)
+   * @returns {string} CSV cell
+   */
+  function toCsvCell(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Format a leaderboard export as CSV. The filter description is repeated on
+   * every row so it survives sorting and filtering in a spreadsheet.
+   * @param {Object} data - Export from buildLeaderboardExport
+   * @returns {string} CSV text
+   */
+  function formatLeaderboardCsv(data) {
+    const lines = [[...data.columns, "filter"].map(toCsvCell).join(",")];
+    for (const row of data.rows) {
+      lines.push([...data.columns.map(column => row[column]), data.filter].map(toCsvCell).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Download text as a file
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   */
+  function downloadTextFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download the leaderboard shown in the stats modal
+   * @param {Array} items - Items sorted by rating (highest first)
+   * @param {string} dimension - Performer rating dimension shown
+   * @param {string} format - "csv" or "json"
+   */
+  function exportLeaderboard(items, dimension, format) {
+    const data = buildLeaderboardExport(items, dimension);
+    const date = data.exported_at.slice(0, 10);
+    const name = `hotornot-${battleType}${data.dimension ? `-${data.dimension}` : ""}-${date}`;
+    if (format === "csv") {
+      // The byte order mark makes spreadsheet apps read the file as UTF-8
+      downloadTextFile(`${name}.csv`, "\uFEFF" + formatLeaderboardCsv(data), "text/csv;charset=utf-8");
+    } else {
+      downloadTextFile(`${name}.json`, JSON.stringify(data, null, 2), "application/json");
+    }
+  }
+
+  // ============================================
+  // RATING REFIT (Bradley-Terry)
+  // ============================================
+  // Online updates depend on match order and on the winner-above-loser clamp.
+  // The refit ignores both: it takes the lifetime head-to-head tallies between
+  // items in the current filter (hotornot_h2h, not the capped match log) and
+  // finds the strengths that best explain all of them at once (Bradley-Terry
+  // maximum likelihood), then maps those onto rating100.
+
+  // Maximum MM iterations and convergence threshold for the Bradley-Terry fit
+  const REFIT_MAX_ITERATIONS = 500;
+  const REFIT_TOLERANCE = 1e-6;
+
+  /**
+   * Collect the lifetime results between each pair of the given items.
+   * Both items tally the pair, so each pair is read once, from the side with
+   * the lower ID when it has a record.
+   * @param {Array} items - Items with custom_fields
+   * @returns {Array} Pairs as { a, b, games, score } where score is a's points (draws count half)
+   */
+  function collectRecordedMatches(items) {
+    const tallies = new Map(items.map(item => [item.id, parseHeadToHead(item)]));
+    const pairs = [];
+
+    for (const [id, h2h] of tallies) {
+      for (const [opponentId, record] of Object.entries(h2h)) {
+        if (!tallies.has(opponentId) || opponentId === id) continue;
+        // The other side reads this pair unless only this side has a record of it
+        if (opponentId < id && tallies.get(opponentId)[id]) continue;
+        const wins = record.wins || 0;
+        const losses = record.losses || 0;
+        const draws = record.draws || 0;
+        const games = wins + losses + draws;
+        if (games > 0) {
+          pairs.push({ a: id, b: opponentId, games, score: wins + draws / 2 });
+        }
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Fit Bradley-Terry strengths with Hunter's MM algorithm.
+   * Draws count as half a win for each side. Every item also gets one virtual
+   * win and one virtual loss against a fixed opponent of strength 1, which keeps
+   * unbeaten and winless items finite.
+   * @param {Array} pairs - Pairs from collectRecordedMatches
+   * @returns {Map} Item ID -> strength (only items that played)
+   */
+  function fitBradleyTerry(pairs) {
+    const wins = new Map();
+    const opponents = new Map();
+    const addGames = (id, opponentId, games, score) => {
+      wins.set(id, (wins.get(id) || 0) + score);
+      if (!opponents.has(id)) opponents.set(id, []);
+      opponents.get(id).push({ opponentId, games });
+    };
+    for (const { a, b, games, score } of pairs) {
+      addGames(a, b, games, score);
+      addGames(b, a, games, games - score);
+    }
+
+    let strengths = new Map([...opponents.keys()].map(id => [id, 1]));
+
+    for (let iteration = 0; iteration < REFIT_MAX_ITERATIONS; iteration++) {
+      const next = new Map();
+      let maxChange = 0;
+
+      for (const [id, played] of opponents) {
+        const strength = strengths.get(id);
+        // Virtual win + loss against the fixed opponent: 1 extra win, 2 games vs strength 1
+        let denominator = 2 / (strength + 1);
+        for (const { opponentId, games } of played) {
+          denominator += games / (strength + strengths.get(opponentId));
+        }
+        const updated = (wins.get(id) + 1) / denominator;
+        next.set(id, updated);
+        maxChange = Math.max(maxChange, Math.abs(Math.log(updated / strength)));
+      }
+
+      strengths = next;
+      if (maxChange < REFIT_TOLERANCE) break;
+    }
+
+    return strengths;
+  }
+
+  /**
+   * Compute refit ratings for items sorted by current rating (highest first)
+   * @param {Array} items - Items with rating100 and custom_fields
+   * @returns {Object} { rows, matchCount } - rows only include items whose rating or rank changes
+   */
+  function computeRefitRatings(items) {
+    const pairs = collectRecordedMatches(items);
+    const strengths = fitBradleyTerry(pairs);
+
+    // Same scale as the ELO engine: 40 rating100 points = 10x the odds
+    const fitted = items.filter(item => strengths.has(item.id));
+    const rawRatings = new Map(fitted.map(item => [item.id, 40 * Math.log10(strengths.get(item.id))]));
+
+    // Keep the fitted items' average rating where it was
+    const average = list => list.reduce((sum, value) => sum + value, 0) / (list.length || 1);
+    const offset = average(fitted.map(getItemScore)) - average([...rawRatings.values()]);
+
+    const ranked = items.map((item, idx) => {
+      const oldRating = getItemScore(item);
+      const newRating = rawRatings.has(item.id)
+        ? clampScore(Math.round(rawRatings.get(item.id) + offset))
+        : oldRating;
+      return { item, oldRating, newRating, oldRank: idx + 1 };
+    });
+
+    [...ranked]
+      .sort((a, b) => b.newRating - a.newRating || a.oldRank - b.oldRank)
+      .forEach((row, idx) => {
+        row.newRank = idx + 1;
+      });
+
+    const rows = ranked
+      .filter(row => row.newRating !== row.oldRating || row.newRank !== row.oldRank)
+      .sort((a, b) => a.newRank - b.newRank);
+
+    return { rows, matchCount: pairs.reduce((sum, pair) => sum + pair.games, 0) };
+  }
+
+  /**
+   * Create the refit preview: every item whose rank or rating would change
+   * @param {Object} refit - Result of computeRefitRatings
+   * @param {number} itemCount - Number of items in the current filter
+   * @returns {string} Modal content HTML
+   */
+  function createRefitPreviewContent(refit, itemCount) {
+    const labels = BATTLE_TYPE_LABELS[battleType];
+    const { rows, matchCount } = refit;
+
+    if (matchCount === 0) {
+      return `<div class="hon-stats-empty">No recorded matches between ${labels.plural} in the current filter yet</div>`;
+    }
+
+    if (rows.length === 0) {
+      return `<div class="hon-stats-empty">Ratings already match the refit of ${matchCount} recorded matches - nothing to change</div>`;
+    }
+
+    const tableRows = rows.map(row => {
+      const rankMove = row.oldRank - row.newRank;
+      const rankDisplay = rankMove > 0
+        ? `<span class="hon-stats-positive">▲ ${rankMove}</span>`
+        : rankMove < 0
+          ? `<span class="hon-stats-negative">▼ ${-rankMove}</span>`
+          : '<span class="hon-stats-neutral">–</span>';
+      const ratingMove = row.newRating - row.oldRating;
+      const ratingClass = ratingMove > 0 ? 'hon-stats-positive' : ratingMove < 0 ? 'hon-stats-negative' : 'hon-stats-neutral';
+
+      return `
+        <tr>
+          <td class="hon-stats-rank">#${row.newRank}</td>
+          <td class="hon-stats-name">
+            <a href="/${labels.plural}/${escapeHtml(row.item.id)}" target="_blank">${escapeHtml(getItemDisplayInfo(row.item).title)}</a>
+          </td>
+          <td>#${row.oldRank}</td>
+          <td>${rankDisplay}</td>
+          <td>${row.oldRating} → <span class="${ratingClass}">${row.newRating}</span></td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="hon-stats-modal-content">
+        <h2 class="hon-stats-title">🧮 Recompute Ratings</h2>
+        <p class="hon-refit-summary">
+          Refit from <strong>${matchCount}</strong> recorded matches between ${itemCount} ${labels.plural} in the current filter.
+          <strong>${rows.length}</strong> ${rows.length === 1 ? labels.singular : labels.plural} would change. Nothing is saved until you apply.
+        </p>
+        <div class="hon-refit-actions">
+          <button id="hon-refit-apply" class="btn btn-primary">Apply ${rows.length} change${rows.length === 1 ? '' : 's'}</button>
+          <button id="hon-refit-cancel" class="btn btn-secondary">Cancel</button>
+          <span class="hon-refit-status"></span>
+        </div>
+        <div class="hon-stats-table-container">
+          <table class="hon-stats-table" role="table" aria-label="Rating refit preview">
+            <thead>
+              <tr>
+                <th scope="col">New Rank</th>
+                <th scope="col">${capitalize(labels.singular)}</th>
+                <th scope="col">Old Rank</th>
+                <th scope="col">Move</th>
+                <th scope="col">Rating</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${tableRows}
+            </tbody>
+          </table>
         </div>
       </div>
     `;
   }
 
   /**
-   * Open stats modal
+   * Write refit ratings to Stash one item at a time
+   * @param {Array} rows - Rows from computeRefitRatings or computeTierRatings
+   *   (rows with rating100 store it as is and save newRating as the score)
+   * @param {Function} onProgress - Called with the number of items saved so far
+   * @returns {number} Number of items that failed to save
    */
-  async function openStatsModal() {
-    const existingStatsModal = document.getElementById("hon-stats-modal");
-    if (existingStatsModal) {
-      existingStatsModal.remove();
+  async function applyRefitRatings(rows, onProgress) {
+    let failed = 0;
+    let saved = 0;
+    for (const row of rows) {
+      if (row.newRating !== row.oldRating || (row.rating100 !== undefined && row.rating100 !== row.item.rating100)) {
+        try {
+          if (row.rating100 !== undefined) {
+            await saveItemScore(row.item.id, row.newRating);
+            await updateItemRating(battleType, row.item.id, row.rating100, null, undefined, { mapped: true });
+          } else {
+            await updateItemRating(battleType, row.item.id, row.newRating);
+          }
+        } catch (e) {
+          failed++;
+          console.error(`[HotOrNot] Failed to save refit rating for ${row.item.id}:`, e);
+        }
+      }
+      saved++;
+      onProgress(saved);
     }
+    return failed;
+  }
 
-    const statsModal = document.createElement("div");
-    statsModal.id = "hon-stats-modal";
-    statsModal.className = "hon-stats-modal";
-    statsModal.innerHTML = `
+  /**
+   * Open the refit preview for every item in the current filter
+   */
+  async function openRefitModal() {
+    const existingModal = document.getElementById("hon-refit-modal");
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const refitModal = document.createElement("div");
+    refitModal.id = "hon-refit-modal";
+    refitModal.className = "hon-stats-modal";
+    refitModal.innerHTML = `
       <div class="hon-modal-backdrop"></div>
       <div class="hon-stats-modal-dialog">
         <button class="hon-modal-close">✕</button>
-        <div class="hon-stats-loading">Loading stats...</div>
+        <div class="hon-stats-loading">Fitting ratings to match history...</div>
       </div>
     `;
+    document.body.appendChild(refitModal);
 
-    document.body.appendChild(statsModal);
-
-    // Close handlers
-    statsModal.querySelector(".hon-modal-backdrop").addEventListener("click", () => {
-      statsModal.remove();
-    });
-    statsModal.querySelector(".hon-modal-close").addEventListener("click", () => {
-      statsModal.remove();
-    });
+    const close = () => refitModal.remove();
+    refitModal.querySelector(".hon-modal-backdrop").addEventListener("click", close);
 
-    // Fetch and display stats
+    const dialog = refitModal.querySelector(".hon-stats-modal-dialog");
+    let refit;
     try {
-      const performers = await fetchAllPerformerStats();
-      const content = createStatsModalContent(performers);
-      const dialog = statsModal.querySelector(".hon-stats-modal-dialog");
+      const items = await fetchAllItemStats();
+      refit = computeRefitRatings(items);
       dialog.innerHTML = `
         <button class="hon-modal-close">✕</button>
-        ${content}
+        ${createRefitPreviewContent(refit, items.length)}
       `;
-
-      // Re-attach close handler after updating content
-      dialog.querySelector(".hon-modal-close").addEventListener("click", () => {
-        statsModal.remove();
-      });
-
-      // Attach tab switching handlers
-      const tabButtons = dialog.querySelectorAll(".hon-stats-tab");
-      const tabPanels = dialog.querySelectorAll(".hon-stats-tab-panel");
-      
-      tabButtons.forEach(button => {
-        button.addEventListener("click", () => {
-          const tabName = button.dataset.tab;
-          
-          // Update active tab button
-          tabButtons.forEach(btn => btn.classList.remove("active"));
-          button.classList.add("active");
-          
-          // Update active tab panel
-          tabPanels.forEach(panel => {
-            if (panel.dataset.panel === tabName) {
-              panel.classList.add("active");
-            } else {
-              panel.classList.remove("active");
-            }
-          });
-        });
-      });
-
-      // Helper function to attach expand/collapse handlers to collapsible groups
-      const attachCollapseHandlers = (headerSelector, contentSelector) => {
-        const headers = dialog.querySelectorAll(headerSelector);
-        headers.forEach(header => {
-          header.addEventListener("click", () => {
-            const groupIndex = header.dataset.group;
-            const content = dialog.querySelector(`${contentSelector}[data-group="${groupIndex}"]`);
-            const toggle = header.querySelector(".hon-group-toggle");
-            
-            if (content && content.classList.contains("collapsed")) {
-              content.classList.remove("collapsed");
-              header.setAttribute("aria-expanded", "true");
-              toggle.textContent = "▼";
-            } else if (content) {
-              content.classList.add("collapsed");
-              header.setAttribute("aria-expanded", "false");
-              toggle.textContent = "▶";
-            }
-          });
-        });
-      };
-
-      // Attach expand/collapse handlers for rank groups and bar graph groups
-      attachCollapseHandlers(".hon-rank-group-header", ".hon-rank-group-content");
-      attachCollapseHandlers(".hon-bar-group-header", ".hon-bar-group-content");
     } catch (error) {
-      console.error("[HotOrNot] Error loading stats:", error);
-      const dialog = statsModal.querySelector(".hon-stats-modal-dialog");
+      console.error("[HotOrNot] Error computing rating refit:", error);
       dialog.innerHTML = `
         <button class="hon-modal-close">✕</button>
-        <div class="hon-stats-error">Failed to load performer statistics. Please try again later.</div>
+        <div class="hon-stats-error">Failed to recompute ratings. Please try again later.</div>
       `;
-      
-      dialog.querySelector(".hon-modal-close").addEventListener("click", () => {
-        statsModal.remove();
-      });
+      dialog.querySelector(".hon-modal-close").addEventListener("click", close);
+      return;
     }
+
+    dialog.querySelector(".hon-modal-close").addEventListener("click", close);
+    const cancelBtn = dialog.querySelector("#hon-refit-cancel");
+    if (cancelBtn) cancelBtn.addEventListener("click", close);
+
+    const applyBtn = dialog.querySelector("#hon-refit-apply");
+    if (!applyBtn) return;
+
+    applyBtn.addEventListener("click", async () => {
+      applyBtn.disabled = true;
+      cancelBtn.disabled = true;
+      const statusEl = dialog.querySelector(".hon-refit-status");
+      // Apply exactly what the preview showed
+      const { rows } = refit;
+
+      const failed = await applyRefitRatings(rows, saved => {
+        statusEl.textContent = `Saving ${saved}/${rows.length}...`;
+      });
+
+      statusEl.textContent = failed > 0
+        ? `Done - ${failed} failed to save (see console)`
+        : `Done - ${rows.length} updated`;
+      cancelBtn.disabled = false;
+      cancelBtn.textContent = "Close";
+
+      // Ratings under the current pair may have changed
+      clearUndoStack();
+      loadNewPair();
+    });
   }
 
   function createMainUI() {
-    const itemType = battleType === "performers" ? "performers" : "images";
-    const itemTypeSingular = battleType === "performers" ? "performer" : "image";
+    const itemType = BATTLE_TYPE_LABELS[battleType].plural;
+    const itemTypeSingular = BATTLE_TYPE_LABELS[battleType].singular;
     
-    // For images, hide mode selection (only use Swiss mode)
-    const showModeToggle = battleType !== "images";
-    const modeToggleHTML = showModeToggle ? `
+    const modeToggleHTML = `
           <div class="hon-mode-toggle">
             <button class="hon-mode-btn ${currentMode === 'swiss' ? 'active' : ''}" data-mode="swiss">
               <span class="hon-mode-icon">⚖️</span>
@@ -2913,14 +9535,56 @@ async function fetchPerformerCount(performerFilter = {}) {
               <span class="hon-mode-title">Champion</span>
               <span class="hon-mode-desc">Winner stays on</span>
             </button>
+            <button class="hon-mode-btn ${currentMode === 'quickplace' ? 'active' : ''}" data-mode="quickplace">
+              <span class="hon-mode-icon">⚡</span>
+              <span class="hon-mode-title">Quick Place</span>
+              <span class="hon-mode-desc">Place in ~log₂(n)</span>
+            </button>
+            <button class="hon-mode-btn ${currentMode === 'tournament' ? 'active' : ''}" data-mode="tournament">
+              <span class="hon-mode-icon">🏟️</span>
+              <span class="hon-mode-title">Tournament</span>
+              <span class="hon-mode-desc">Elimination bracket</span>
+            </button>
+            <button class="hon-mode-btn ${currentMode === 'roundrobin' ? 'active' : ''}" data-mode="roundrobin">
+              <span class="hon-mode-icon">🔄</span>
+              <span class="hon-mode-title">Round Robin</span>
+              <span class="hon-mode-desc">Everyone meets everyone</span>
+            </button>
+            <button class="hon-mode-btn ${currentMode === 'multi' ? 'active' : ''}" data-mode="multi">
+              <span class="hon-mode-icon">🃏</span>
+              <span class="hon-mode-title">Best of N</span>
+              <span class="hon-mode-desc">Pick from 3-6</span>
+            </button>
+            <button class="hon-mode-btn ${currentMode === 'tierlist' ? 'active' : ''}" data-mode="tierlist">
+              <span class="hon-mode-icon">🗂️</span>
+              <span class="hon-mode-title">Tier List</span>
+              <span class="hon-mode-desc">Seed ratings fast</span>
+            </button>
           </div>
-    ` : '';
+    `;
     
-    // Stats button for performers
-    const statsButtonHTML = battleType === "performers" ? `
+    // Stats button for performers and images
+    const statsButtonHTML = STATS_MODAL_BATTLE_TYPES.has(battleType) ? `
           <button id="hon-stats-btn" class="btn btn-primary hon-stats-button">
             📊 View All Stats
           </button>
+          <button id="hon-refit-btn" class="btn btn-secondary hon-stats-button" title="Refit ratings from the recorded match history">
+            🧮 Recompute Ratings
+          </button>
+    ` : '';
+
+    // Settings panel button (tuning knobs from hotornot.yml)
+    const settingsButtonHTML = `
+          <button id="hon-settings-btn" class="btn btn-secondary hon-stats-button" title="Edit HotOrNot tuning settings">
+            ⚙️ Settings
+          </button>
+    `;
+
+    // Re-map button when rating100 is derived from the hidden skill score
+    const remapButtonHTML = usesSkillScore() ? `
+          <button id="hon-remap-btn" class="btn btn-secondary hon-stats-button" title="Rewrite every rating from its skill score using the ${pluginSettings.ratingMapping} mapping">
+            ↻ Re-map Ratings
+          </button>
     ` : '';
     
     return `
@@ -2929,49 +9593,445 @@ async function fetchPerformerCount(performerFilter = {}) {
           <h1 class="hon-title">🔥 HotOrNot</h1>
           <p class="hon-subtitle">Compare ${itemType} head-to-head to build your rankings</p>
           ${modeToggleHTML}
+          ${createDimensionToggle(activeDimension, "dimension")}
           ${statsButtonHTML}
+          ${remapButtonHTML}
+          ${settingsButtonHTML}
+        </div>
+
+        <div id="hon-performer-selection" class="hon-performer-selection" style="display: none;">
+          <h3 class="hon-selection-title">Select a ${itemTypeSingular} to run the gauntlet:</h3>
+          <div id="hon-performer-list" class="hon-performer-list">
+            <div class="hon-loading">Loading ${itemType}...</div>
+          </div>
+        </div>
+
+        <div class="hon-content">
+          ${hasDimensions() ? `<div id="hon-dimension-prompt" class="hon-dimension-prompt">${escapeHtml(getActiveDimension().prompt)}</div>` : ""}
+          <div id="hon-comparison-area" class="hon-comparison-area">
+            <div class="hon-loading">Loading...</div>
+          </div>
+          <div class="hon-actions">
+            <button id="hon-undo-btn" class="btn btn-secondary" disabled>↶ Undo</button>
+            <button id="hon-skip-btn" class="btn btn-secondary">Skip (Get New Pair)</button>
+            <button id="hon-pairing-btn" class="btn btn-secondary" title="Switch Swiss pairing strategy"></button>
+            <button id="hon-blind-btn" class="btn btn-secondary" title="Hide names, ranks, ratings and details until you choose"></button>
+            <span id="hon-pair-coverage" class="hon-pair-coverage" title="Share of neighbouring pairs (items within ${PAIR_NEIGHBOUR_RANKS} ranks of each other) compared at least once" style="display: none;"></span>
+            <div class="hon-keyboard-hint">
+              <span>← Left Arrow</span> to choose left · 
+              <span>→ Right Arrow</span> to choose right · 
+              <span>Space</span> to skip · 
+              <span>1-6</span> to pick in Best of N · 
+              <span>Backspace/Z</span> to undo
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Sync the Swiss pairing button and pair coverage with the current state (Swiss mode only)
+   */
+  function updatePairingButton() {
+    const pairingBtn = document.getElementById("hon-pairing-btn");
+    if (!pairingBtn) return;
+    pairingBtn.style.display = currentMode === "swiss" ? "" : "none";
+    pairingBtn.textContent = usesSmartPairing() ? "🎯 Pairing: Smart" : "🎲 Pairing: Classic";
+
+    const coverageEl = document.getElementById("hon-pair-coverage");
+    if (coverageEl) {
+      const showCoverage = currentMode === "swiss" && pairCoverage && pairCoverage.total > 0;
+      coverageEl.style.display = showCoverage ? "" : "none";
+      coverageEl.textContent = showCoverage ? `🧩 Pair coverage: ${formatPairCoverage(pairCoverage)}` : "";
+    }
+  }
+
+  // ============================================
+  // SETTINGS PANEL
+  // ============================================
+  // The tuning knobs (K-factors, pairing windows, the default performer
+  // filter...) are plugin settings declared in hotornot.yml. The gear button
+  // edits them without leaving the battle: values are saved to the Stash
+  // plugin configuration and reloaded, so they apply from the next match.
+
+  // Settings shown in the panel. "thresholds" settings are FROM=VALUE lists (see normalizeThresholds)
+  const SETTINGS_PANEL_FIELDS = [
+    { key: "kFactorTiers", type: "thresholds", label: "K-factor tiers", hint: "Matches played = K-factor" },
+    { key: "sceneCountMultipliers", type: "thresholds", label: "Scene count K multipliers", hint: "Scenes = share of K-factor (performers)" },
+    { key: "championKPercent", type: "number", label: "Champion mode K-factor %", hint: "Share of the K-factor used in Champion mode" },
+    { key: "diminishingReturnsStart", type: "number", label: "Diminishing returns start", hint: "Rating where gains start shrinking (100 turns it off)" },
+    { key: "diminishingReturnsCurve", type: "number", label: "Diminishing returns curve", hint: "Power of the curve: higher shrinks gains faster (0 turns it off)" },
+    { key: "matchWindows", type: "thresholds", label: "Swiss match windows", hint: "Pool size = largest rating gap between a pair" },
+    { key: "sanityCheckPercent", type: "number", label: "Sanity check %", hint: "Swiss pairs matched regardless of rating" },
+    { key: "recencyWeights", type: "thresholds", label: "Recency weights", hint: "Hours since last match = pick weight" },
+    { key: "includeMales", type: "boolean", label: "Include male performers", hint: "Default performer filter, when the page has no filter" },
+    { key: "includeMissingImages", type: "boolean", label: "Include performers without images", hint: "Default performer filter, when the page has no filter" }
+  ];
+
+  /**
+   * Build the settings panel form
+   * @param {Object} settings - Settings to fill the form with
+   * @returns {string} HTML
+   */
+  function createSettingsPanelContent(settings) {
+    const rows = SETTINGS_PANEL_FIELDS.map(field => {
+      const value = settings[field.key];
+      let input;
+      if (field.type === "boolean") {
+        input = `<input type="checkbox" data-setting="${field.key}" ${value ? "checked" : ""}>`;
+      } else if (field.type === "number") {
+        input = `<input type="number" class="form-control" step="any" data-setting="${field.key}" value="${escapeHtml(String(value))}">`;
+      } else {
+        input = `<input type="text" class="form-control" data-setting="${field.key}" value="${escapeHtml(formatThresholds(value))}">`;
+      }
+      return `
+        <label class="hon-settings-row">
+          <span class="hon-settings-label">
+            ${escapeHtml(field.label)}
+            <span class="hon-settings-hint">${escapeHtml(field.hint)}</span>
+          </span>
+          ${input}
+        </label>
+      `;
+    }).join('');
+
+    return `
+      <div class="hon-stats-modal-content">
+        <h2 class="hon-stats-title">⚙️ HotOrNot Settings</h2>
+        <form class="hon-settings-form">
+          ${rows}
+        </form>
+        <div class="hon-refit-actions">
+          <button id="hon-settings-save" class="btn btn-primary">Save</button>
+          <button id="hon-settings-defaults" class="btn btn-secondary">Reset to defaults</button>
+          <span class="hon-refit-status"></span>
         </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Read the settings form into raw setting values
+   * @param {HTMLElement} dialog - Settings dialog
+   * @returns {Object} Raw setting values keyed by setting name
+   */
+  function readSettingsForm(dialog) {
+    const changes = {};
+    for (const field of SETTINGS_PANEL_FIELDS) {
+      const input = dialog.querySelector(`[data-setting="${field.key}"]`);
+      if (field.type === "boolean") {
+        changes[field.key] = input.checked;
+      } else if (field.type === "number") {
+        const number = parseFloat(input.value);
+        changes[field.key] = isNaN(number) ? DEFAULT_SETTINGS[field.key] : number;
+      } else {
+        changes[field.key] = input.value.trim();
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Open the settings panel
+   */
+  function openSettingsModal() {
+    const existingModal = document.getElementById("hon-settings-modal");
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const settingsModal = document.createElement("div");
+    settingsModal.id = "hon-settings-modal";
+    settingsModal.className = "hon-stats-modal";
+    settingsModal.innerHTML = `
+      <div class="hon-modal-backdrop"></div>
+      <div class="hon-stats-modal-dialog"></div>
+    `;
+    document.body.appendChild(settingsModal);
+
+    const close = () => settingsModal.remove();
+    settingsModal.querySelector(".hon-modal-backdrop").addEventListener("click", close);
+    const dialog = settingsModal.querySelector(".hon-stats-modal-dialog");
+
+    const render = (settings, status = "") => {
+      dialog.innerHTML = `
+        <button class="hon-modal-close">✕</button>
+        ${createSettingsPanelContent(settings)}
+      `;
+      dialog.querySelector(".hon-modal-close").addEventListener("click", close);
+      dialog.querySelector(".hon-refit-status").textContent = status;
+      dialog.querySelector(".hon-settings-form").addEventListener("submit", e => e.preventDefault());
+
+      dialog.querySelector("#hon-settings-defaults").addEventListener("click", () => {
+        render(normalizeSettings({}), "Defaults filled in - save to apply");
+      });
+
+      const saveBtn = dialog.querySelector("#hon-settings-save");
+      saveBtn.addEventListener("click", async () => {
+        saveBtn.disabled = true;
+        const changes = readSettingsForm(dialog);
+        // The pairing and blind mode buttons toggle these for the session only
+        const session = { swissPairing: pluginSettings.swissPairing, blindMode: pluginSettings.blindMode };
+        try {
+          await savePluginSettings(changes);
+          Object.assign(pluginSettings, session);
+          // Show the values as they were understood (invalid entries fall back to defaults)
+          render(pluginSettings, "Saved - applies from the next match");
+        } catch (e) {
+          console.error("[HotOrNot] Failed to save settings:", e);
+          dialog.querySelector(".hon-refit-status").textContent = "Failed to save settings (see console)";
+          saveBtn.disabled = false;
+        }
+      });
+    };
+
+    render(getSettings());
+  }
+
+  // ============================================
+  // BLIND MODE
+  // ============================================
+  // Seeing a name, rank or current rating biases the choice. In blind mode
+  // the comparison area gets the hon-blind class, which hides everything but
+  // the pictures on the cards (and the bracket, standings and tier board
+  // under them) until a choice is made. The choice removes the class, so the
+  // details are revealed together with the rating animation.
+
+  /**
+   * Whether blind mode is on (the plugin setting sets the default, the button toggles it for the session)
+   * @returns {boolean} True if card details are hidden until the choice
+   */
+  function usesBlindMode() {
+    return Boolean(pluginSettings) && pluginSettings.blindMode;
+  }
+
+  /**
+   * Hide the details of the cards just rendered, if blind mode is on
+   */
+  function applyBlindMode() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (comparisonArea) {
+      comparisonArea.classList.toggle("hon-blind", usesBlindMode());
+    }
+  }
+
+  /**
+   * Reveal the hidden card details once a choice has been made
+   */
+  function revealBlindCards() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (comparisonArea) {
+      comparisonArea.classList.remove("hon-blind");
+    }
+  }
+
+  /**
+   * Whether the cards on screen still have their details hidden
+   * @returns {boolean} True while blind and not yet revealed
+   */
+  function isBlindHidden() {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    return Boolean(comparisonArea) && comparisonArea.classList.contains("hon-blind");
+  }
+
+  /**
+   * Sync the blind mode button with the current setting
+   */
+  function updateBlindButton() {
+    const blindBtn = document.getElementById("hon-blind-btn");
+    if (!blindBtn) return;
+    blindBtn.textContent = usesBlindMode() ? "🙈 Blind: On" : "👁️ Blind: Off";
+  }
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /**
+   * Get the items from a pair result, whichever battle type key they are under
+   * @param {Object} result - Result from fetchSwissPair/fetchGauntletPair/fetchChampionPair
+   * @returns {Array} Items in the result
+   */
+  function getResultItems(result) {
+    return result.performers || result.images || result.scenes || result.galleries ||
+      result.studios || result.tags || result.items || [];
+  }
+
+  /**
+   * Get the card renderer for the current battle type
+   * @returns {Function} (item, side, rank, streak) => HTML string
+   */
+  function getCardRenderer() {
+    switch (battleType) {
+      case "performers": return createPerformerCard;
+      case "scenes": return createSceneCard;
+      case "galleries": return createGalleryCard;
+      case "studios": return createStudioCard;
+      case "tags": return createTagCard;
+      default: return createImageCard;
+    }
+  }
+
+  /**
+   * Show a pair of items in the comparison area and wire up their handlers
+   * @param {Array} items - The two items to compare
+   * @param {Array} ranks - Their ranks (null when unknown)
+   */
+  function renderPair(items, ranks) {
+    const comparisonArea = document.getElementById("hon-comparison-area");
+    if (!comparisonArea) return;
 
-        <div id="hon-performer-selection" class="hon-performer-selection" style="display: none;">
-          <h3 class="hon-selection-title">Select a ${itemTypeSingular} to run the gauntlet:</h3>
-          <div id="hon-performer-list" class="hon-performer-list">
-            <div class="hon-loading">Loading ${itemType}...</div>
-          </div>
-        </div>
+    currentPair.left = items[0];
+    currentPair.right = items[1];
+    currentRanks.left = ranks[0];
+    currentRanks.right = ranks[1];
+    saveCurrentRun();
+
+    // Determine streak for each card (gauntlet and champion modes)
+    let leftStreak = null;
+    let rightStreak = null;
+    if (currentMode === "gauntlet" || currentMode === "champion") {
+      if (gauntletChampion && items[0].id === gauntletChampion.id) {
+        leftStreak = gauntletWins;
+      } else if (gauntletChampion && items[1].id === gauntletChampion.id) {
+        rightStreak = gauntletWins;
+      }
+    }
 
-        <div class="hon-content">
-          <div id="hon-comparison-area" class="hon-comparison-area">
-            <div class="hon-loading">Loading...</div>
-          </div>
-          <div class="hon-actions">
-            <button id="hon-skip-btn" class="btn btn-secondary">Skip (Get New Pair)</button>
-            <div class="hon-keyboard-hint">
-              <span>← Left Arrow</span> to choose left · 
-              <span>→ Right Arrow</span> to choose right · 
-              <span>Space</span> to skip
-            </div>
-          </div>
+    const createCard = getCardRenderer();
+
+    comparisonArea.innerHTML = `
+      ${currentMode === "quickplace" && quickPlaceRun ? createQuickPlaceBanner() : ""}
+      ${currentMode === "tierlist" && tierRun ? createTierRefineBanner() : ""}
+      <div class="hon-vs-container">
+        ${createCard(items[0], "left", ranks[0], leftStreak)}
+        <div class="hon-vs-divider">
+          <span class="hon-vs-text">VS</span>
         </div>
+        ${createCard(items[1], "right", ranks[1], rightStreak)}
       </div>
+      ${currentMode === "tournament" && bracketRun ? createBracketView(bracketRun) : ""}
+      ${currentMode === "roundrobin" && roundRobinRun ? createRoundRobinStandings(roundRobinRun) : ""}
+      ${currentMode === "tierlist" && tierRun ? createTierBoard(tierRun, false, getTierRowsByRating(tierRun)) : ""}
     `;
-  }
+    applyBlindMode();
+
+    // Tier refinement can stop early
+    const tierFinishBtn = comparisonArea.querySelector("#hon-tier-finish");
+    if (tierFinishBtn) {
+      tierFinishBtn.addEventListener("click", () => {
+        if (disableChoice) return;
+        tierRun.refineTarget = tierRun.refineCount;
+        loadNewPair();
+      });
+    }
 
-  // ============================================
-  // EVENT HANDLERS
-  // ============================================
+    // Attach event listeners to scene body (for choosing)
+    comparisonArea.querySelectorAll(".hon-scene-body").forEach((body) => {
+      body.addEventListener("click", handleChooseItem);
+    });
+
+    // Attach click-to-open (for thumbnail only)
+    comparisonArea.querySelectorAll(".hon-scene-image-container").forEach((container) => {
+      const itemUrl = container.dataset.performerUrl || container.dataset.imageUrl ||
+        container.dataset.sceneUrl || container.dataset.galleryUrl ||
+        container.dataset.studioUrl || container.dataset.tagUrl;
+      
+      container.addEventListener("click", () => {
+        // The item's page would give the blind choice away
+        if (itemUrl && !isBlindHidden()) {
+          window.open(itemUrl, "_blank");
+        }
+      });
+    });
+
+    // Attach hover preview to entire card
+    comparisonArea.querySelectorAll(".hon-scene-card").forEach((card) => {
+      const video = card.querySelector(".hon-hover-preview");
+      if (!video) return;
+      
+      card.addEventListener("mouseenter", () => {
+        video.currentTime = 0;
+        video.muted = false;
+        video.volume = 0.5;
+        video.play().catch(() => {});
+      });
+      
+      card.addEventListener("mouseleave", () => {
+        video.pause();
+        video.currentTime = 0;
+      });
+    });
+    
+    // Update skip button state (disabled during an active gauntlet/champion run)
+    const skipBtn = document.querySelector("#hon-skip-btn");
+    if (skipBtn) {
+      const disableSkip = (currentMode === "gauntlet" || currentMode === "champion") && gauntletChampion;
+      skipBtn.disabled = disableSkip;
+      skipBtn.style.opacity = disableSkip ? "0.5" : "1";
+      skipBtn.style.cursor = disableSkip ? "not-allowed" : "pointer";
+      // Round robin scores a skip as a draw for the scheduled match
+      skipBtn.textContent = currentMode === "roundrobin" && roundRobinRun ? "Draw" : "Skip (Get New Pair)";
+    }
+  }
 
   async function loadNewPair() {
     disableChoice = false;
     const comparisonArea = document.getElementById("hon-comparison-area");
     if (!comparisonArea) return;
 
-    // For gauntlet mode with performers, show selection if no champion yet
-    // Images don't use gauntlet/champion modes
-    if (currentMode === "gauntlet" && battleType === "performers" && !gauntletChampion && !gauntletFalling) {
+    // Offer to pick up a Gauntlet/Champion run saved in an earlier session
+    if (SAVED_RUN_MODES.includes(currentMode) && !gauntletChampion && !gauntletFalling) {
+      const saved = loadSavedRun(currentMode);
+      if (saved) {
+        showResumePrompt(saved);
+        return;
+      }
+    }
+
+    // For gauntlet mode, show selection if no champion yet
+    if (currentMode === "gauntlet" && !gauntletChampion && !gauntletFalling) {
       showPerformerSelection();
       return;
     }
 
+    // Quick place starts by picking the item to place
+    if (currentMode === "quickplace" && !quickPlaceRun) {
+      showPerformerSelection();
+      return;
+    }
+
+    // Tournament starts with the bracket setup
+    if (currentMode === "tournament" && !bracketRun) {
+      showBracketSetup();
+      return;
+    }
+
+    // Round robin starts by building the shortlist
+    if (currentMode === "roundrobin" && !roundRobinRun) {
+      showRoundRobinSetup();
+      return;
+    }
+
+    // Tier list: setup, then placing, then the board until refinement starts
+    if (currentMode === "tierlist" && tierRun?.phase !== "refine") {
+      if (!tierRun) {
+        showTierSetup();
+      } else {
+        const actionsEl = document.querySelector(".hon-actions");
+        if (actionsEl) actionsEl.style.display = "none";
+        if (tierRun.phase === "place") {
+          await showTierPlacement();
+        } else if (tierRun.phase === "board") {
+          showTierBoard();
+        } else {
+          showTierApplied();
+        }
+      }
+      return;
+    }
+
     // Only show loading on first load (when empty or already showing loading)
     if (!comparisonArea.querySelector('.hon-vs-container')) {
       comparisonArea.innerHTML = '<div class="hon-loading">Loading...</div>';
@@ -2981,17 +10041,18 @@ async function fetchPerformerCount(performerFilter = {}) {
       let items;
       let ranks = [null, null];
       
-      // Images always use Swiss mode
-      if (battleType === "images" || currentMode === "swiss") {
+      if (currentMode === "swiss") {
         const swissResult = await fetchSwissPair();
-        items = swissResult.performers || swissResult.images;
+        items = getResultItems(swissResult);
         ranks = swissResult.ranks;
+        updatePairingButton();
       } else if (currentMode === "gauntlet") {
         const gauntletResult = await fetchGauntletPair();
         
         // Check for victory (champion reached #1)
         if (gauntletResult.isVictory) {
-          comparisonArea.innerHTML = createVictoryScreen((gauntletResult.performers || gauntletResult.images)[0]);
+          clearSavedRun(currentMode);
+          comparisonArea.innerHTML = createVictoryScreen(getResultItems(gauntletResult)[0]);
           
           // Hide the status banner and skip button
           const statusEl = document.getElementById("hon-gauntlet-status");
@@ -3020,18 +10081,19 @@ async function fetchPerformerCount(performerFilter = {}) {
         
         // Check for placement (falling item hit bottom)
         if (gauntletResult.isPlacement) {
-          showPlacementScreen((gauntletResult.performers || gauntletResult.images)[0], gauntletResult.placementRank, gauntletResult.placementRating);
+          showPlacementScreen(getResultItems(gauntletResult)[0], gauntletResult.placementRank, gauntletResult.placementRating);
           return;
         }
         
-        items = gauntletResult.performers || gauntletResult.images;
+        items = getResultItems(gauntletResult);
         ranks = gauntletResult.ranks;
       } else if (currentMode === "champion") {
         const championResult = await fetchChampionPair();
         
         // Check for victory (champion beat everyone)
         if (championResult.isVictory) {
-          comparisonArea.innerHTML = createVictoryScreen((championResult.performers || championResult.images)[0]);
+          clearSavedRun(currentMode);
+          comparisonArea.innerHTML = createVictoryScreen(getResultItems(championResult)[0]);
           
           // Hide the skip button
           const actionsEl = document.querySelector(".hon-actions");
@@ -3053,85 +10115,59 @@ async function fetchPerformerCount(performerFilter = {}) {
           return;
         }
         
-        items = championResult.performers || championResult.images;
+        items = getResultItems(championResult);
         ranks = championResult.ranks;
+      } else if (currentMode === "quickplace") {
+        const quickPlaceResult = await fetchQuickPlacePair();
+        if (quickPlaceResult.isPlacement) {
+          showQuickPlaceResult();
+          return;
+        }
+        items = quickPlaceResult.items;
+        ranks = quickPlaceResult.ranks;
+      } else if (currentMode === "tournament") {
+        const bracketResult = await fetchBracketPair();
+        if (bracketResult.isVictory) {
+          showBracketVictory(bracketResult.items[0]);
+          return;
+        }
+        items = bracketResult.items;
+        ranks = bracketResult.ranks;
+      } else if (currentMode === "roundrobin") {
+        const roundRobinResult = await fetchRoundRobinPair();
+        if (roundRobinResult.isComplete) {
+          showRoundRobinResult();
+          return;
+        }
+        items = roundRobinResult.items;
+        ranks = roundRobinResult.ranks;
+      } else if (currentMode === "tierlist") {
+        const tierResult = await fetchTierRefinementPair();
+        if (tierResult.isComplete) {
+          tierRun.phase = "applied";
+          showTierApplied();
+          return;
+        }
+        items = tierResult.items;
+        ranks = tierResult.ranks;
+      } else if (currentMode === "multi") {
+        const multiResult = await fetchMultiSet();
+        if (multiResult.items.length > 0) {
+          renderMultiSet(multiResult.items, multiResult.ranks);
+          return;
+        }
+        // Too few items for a set - falls through to the error below
+        items = multiResult.items;
       }
       
       if (items.length < 2) {
-        const itemType = battleType === "performers" ? "performers" : "images";
+        const itemType = BATTLE_TYPE_LABELS[battleType].plural;
         comparisonArea.innerHTML =
           `<div class="hon-error">Not enough ${itemType} available for comparison.</div>`;
         return;
       }
 
-      currentPair.left = items[0];
-      currentPair.right = items[1];
-      currentRanks.left = ranks[0];
-      currentRanks.right = ranks[1];
-
-      // Determine streak for each card (gauntlet and champion modes)
-      let leftStreak = null;
-      let rightStreak = null;
-      if (currentMode === "gauntlet" || currentMode === "champion") {
-        if (gauntletChampion && items[0].id === gauntletChampion.id) {
-          leftStreak = gauntletWins;
-        } else if (gauntletChampion && items[1].id === gauntletChampion.id) {
-          rightStreak = gauntletWins;
-        }
-      }
-
-      comparisonArea.innerHTML = `
-        <div class="hon-vs-container">
-          ${(battleType === "performers" ? createPerformerCard : createImageCard)(items[0], "left", ranks[0], leftStreak)}
-          <div class="hon-vs-divider">
-            <span class="hon-vs-text">VS</span>
-          </div>
-          ${(battleType === "performers" ? createPerformerCard : createImageCard)(items[1], "right", ranks[1], rightStreak)}
-        </div>
-      `;
-
-      // Attach event listeners to scene body (for choosing)
-      comparisonArea.querySelectorAll(".hon-scene-body").forEach((body) => {
-        body.addEventListener("click", handleChooseItem);
-      });
-
-      // Attach click-to-open (for thumbnail only)
-      comparisonArea.querySelectorAll(".hon-scene-image-container").forEach((container) => {
-        const itemUrl = container.dataset.performerUrl || container.dataset.imageUrl;
-        
-        container.addEventListener("click", () => {
-          if (itemUrl) {
-            window.open(itemUrl, "_blank");
-          }
-        });
-      });
-
-      // Attach hover preview to entire card
-      comparisonArea.querySelectorAll(".hon-scene-card").forEach((card) => {
-        const video = card.querySelector(".hon-hover-preview");
-        if (!video) return;
-        
-        card.addEventListener("mouseenter", () => {
-          video.currentTime = 0;
-          video.muted = false;
-          video.volume = 0.5;
-          video.play().catch(() => {});
-        });
-        
-        card.addEventListener("mouseleave", () => {
-          video.pause();
-          video.currentTime = 0;
-        });
-      });
-      
-      // Update skip button state (only disabled for performers in gauntlet/champion mode)
-      const skipBtn = document.querySelector("#hon-skip-btn");
-      if (skipBtn) {
-        const disableSkip = battleType === "performers" && (currentMode === "gauntlet" || currentMode === "champion") && gauntletChampion;
-        skipBtn.disabled = disableSkip;
-        skipBtn.style.opacity = disableSkip ? "0.5" : "1";
-        skipBtn.style.cursor = disableSkip ? "not-allowed" : "pointer";
-      }
+      renderPair(items, ranks);
     } catch (error) {
       console.error("[HotOrNot] Error loading items:", error);
       comparisonArea.innerHTML = `
@@ -3146,44 +10182,65 @@ async function fetchPerformerCount(performerFilter = {}) {
   async function handleChooseItem(event) {
     if(disableChoice) return;
     disableChoice = true;
+    pendingRunState = captureRunState();
+    revealBlindCards();
     const body = event.currentTarget;
+    // The rating animations show mapped ratings
+    await ensureSkillPopulation();
     const winnerId = body.dataset.winner;
     const winnerCard = body.closest(".hon-scene-card");
     const loserId = winnerId === currentPair.left.id ? currentPair.right.id : currentPair.left.id;
     
-    const winnerRating = parseInt(winnerCard.dataset.rating) || 50;
-    const loserCard = document.querySelector(`.hon-scene-card[data-performer-id="${loserId}"], .hon-scene-card[data-image-id="${loserId}"]`);
-    const loserRating = parseInt(loserCard?.dataset.rating) || 50;
+    const winnerRating = getItemScore(winnerId === currentPair.left.id ? currentPair.left : currentPair.right);
+    const loserSide = winnerCard.dataset.side === "left" ? "right" : "left";
+    const loserCard = document.querySelector(`.hon-scene-card[data-side="${loserSide}"]`);
+    const loserRating = getItemScore(loserId === currentPair.left.id ? currentPair.left : currentPair.right);
     
     // Get the loser's rank for #1 dethrone logic
     const loserRank = loserId === currentPair.left.id ? currentRanks.left : currentRanks.right;
 
-    // Images always use Swiss mode logic (no gauntlet/champion)
-    if (battleType === "images") {
+    // Quick place: binary search step or verification match
+    if (currentMode === "quickplace" && quickPlaceRun) {
+      await handleQuickPlaceChoice(winnerId, winnerCard, loserCard);
+      return;
+    }
+
+    // Tournament, round robin and tier refinement: a normal rated match that also advances the run
+    if ((currentMode === "tournament" && bracketRun) || (currentMode === "roundrobin" && roundRobinRun) ||
+      (currentMode === "tierlist" && tierRun)) {
       const winnerItem = winnerId === currentPair.left.id ? currentPair.left : currentPair.right;
       const loserItem = loserId === currentPair.left.id ? currentPair.left : currentPair.right;
-      const { newWinnerRating, newLoserRating, winnerChange, loserChange } = await handleComparison(
+      const { newWinnerRating, newLoserRating } = await handleComparison(
         winnerId, loserId, winnerRating, loserRating, null, winnerItem, loserItem
       );
+      let entrants;
+      if (currentMode === "tournament") {
+        recordBracketResult(winnerId, loserId);
+        entrants = bracketRun.entrants;
+      } else if (currentMode === "roundrobin") {
+        recordRoundRobinResult(winnerId, loserId);
+        entrants = roundRobinRun.entrants;
+      } else {
+        recordTierRefinement(winnerId, loserId);
+        entrants = tierRun.items;
+      }
+      setItemScore(entrants[winnerId], newWinnerRating);
+      setItemScore(entrants[loserId], newLoserRating);
 
-      // Visual feedback
       winnerCard.classList.add("hon-winner");
       if (loserCard) loserCard.classList.add("hon-loser");
-
-      // Show rating change animation
-      showRatingAnimation(winnerCard, winnerRating, newWinnerRating, winnerChange, true);
+      showScoreAnimation(winnerCard, winnerRating, newWinnerRating, true);
       if (loserCard) {
-        showRatingAnimation(loserCard, loserRating, newLoserRating, loserChange, false);
+        showScoreAnimation(loserCard, loserRating, newLoserRating, false);
       }
 
-      // Load new pair after animation
       setTimeout(() => {
         loadNewPair();
       }, 1500);
       return;
     }
 
-    // Handle gauntlet mode (champion tracking) - only for performers
+    // Handle gauntlet mode (champion tracking)
     if (currentMode === "gauntlet") {
       const winnerItem = winnerId === currentPair.left.id ? currentPair.left : currentPair.right;
       const loserItem = loserId === currentPair.left.id ? currentPair.left : currentPair.right;
@@ -3193,26 +10250,34 @@ async function fetchPerformerCount(performerFilter = {}) {
         if (winnerId === gauntletFallingItem.id) {
           // Falling item won - found their floor!
           // Set their rating to just above the item they beat
-          const finalRating = Math.min(100, loserRating + 1);
+          const finalRating = clampScore(loserRating + 1);
           
-          // Fetch latest performer data to get current stats before updating (parallel fetch for performance)
+          // Fetch latest item data to get current stats before updating (parallel fetch for performance)
           let freshFallingPerformer = gauntletFallingItem;
           let freshLoserPerformer = loserItem;
           
-          if (battleType === "performers") {
+          if (tracksItemStats()) {
             const [fetchedFalling, fetchedLoser] = await Promise.all([
-              fetchPerformerById(gauntletFallingItem.id),
-              fetchPerformerById(loserId)
+              fetchItemById(gauntletFallingItem.id),
+              fetchItemById(loserId)
             ]);
             freshFallingPerformer = fetchedFalling || gauntletFallingItem;
             freshLoserPerformer = fetchedLoser || loserItem;
           }
           
           // Track this as a win for the falling performer
-          updateItemRating(gauntletFallingItem.id, finalRating, freshFallingPerformer, true);
+          updateItemRating(battleType, gauntletFallingItem.id, finalRating, freshFallingPerformer, true);
+          await recordMatch({
+            winner: freshFallingPerformer,
+            loser: freshLoserPerformer,
+            winnerBefore: getItemScore(gauntletFallingItem),
+            winnerAfter: finalRating,
+            loserBefore: loserRating,
+            loserAfter: loserRating
+          });
           
           // Track participation for the loser (defender)
-          updateItemRating(loserId, loserRating, freshLoserPerformer, null);
+          updateItemRating(battleType, loserId, loserRating, freshLoserPerformer, null);
           
           // Final rank is one above the opponent (we beat them, so we're above them)
           const opponentRank = loserId === currentPair.left.id ? currentRanks.left : currentRanks.right;
@@ -3231,14 +10296,14 @@ async function fetchPerformerCount(performerFilter = {}) {
           // Falling item lost again - keep falling
           gauntletDefeated.push(winnerId);
           
-          // Fetch latest performer data to get current stats before updating (parallel fetch for performance)
+          // Fetch latest item data to get current stats before updating (parallel fetch for performance)
           let freshFallingPerformer = gauntletFallingItem;
           let freshWinnerPerformer = winnerItem;
           
-          if (battleType === "performers") {
+          if (tracksItemStats()) {
             const [fetchedFalling, fetchedWinner] = await Promise.all([
-              fetchPerformerById(gauntletFallingItem.id),
-              fetchPerformerById(winnerId)
+              fetchItemById(gauntletFallingItem.id),
+              fetchItemById(winnerId)
             ]);
             freshFallingPerformer = fetchedFalling || gauntletFallingItem;
             freshWinnerPerformer = fetchedWinner || winnerItem;
@@ -3246,18 +10311,26 @@ async function fetchPerformerCount(performerFilter = {}) {
           
           // Update falling performer's rating to just below the winner (they lost, so they fall)
           // Ensure the rating only goes down, never up - a falling performer should only move down in ranking
-          const currentFallingRating = gauntletFallingItem.rating100 || 50;
-          const newFallingRating = Math.max(1, Math.min(currentFallingRating, winnerRating - 1));
+          const currentFallingRating = getItemScore(gauntletFallingItem);
+          const newFallingRating = clampScore(Math.min(currentFallingRating, winnerRating - 1));
           
           // Track stats for both participants
           // Track loss for the falling performer with their new (lower) rating
-          updateItemRating(gauntletFallingItem.id, newFallingRating, freshFallingPerformer, false);
+          updateItemRating(battleType, gauntletFallingItem.id, newFallingRating, freshFallingPerformer, false);
+          await recordMatch({
+            winner: freshWinnerPerformer,
+            loser: freshFallingPerformer,
+            winnerBefore: winnerRating,
+            winnerAfter: winnerRating,
+            loserBefore: currentFallingRating,
+            loserAfter: newFallingRating
+          });
           
           // Update the local object to reflect the new rating
-          gauntletFallingItem.rating100 = newFallingRating;
+          setItemScore(gauntletFallingItem, newFallingRating);
           
           // Track participation for the winner (defender)
-          updateItemRating(winnerId, winnerRating, freshWinnerPerformer, null);
+          updateItemRating(battleType, winnerId, winnerRating, freshWinnerPerformer, null);
           
           // Visual feedback
           winnerCard.classList.add("hon-winner");
@@ -3271,7 +10344,7 @@ async function fetchPerformerCount(performerFilter = {}) {
       }
       
       // Normal climbing - calculate rating changes (pass loserRank for #1 dethrone)
-      const { newWinnerRating, newLoserRating, winnerChange, loserChange } = await handleComparison(
+      const { newWinnerRating, newLoserRating } = await handleComparison(
         winnerId, loserId, winnerRating, loserRating, loserRank, winnerItem, loserItem
       );
       
@@ -3279,7 +10352,7 @@ async function fetchPerformerCount(performerFilter = {}) {
         // Champion won - add loser to defeated list and continue climbing
         gauntletDefeated.push(loserId);
         gauntletWins++;
-        gauntletChampion.rating100 = newWinnerRating;
+        setItemScore(gauntletChampion, newWinnerRating);
       } else if (gauntletChampion && winnerId !== gauntletChampion.id) {
         // Champion LOST - start falling to find their floor
         gauntletFalling = true;
@@ -3288,12 +10361,12 @@ async function fetchPerformerCount(performerFilter = {}) {
         
         // Winner becomes the new climbing champion
         gauntletChampion = winnerItem;
-        gauntletChampion.rating100 = newWinnerRating;
+        setItemScore(gauntletChampion, newWinnerRating);
         gauntletWins = 1;
       } else {
         // No champion yet - winner becomes champion
         gauntletChampion = winnerItem;
-        gauntletChampion.rating100 = newWinnerRating;
+        setItemScore(gauntletChampion, newWinnerRating);
         gauntletDefeated = [loserId];
         gauntletWins = 1;
       }
@@ -3302,9 +10375,9 @@ async function fetchPerformerCount(performerFilter = {}) {
       winnerCard.classList.add("hon-winner");
       if (loserCard) loserCard.classList.add("hon-loser");
       
-      showRatingAnimation(winnerCard, winnerRating, newWinnerRating, winnerChange, true);
+      showScoreAnimation(winnerCard, winnerRating, newWinnerRating, true);
       if (loserCard) {
-        showRatingAnimation(loserCard, loserRating, newLoserRating, loserChange, false);
+        showScoreAnimation(loserCard, loserRating, newLoserRating, false);
       }
       
       // Load new pair after animation
@@ -3320,7 +10393,7 @@ async function fetchPerformerCount(performerFilter = {}) {
       const loserItem = loserId === currentPair.left.id ? currentPair.left : currentPair.right;
       
       // Calculate rating changes (pass loserRank for #1 dethrone)
-      const { newWinnerRating, newLoserRating, winnerChange, loserChange } = await handleComparison(
+      const { newWinnerRating, newLoserRating } = await handleComparison(
         winnerId, loserId, winnerRating, loserRating, loserRank, winnerItem, loserItem
       );
       
@@ -3328,11 +10401,11 @@ async function fetchPerformerCount(performerFilter = {}) {
         // Champion won - continue climbing
         gauntletDefeated.push(loserId);
         gauntletWins++;
-        gauntletChampion.rating100 = newWinnerRating;
+        setItemScore(gauntletChampion, newWinnerRating);
       } else {
         // Champion lost or first pick - winner becomes new champion
         gauntletChampion = winnerItem;
-        gauntletChampion.rating100 = newWinnerRating;
+        setItemScore(gauntletChampion, newWinnerRating);
         gauntletDefeated = [loserId];
         gauntletWins = 1;
       }
@@ -3341,9 +10414,9 @@ async function fetchPerformerCount(performerFilter = {}) {
       winnerCard.classList.add("hon-winner");
       if (loserCard) loserCard.classList.add("hon-loser");
       
-      showRatingAnimation(winnerCard, winnerRating, newWinnerRating, winnerChange, true);
+      showScoreAnimation(winnerCard, winnerRating, newWinnerRating, true);
       if (loserCard) {
-        showRatingAnimation(loserCard, loserRating, newLoserRating, loserChange, false);
+        showScoreAnimation(loserCard, loserRating, newLoserRating, false);
       }
       
       // Load new pair after animation
@@ -3353,10 +10426,10 @@ async function fetchPerformerCount(performerFilter = {}) {
       return;
     }
 
-    // For Swiss mode (performers only, images are handled above): Calculate and show rating changes
+    // For Swiss mode: Calculate and show rating changes
     const winnerItem = winnerId === currentPair.left.id ? currentPair.left : currentPair.right;
     const loserItem = loserId === currentPair.left.id ? currentPair.left : currentPair.right;
-    const { newWinnerRating, newLoserRating, winnerChange, loserChange } = await handleComparison(
+    const { newWinnerRating, newLoserRating } = await handleComparison(
       winnerId, loserId, winnerRating, loserRating, null, winnerItem, loserItem
     );
 
@@ -3365,9 +10438,9 @@ async function fetchPerformerCount(performerFilter = {}) {
     if (loserCard) loserCard.classList.add("hon-loser");
 
     // Show rating change animation
-    showRatingAnimation(winnerCard, winnerRating, newWinnerRating, winnerChange, true);
+    showScoreAnimation(winnerCard, winnerRating, newWinnerRating, true);
     if (loserCard) {
-      showRatingAnimation(loserCard, loserRating, newLoserRating, loserChange, false);
+      showScoreAnimation(loserCard, loserRating, newLoserRating, false);
     }
 
     // Load new pair after animation
@@ -3442,10 +10515,20 @@ async function fetchPerformerCount(performerFilter = {}) {
     return getPerformerIdFromUrl() !== null;
   }
 
+  /**
+   * Get the battle type for a listing page path (e.g. /scenes -> "scenes")
+   * @param {string} path - URL pathname
+   * @returns {string|null} Battle type, or null if the path isn't a supported listing page
+   */
+  function getBattleTypeForPath(path) {
+    const match = path.match(/^\/([a-z]+)\/?$/);
+    return match && BATTLE_TYPE_LABELS[match[1]] ? match[1] : null;
+  }
+
   function shouldShowButton() {
     const path = window.location.pathname;
-    // Show on /performers or /images listing pages
-    if (path === '/performers' || path === '/performers/' || path === '/images' || path === '/images/') {
+    // Show on any supported listing page (/performers, /scenes, /images, /galleries, /studios, /tags)
+    if (getBattleTypeForPath(path)) {
       return true;
     }
     // Also show on individual performer pages (/performers/{id})
@@ -3488,13 +10571,36 @@ function addFloatingButton() {
   }
 
   async function openRankingModal() {
-    // Detect if we're on performers or images page
+    // Undo entries belong to the previous session's battle type
+    clearUndoStack();
+    // So do quick place, tournament, round robin and tier list runs
+    quickPlaceRun = null;
+    bracketRun = null;
+    roundRobinRun = null;
+    tierRun = null;
+    // Reload the tag ranking in case tags changed since the last battle
+    rankedTags = null;
+
+    // Pick up settings changed in Settings → Plugins since the last battle
+    await loadPluginSettings();
+    // Keep the chosen rating dimension across sessions while it still exists
+    if (!pluginSettings.dimensions.some(dimension => dimension.name === activeDimension)) {
+      activeDimension = pluginSettings.ratingDimension;
+    }
+
+    // Detect which listing page we're on
     const path = window.location.pathname;
-    if (path === '/images' || path === '/images/') {
-      battleType = "images";
-      // For images, always use Swiss mode
-      currentMode = "swiss";
-      // Images don't use URL filters
+    const pathBattleType = getBattleTypeForPath(path);
+    if (PAGE_FILTER_BATTLE_TYPES.has(pathBattleType)) {
+      battleType = pathBattleType;
+      // Capture the current page filter so battles stay within it
+      cachedUrlFilter = getUrlItemFilter();
+      if (Object.keys(cachedUrlFilter).length > 0) {
+        console.log(`[HotOrNot] Using URL filters for ${battleType}:`, cachedUrlFilter);
+      }
+    } else if (pathBattleType && pathBattleType !== "performers") {
+      // Studios and tags don't use URL filters
+      battleType = pathBattleType;
       cachedUrlFilter = null;
     } else {
       battleType = "performers";
@@ -3521,8 +10627,19 @@ function addFloatingButton() {
       }
     }
     
+    // Percentile/linear/normal mappings need every item's skill score (loaded on the first choice)
+    resetSkillPopulation();
+
     // Get performer ID again after battleType is set (only check for performers)
     const singlePerformerId = battleType === "performers" ? getPerformerIdFromUrl() : null;
+
+    // Go straight to an unfinished Gauntlet/Champion run from an earlier session (loadNewPair offers to resume it)
+    if (!singlePerformerId && !(SAVED_RUN_MODES.includes(currentMode) && gauntletChampion)) {
+      const savedMode = findSavedRunMode();
+      if (savedMode) {
+        currentMode = savedMode;
+      }
+    }
     
     const existingModal = document.getElementById("hon-modal");
     if (existingModal) existingModal.remove();
@@ -3539,15 +10656,13 @@ function addFloatingButton() {
 
     document.body.appendChild(modal);
 
-    // Mode toggle buttons (only shown for performers)
+    // Mode toggle buttons
     modal.querySelectorAll(".hon-mode-btn").forEach((btn) => {
       btn.addEventListener("click", () => {
-        // Images always stay in Swiss mode
-        if (battleType === "images") return;
-        
         const newMode = btn.dataset.mode;
         if (newMode !== currentMode) {
           currentMode = newMode;
+          clearUndoStack();
           
           // Reset gauntlet state when switching modes
           gauntletChampion = null;
@@ -3555,6 +10670,11 @@ function addFloatingButton() {
           gauntletDefeated = [];
           gauntletFalling = false;
           gauntletFallingItem = null;
+          quickPlaceRun = null;
+          bracketRun = null;
+          roundRobinRun = null;
+          multiSet = null;
+          tierRun = null;
           
           // Update button states
           modal.querySelectorAll(".hon-mode-btn").forEach((b) => {
@@ -3565,10 +10685,11 @@ function addFloatingButton() {
           const actionsEl = document.querySelector(".hon-actions");
           if (actionsEl) actionsEl.style.display = "";
           
-          // Hide performer/image selection if not in gauntlet mode
-          if (currentMode !== "gauntlet") {
+          // Hide performer/image selection unless the mode starts with a pick
+          if (currentMode !== "gauntlet" && currentMode !== "quickplace") {
             hidePerformerSelection();
           }
+          updatePairingButton();
           
           // Load new pair in new mode
           loadNewPair();
@@ -3576,18 +10697,94 @@ function addFloatingButton() {
       });
     });
 
+    // Rating dimension buttons - every dimension is its own ranking, so start over
+    modal.querySelectorAll(".hon-dimension-btn[data-dimension]").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        if (disableChoice || btn.dataset.dimension === activeDimension) return;
+        activeDimension = btn.dataset.dimension;
+        clearUndoStack();
+
+        gauntletChampion = null;
+        gauntletWins = 0;
+        gauntletDefeated = [];
+        gauntletFalling = false;
+        gauntletFallingItem = null;
+        quickPlaceRun = null;
+        bracketRun = null;
+        roundRobinRun = null;
+        multiSet = null;
+        tierRun = null;
+
+        modal.querySelectorAll(".hon-dimension-btn[data-dimension]").forEach((b) => {
+          b.classList.toggle("active", b.dataset.dimension === activeDimension);
+        });
+        const promptEl = modal.querySelector("#hon-dimension-prompt");
+        if (promptEl) promptEl.textContent = getActiveDimension().prompt;
+
+        const actionsEl = document.querySelector(".hon-actions");
+        if (actionsEl) actionsEl.style.display = "";
+        if (currentMode !== "gauntlet" && currentMode !== "quickplace") {
+          hidePerformerSelection();
+        }
+
+        // Skill scores are kept per dimension
+        resetSkillPopulation();
+
+        console.log(`[HotOrNot] Rating dimension: ${activeDimension}`);
+        loadNewPair();
+      });
+    });
+
+    // Swiss pairing toggle - switches for this session, the plugin setting sets the default
+    const pairingBtn = modal.querySelector("#hon-pairing-btn");
+    if (pairingBtn) {
+      updatePairingButton();
+      pairingBtn.addEventListener("click", () => {
+        if (disableChoice) return;
+        pluginSettings.swissPairing = usesSmartPairing() ? "classic" : "smart";
+        updatePairingButton();
+        loadNewPair();
+      });
+    }
+
+    // Blind mode toggle - switches for this session, the plugin setting sets the default
+    const blindBtn = modal.querySelector("#hon-blind-btn");
+    if (blindBtn) {
+      updateBlindButton();
+      blindBtn.addEventListener("click", () => {
+        if (disableChoice) return;
+        pluginSettings.blindMode = !usesBlindMode();
+        updateBlindButton();
+        // Only cards still waiting for a choice change
+        if (modal.querySelector(".hon-vs-container, .hon-multi-container")) {
+          applyBlindMode();
+        }
+      });
+    }
+
+    // Undo button
+    const undoBtn = modal.querySelector("#hon-undo-btn");
+    if (undoBtn) {
+      undoBtn.addEventListener("click", () => {
+        undoLastComparison();
+      });
+    }
+
     // Skip button
     const skipBtn = modal.querySelector("#hon-skip-btn");
     if (skipBtn) {
       skipBtn.addEventListener("click", async () => {
-        // In gauntlet/champion mode with active run (performers only), skip is disabled
-        if (battleType === "performers" && (currentMode === "gauntlet" || currentMode === "champion") && gauntletChampion) {
+        // In gauntlet/champion mode with active run, skip is disabled
+        if ((currentMode === "gauntlet" || currentMode === "champion") && gauntletChampion) {
+          return;
+        }
+        if ((currentMode === "quickplace" && quickPlaceRun) || (currentMode === "tournament" && bracketRun)) {
           return;
         }
         if(disableChoice) return
         disableChoice = true;
-        // Reset state on skip (only for performers)
-        if (battleType === "performers" && (currentMode === "gauntlet" || currentMode === "champion")) {
+        // Reset run state on skip
+        if (currentMode === "gauntlet" || currentMode === "champion") {
           gauntletChampion = null;
           gauntletWins = 0;
           gauntletDefeated = [];
@@ -3598,11 +10795,15 @@ function addFloatingButton() {
         if (currentMode === "swiss" && currentPair.left && currentPair.right) {
           await handleSkip(currentPair.left, currentPair.right);
         }
+        // Round robin records the draw against the scheduled match
+        if (currentMode === "roundrobin" && roundRobinRun && currentPair.left && currentPair.right) {
+          await handleRoundRobinDraw();
+        }
         loadNewPair();
       });
     }
 
-    // Stats button (performers only)
+    // Stats button (performers and images)
     const statsBtn = modal.querySelector("#hon-stats-btn");
     if (statsBtn) {
       statsBtn.addEventListener("click", () => {
@@ -3610,6 +10811,42 @@ function addFloatingButton() {
       });
     }
 
+    // Recompute ratings button (performers and images)
+    const refitBtn = modal.querySelector("#hon-refit-btn");
+    if (refitBtn) {
+      refitBtn.addEventListener("click", () => {
+        openRefitModal();
+      });
+    }
+
+    // Settings panel button
+    const settingsBtn = modal.querySelector("#hon-settings-btn");
+    if (settingsBtn) {
+      settingsBtn.addEventListener("click", () => {
+        openSettingsModal();
+      });
+    }
+
+    // Re-map ratings button (skill mode only)
+    const remapBtn = modal.querySelector("#hon-remap-btn");
+    if (remapBtn) {
+      remapBtn.addEventListener("click", async () => {
+        remapBtn.disabled = true;
+        try {
+          const updated = await remapAllRatings((done, total) => {
+            remapBtn.textContent = `↻ Re-mapping ${done}/${total}...`;
+          });
+          remapBtn.textContent = `↻ Re-mapped ${updated} ${BATTLE_TYPE_LABELS[battleType].plural}`;
+          clearUndoStack();
+          loadNewPair();
+        } catch (e) {
+          console.error("[HotOrNot] Failed to re-map ratings:", e);
+          remapBtn.textContent = "↻ Re-map failed";
+        }
+        remapBtn.disabled = false;
+      });
+    }
+
     // If on a single performer page, fetch the performer and auto-start gauntlet
     if (singlePerformerId) {
       const performer = await fetchPerformerById(singlePerformerId);
@@ -3632,6 +10869,12 @@ function addFloatingButton() {
     
     document.addEventListener("keydown", function escHandler(e) {
       if (e.key === "Escape") {
+        // A dialog over the battle (settings, stats, refit) closes first
+        const dialog = document.querySelector(".hon-stats-modal");
+        if (dialog) {
+          dialog.remove();
+          return;
+        }
         closeRankingModal();
         document.removeEventListener("keydown", escHandler);
       }
@@ -3645,6 +10888,18 @@ function addFloatingButton() {
         return;
       }
 
+      // No shortcuts while typing in a field or while a dialog (settings, stats, refit) covers the pair
+      const activeTag = document.activeElement.tagName;
+      if (activeTag === "INPUT" || activeTag === "TEXTAREA" || activeTag === "SELECT" ||
+          document.querySelector(".hon-stats-modal")) {
+        return;
+      }
+
+      // Placing tiers: tier letters/numbers place, Backspace steps back
+      if (currentMode === "tierlist" && tierRun && (tierRun.phase === "place" || tierRun.phase === "board")) {
+        handleTierKey(e);
+        return;
+      }
       if (e.key === "ArrowLeft" && currentPair.left) {
         const leftBody = modal.querySelector('.hon-scene-card[data-side="left"] .hon-scene-body');
         if (leftBody) leftBody.click();
@@ -3653,17 +10908,39 @@ function addFloatingButton() {
         const rightBody = modal.querySelector('.hon-scene-card[data-side="right"] .hon-scene-body');
         if (rightBody) rightBody.click();
       }
+      // Best of N: number keys pick (or place) the card with that number, Enter submits an order
+      if (currentMode === "multi" && /^[1-6]$/.test(e.key)) {
+        const body = modal.querySelector(`.hon-multi-container .hon-scene-card[data-side="${e.key}"] .hon-scene-body`);
+        if (body) body.click();
+      }
+      if (currentMode === "multi" && e.key === "Enter") {
+        const submitBtn = modal.querySelector("#hon-multi-submit");
+        if (submitBtn) {
+          e.preventDefault();
+          submitBtn.click();
+        }
+      }
+      if (e.key === "Backspace" || e.key === "z" || e.key === "Z") {
+        const activeElement = document.activeElement;
+        if (activeElement.tagName !== "INPUT" && activeElement.tagName !== "TEXTAREA" && activeElement.tagName !== "SELECT") {
+          e.preventDefault();
+          undoLastComparison();
+        }
+      }
       if (e.key === " " || e.code === "Space") {
         const activeElement = document.activeElement;
         if (activeElement.tagName !== "INPUT" && activeElement.tagName !== "TEXTAREA") {
           e.preventDefault();
-          // Don't skip during active gauntlet/champion run (performers only)
-          if (battleType === "performers" && (currentMode === "gauntlet" || currentMode === "champion") && gauntletChampion) {
+          // Don't skip during active gauntlet/champion run
+          if ((currentMode === "gauntlet" || currentMode === "champion") && gauntletChampion) {
+            return;
+          }
+          if ((currentMode === "quickplace" && quickPlaceRun) || (currentMode === "tournament" && bracketRun)) {
             return;
           }
           if(disableChoice) return;
           disableChoice = true;
-          if (battleType === "performers" && (currentMode === "gauntlet" || currentMode === "champion")) {
+          if (currentMode === "gauntlet" || currentMode === "champion") {
             gauntletChampion = null;
             gauntletWins = 0;
             gauntletDefeated = [];
@@ -3674,6 +10951,10 @@ function addFloatingButton() {
           if (currentMode === "swiss" && currentPair.left && currentPair.right) {
             await handleSkip(currentPair.left, currentPair.right);
           }
+          // Round robin records the draw against the scheduled match
+          if (currentMode === "roundrobin" && roundRobinRun && currentPair.left && currentPair.right) {
+            await handleRoundRobinDraw();
+          }
           loadNewPair();
         }
       }
@@ -3683,6 +10964,257 @@ function addFloatingButton() {
   function closeRankingModal() {
     const modal = document.getElementById("hon-modal");
     if (modal) modal.remove();
+    // The battle may have changed the performer shown on this page
+    refreshPerformerPanel();
+  }
+
+  // ============================================
+  // PERFORMER PAGE
+  // ============================================
+  // On /performers/{id} a HotOrNot panel is added under Stash's performer
+  // header: the performer's stats, rank, biggest wins and worst losses, rating
+  // history and a Challenge button that starts a gauntlet. Stash renders (and
+  // re-renders) the page itself, so the panel is added from the same DOM
+  // observer as the floating button, once per performer.
+
+  // Entries in the panel's biggest wins / worst losses lists
+  const PANEL_HIGHLIGHTS = 3;
+
+  /**
+   * Fetch a performer for the page panel. The panel always shows the plain
+   * hotornot_* fields (the dimension synced to rating100), whichever dimension
+   * the modal last battled on.
+   * @param {string} performerId - Performer ID
+   * @returns {Object|null} Performer
+   */
+  async function fetchPerformerPageData(performerId) {
+    const result = await graphqlQuery(`
+      query FindPerformerForPanel($id: ID!) {
+        findPerformer(id: $id) {
+          ${PERFORMER_FRAGMENT}
+        }
+      }
+    `, { id: performerId });
+    return result.findPerformer;
+  }
+
+  /**
+   * Get a performer's rank within the default performer filter (the one a
+   * Challenge gauntlet climbs), by counting the performers rated above it
+   * @param {Object} performer - Performer with rating100
+   * @returns {Object} { rank, total }
+   */
+  async function fetchPerformerPageRank(performer) {
+    const defaultFilter = getPerformerFilter({});
+    const [higherCount, total] = await Promise.all([
+      fetchPerformerCount({ ...defaultFilter, rating100: { value: performer.rating100 || 0, modifier: "GREATER_THAN" } }),
+      fetchPerformerCount(defaultFilter)
+    ]);
+    return { rank: higherCount + 1, total };
+  }
+
+  /**
+   * Fetch performer names by ID (for opponents in the match log)
+   * @param {Array} ids - Performer IDs
+   * @returns {Map} ID -> name (missing performers are left out)
+   */
+  async function fetchPerformerNames(ids) {
+    const names = new Map();
+    await Promise.all([...new Set(ids)].map(async id => {
+      try {
+        const result = await graphqlQuery(`
+          query FindPerformerName($id: ID!) {
+            findPerformer(id: $id) {
+              id
+              name
+            }
+          }
+        `, { id });
+        if (result.findPerformer) names.set(id, result.findPerformer.name);
+      } catch (e) {
+        console.warn(`[HotOrNot] Failed to fetch name for performer ${id}:`, e);
+      }
+    }));
+    return names;
+  }
+
+  /**
+   * Pick the matches that gained and lost the most rating
+   * @param {Object} performer - Performer with custom_fields
+   * @returns {Object} { wins, losses } timeline points, biggest change first
+   */
+  function getPanelHighlights(performer) {
+    const points = getRatingTimeline(performer);
+    return {
+      wins: points.filter(point => point.outcome === "win" && point.change > 0)
+        .sort((a, b) => b.change - a.change)
+        .slice(0, PANEL_HIGHLIGHTS),
+      losses: points.filter(point => point.outcome === "loss" && point.change < 0)
+        .sort((a, b) => a.change - b.change)
+        .slice(0, PANEL_HIGHLIGHTS)
+    };
+  }
+
+  /**
+   * Build one biggest wins / worst losses list
+   * @param {string} title - List heading
+   * @param {Array} points - Timeline points from getPanelHighlights
+   * @param {Map} names - Opponent names by ID
+   * @returns {string} HTML
+   */
+  function createPanelHighlightList(title, points, names) {
+    const entries = points.map(point => {
+      const date = new Date(point.timestamp);
+      const dateText = isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+      const changeText = point.change > 0 ? `+${point.change}` : `${point.change}`;
+      const changeClass = point.change > 0 ? 'hon-stats-positive' : 'hon-stats-negative';
+      const opponentName = names.get(point.opponentId) || `Performer #${point.opponentId}`;
+      return `
+        <li>
+          <span class="${changeClass}">${changeText}</span>
+          vs <a href="/performers/${escapeHtml(point.opponentId)}">${escapeHtml(opponentName)}</a>
+          <span class="hon-performer-panel-meta">${escapeHtml([MODE_LABELS[point.mode] || point.mode, dateText].filter(Boolean).join(' · '))}</span>
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <div class="hon-performer-panel-list">
+        <h4>${title}</h4>
+        ${entries ? `<ul>${entries}</ul>` : '<div class="hon-stats-neutral">None logged yet</div>'}
+      </div>
+    `;
+  }
+
+  /**
+   * Build the performer page panel
+   * @param {Object} performer - Performer with custom_fields
+   * @param {Object|null} rank - { rank, total } from fetchPerformerPageRank, or null if unavailable
+   * @param {Map} names - Opponent names by ID
+   * @returns {string} HTML
+   */
+  function createPerformerPanelContent(performer, rank, names) {
+    const stats = parsePerformerEloData(performer);
+    const winRate = stats.total_matches > 0 ? `${((stats.wins / stats.total_matches) * 100).toFixed(1)}%` : 'N/A';
+    const streakDisplay = stats.current_streak > 0
+      ? `<span class="hon-stats-positive">+${stats.current_streak}</span>`
+      : stats.current_streak < 0
+        ? `<span class="hon-stats-negative">${stats.current_streak}</span>`
+        : '0';
+    const lastMatch = stats.last_match ? new Date(stats.last_match) : null;
+    const lastMatchText = lastMatch && !isNaN(lastMatch.getTime()) ? lastMatch.toLocaleString() : 'Never';
+    const { wins, losses } = getPanelHighlights(performer);
+
+    const summary = [
+      ["Rating", `${((performer.rating100 || 50) / 10).toFixed(1)}/10`],
+      ["Rank", rank ? `#${rank.rank} of ${rank.total}` : '—'],
+      ["Matches", stats.total_matches],
+      ["W / L / D", `<span class="hon-stats-positive">${stats.wins}</span> / <span class="hon-stats-negative">${stats.losses}</span> / <span class="hon-stats-neutral">${stats.draws}</span>`],
+      ["Win Rate", winRate],
+      ["Streak", streakDisplay],
+      ["Best Streak", `<span class="hon-stats-positive">${stats.best_streak}</span>`],
+      ["Worst Streak", `<span class="hon-stats-negative">${stats.worst_streak}</span>`],
+      ["Last Match", escapeHtml(lastMatchText)]
+    ].map(([label, value]) => `
+      <div class="hon-stats-summary-item">
+        <span class="hon-stats-summary-label">${label}:</span>
+        <span class="hon-stats-summary-value">${value}</span>
+      </div>
+    `).join('');
+
+    return `
+      <div class="hon-performer-panel-header">
+        <h3 class="hon-performer-panel-title">🔥 HotOrNot</h3>
+        <button id="hon-performer-challenge" class="btn btn-primary" title="Start a gauntlet with this performer">⚔️ Challenge</button>
+      </div>
+      <div class="hon-stats-summary">
+        ${summary}
+      </div>
+      <div class="hon-performer-panel-lists">
+        ${createPanelHighlightList("Biggest Wins", wins, names)}
+        ${createPanelHighlightList("Worst Losses", losses, names)}
+      </div>
+      <h4>Rating History</h4>
+      ${createRatingTimelineChart(performer)}
+    `;
+  }
+
+  /**
+   * Fill a performer page panel
+   * @param {HTMLElement} panel - Panel element
+   * @param {string} performerId - Performer ID
+   */
+  async function loadPerformerPanel(panel, performerId) {
+    // The default filter and K-factors come from the plugin settings
+    if (!pluginSettings) {
+      await loadPluginSettings();
+    }
+
+    let performer = null;
+    let rank = null;
+    let names = new Map();
+    try {
+      performer = await fetchPerformerPageData(performerId);
+      if (performer) {
+        const { wins, losses } = getPanelHighlights(performer);
+        [rank, names] = await Promise.all([
+          fetchPerformerPageRank(performer).catch(e => {
+            console.warn(`[HotOrNot] Failed to rank performer ${performerId}:`, e);
+            return null;
+          }),
+          fetchPerformerNames([...wins, ...losses].map(point => point.opponentId))
+        ]);
+      }
+    } catch (e) {
+      console.error(`[HotOrNot] Failed to load performer panel for ${performerId}:`, e);
+    }
+    // The user may have navigated away while loading
+    if (!panel.isConnected) return;
+    if (!performer) {
+      panel.innerHTML = '<div class="hon-stats-error">Failed to load HotOrNot stats.</div>';
+      return;
+    }
+
+    panel.innerHTML = createPerformerPanelContent(performer, rank, names);
+    // The modal auto-starts a gauntlet with the performer whose page it opens on
+    panel.querySelector("#hon-performer-challenge").addEventListener("click", openRankingModal);
+  }
+
+  /**
+   * Add the HotOrNot panel to a single performer page (no-op elsewhere or if already shown)
+   */
+  function addPerformerPanel() {
+    const performerId = getPerformerIdFromUrl();
+    const existingPanel = document.getElementById("hon-performer-panel");
+    if (existingPanel && existingPanel.dataset.performerId === performerId) return;
+    if (existingPanel) existingPanel.remove();
+    if (!performerId) return;
+
+    // Wait for Stash to render the performer header
+    const page = document.getElementById("performer-page");
+    if (!page) return;
+    const header = page.querySelector(".detail-header");
+
+    const panel = document.createElement("div");
+    panel.id = "hon-performer-panel";
+    panel.className = "hon-performer-panel";
+    panel.dataset.performerId = performerId;
+    panel.innerHTML = '<div class="hon-stats-loading">Loading HotOrNot stats...</div>';
+    if (header) {
+      header.insertAdjacentElement("afterend", panel);
+    } else {
+      page.prepend(panel);
+    }
+    loadPerformerPanel(panel, performerId);
+  }
+
+  /**
+   * Reload the performer page panel (after battles may have changed the performer)
+   */
+  function refreshPerformerPanel() {
+    const existingPanel = document.getElementById("hon-performer-panel");
+    if (existingPanel) existingPanel.remove();
+    addPerformerPanel();
   }
 
   // ============================================
@@ -3693,10 +11225,12 @@ function addFloatingButton() {
     console.log("[HotOrNot] Initialized");
     
     addFloatingButton();
+    addPerformerPanel();
 
     // Watch for SPA navigation
     const observer = new MutationObserver(() => {
       addFloatingButton();
+      addPerformerPanel();
     });
 
     observer.observe(document.body, {
@@ -3710,11 +11244,12 @@ function addFloatingButton() {
       PluginApi.Event.addEventListener("stash:location", (e) => {
         console.log("[HotOrNot] Page changed:", e.detail.data.location.pathname);
         
-        // Update cached filter when on performers page
+        // Update cached filter when on performers or a page whose filter battles use
         const path = e.detail.data.location.pathname;
-        if (path === '/performers' || path === '/performers/') {
+        const pathBattleType = getBattleTypeForPath(path);
+        if (pathBattleType === "performers" || PAGE_FILTER_BATTLE_TYPES.has(pathBattleType)) {
           // Parse current filters from URL
-          const newFilter = getUrlPerformerFilter();
+          const newFilter = pathBattleType === "performers" ? getUrlPerformerFilter() : getUrlItemFilter();
           
           // Only update cache if modal is not currently open
           // (if modal is open, it should continue using the filters it was opened with)